@@ -1,14 +1,27 @@
-module.exports = {
+const project = {
   testEnvironment: 'node',
+  setupFiles: ['<rootDir>/tests/env.js'],
+};
+
+module.exports = {
   coveragePathIgnorePatterns: [
     '/node_modules/',
     '/tests/',
   ],
-  testMatch: [
-    '**/tests/**/*.test.js',
-    '**/tests/**/*.spec.js',
+  projects: [
+    {
+      ...project,
+      displayName: 'unit',
+      testMatch: ['<rootDir>/tests/unit/**/*.test.js'],
+    },
+    {
+      ...project,
+      displayName: 'integration',
+      testMatch: ['<rootDir>/tests/integration/**/*.spec.js'],
+      // Integration specs run against an in-memory MongoDB
+      setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+    },
   ],
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
   testTimeout: 30000,
   collectCoverageFrom: [
     'src/**/*.js',
@@ -0,0 +1,39 @@
+const { Message } = require('../../src/models');
+const logger = require('../../src/config/logger');
+
+module.exports = {
+  name: 'queue-legacy-flagged-messages',
+
+  async up() {
+    logger.info('Moving messages flagged with metadata.flagged into the moderation queue...');
+
+    // Reports from before the moderation queue; when they were made isn't
+    // recorded, so the message's last update stands in for flaggedAt
+    const queued = await Message.collection.updateMany(
+      { 'metadata.flagged': true, 'moderation.status': { $exists: false } },
+      [
+        {
+          $set: {
+            moderation: {
+              status: 'flagged',
+              source: 'report',
+              reasons: [{ rule: 'legacy-flag', category: 'report' }],
+              flaggedAt: { $ifNull: ['$updatedAt', '$createdAt'] },
+            },
+          },
+        },
+        { $unset: 'metadata.flagged' },
+      ]
+    );
+
+    // Already in the queue through a newer report: drop the old flag only
+    const cleared = await Message.collection.updateMany(
+      { 'metadata.flagged': { $exists: true } },
+      { $unset: { 'metadata.flagged': '' } }
+    );
+
+    logger.info(
+      `Queued ${queued.modifiedCount} flagged messages, cleared ${cleared.modifiedCount} stale flags`
+    );
+  },
+};
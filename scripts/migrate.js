@@ -7,6 +7,7 @@ const migrations = [
   require('./migrations/001-add-analysisRequestHash'),
   require('./migrations/002-backfill-templateSnapshot'),
   require('./migrations/003-add-subscription-fields'),
+  require('./migrations/004-queue-legacy-flagged-messages'),
 ];
 
 async function runMigrations() {
@@ -0,0 +1,93 @@
+/**
+ * Agent persona configurations
+ * Defines the agent participants that can take part in a simulation chat
+ */
+
+const agentPersonas = {
+  client: {
+    handle: "client",
+    role: "Client",
+    displayName: "Client", // replaced by Agent 1's client_name
+    avatarUrl: "/avatars/agents/client.png",
+    personaPrompt:
+      "You are the client who commissioned this project. You care about business value, " +
+      "the agreed requirements and the deadline. You are not deeply technical.",
+    topics: [],
+  },
+
+  pm: {
+    handle: "pm",
+    role: "Project Manager",
+    displayName: "Priya (PM)",
+    avatarUrl: "/avatars/agents/pm.png",
+    personaPrompt:
+      "You are the project manager on the client's side. You track scope, priorities, " +
+      "milestones and timelines, and you push for clear status updates.",
+    topics: [
+      "deadline",
+      "timeline",
+      "schedule",
+      "milestone",
+      "priority",
+      "priorities",
+      "estimate",
+      "status",
+      "extension",
+      "meeting",
+      "scope",
+    ],
+  },
+
+  qa: {
+    handle: "qa",
+    role: "QA Tester",
+    displayName: "Quinn (QA)",
+    avatarUrl: "/avatars/agents/qa.png",
+    personaPrompt:
+      "You are the QA tester. You ask how features were tested, report edge cases and " +
+      "bugs, and check work against the acceptance criteria.",
+    topics: [
+      "test",
+      "tests",
+      "testing",
+      "bug",
+      "bugs",
+      "qa",
+      "edge case",
+      "regression",
+      "reproduce",
+      "acceptance",
+    ],
+  },
+};
+
+// Personas added to every new simulation, in routing priority order
+const DEFAULT_PERSONAS = ["client", "pm", "qa"];
+
+// Used when a message cannot be routed to a more specific persona
+const FALLBACK_PERSONA = "client";
+
+/**
+ * Get persona configuration by key
+ * @param {string} key - Persona key
+ * @returns {object|null} Persona configuration
+ */
+function getPersona(key) {
+  return agentPersonas[key] || null;
+}
+
+/**
+ * Get all persona configurations
+ * @returns {array} Array of persona configurations
+ */
+function getAllPersonas() {
+  return Object.values(agentPersonas);
+}
+
+module.exports = {
+  agentPersonas,
+  DEFAULT_PERSONAS,
+  FALLBACK_PERSONA,
+  getPersona,
+  getAllPersonas,
+};
@@ -0,0 +1,126 @@
+/**
+ * Client personality configurations
+ * Defines how the client behaves in a simulation: how complete the
+ * requirements are, how they answer questions and how quickly they reply
+ */
+
+const clientPersonalities = {
+  cooperative: {
+    key: "cooperative",
+    displayName: "Cooperative",
+    description: "Clear requirements and quick, helpful answers.",
+    difficulty: "easy",
+    traits: ["clear", "responsive", "flexible"],
+    prompt:
+      "You give clear, complete answers and are flexible about small changes. " +
+      "You reply promptly and appreciate questions.",
+    replyDelayMs: 0,
+  },
+
+  non_technical: {
+    key: "non_technical",
+    displayName: "Non-technical",
+    description: "Describes goals in business terms; technical choices need explaining.",
+    difficulty: "easy",
+    traits: ["non-technical", "business-focused"],
+    prompt:
+      "You have no technical background. You describe what you need in business terms, " +
+      "don't understand jargon and ask for technical decisions to be explained simply.",
+    replyDelayMs: 0,
+  },
+
+  vague: {
+    key: "vague",
+    displayName: "Vague",
+    description: "Leaves requirements open; you have to ask the right questions.",
+    difficulty: "medium",
+    traits: ["vague", "indecisive"],
+    prompt:
+      "Your requirements are incomplete and sometimes ambiguous. You answer questions loosely, " +
+      "change your mind on details and only get specific when asked precise questions.",
+    replyDelayMs: 0,
+  },
+
+  detail_oriented: {
+    key: "detail_oriented",
+    displayName: "Detail-oriented",
+    description: "Specifies everything and checks every detail against the requirements.",
+    difficulty: "medium",
+    traits: ["detail-oriented", "precise"],
+    prompt:
+      "You specify requirements in detail and expect them to be met exactly. You ask about " +
+      "edge cases, naming and formatting, and check work closely against the acceptance criteria.",
+    replyDelayMs: 0,
+  },
+
+  slow_to_respond: {
+    key: "slow_to_respond",
+    displayName: "Busy",
+    description: "Replies late and briefly; plan around waiting for answers.",
+    difficulty: "medium",
+    traits: ["slow to respond", "brief"],
+    prompt:
+      "You are very busy. Your replies are short, sometimes answer only part of the question, " +
+      "and you expect the freelancer to make reasonable decisions without you.",
+    replyDelayMs: 2 * 60 * 1000,
+  },
+
+  demanding: {
+    key: "demanding",
+    displayName: "Demanding",
+    description: "Tight deadlines, high standards and pressure to add more.",
+    difficulty: "hard",
+    traits: ["demanding", "impatient", "scope creep"],
+    prompt:
+      "You have high standards and little patience. You push back on delays, question " +
+      "estimates, and ask for extra features while expecting the original deadline to hold.",
+    replyDelayMs: 0,
+  },
+};
+
+// Chosen when the user doesn't pick a personality
+const DEFAULT_BY_EXPERTISE = {
+  beginner: "cooperative",
+  intermediate: "vague",
+  advanced: "demanding",
+};
+
+const DEFAULT_PERSONALITY = "cooperative";
+
+/**
+ * Get personality configuration by key
+ * @param {string} key - Personality key
+ * @returns {object|null} Personality configuration
+ */
+function getPersonality(key) {
+  return clientPersonalities[key] || null;
+}
+
+/**
+ * Get all personality configurations
+ * @returns {array} Array of personality configurations
+ */
+function getAllPersonalities() {
+  return Object.values(clientPersonalities);
+}
+
+/**
+ * Personality key for a simulation: the chosen one, else the default for
+ * its expertise level
+ * @param {string} key - Chosen personality key (optional)
+ * @param {string} expertise - Expertise level
+ * @returns {string} Personality key
+ */
+function resolvePersonalityKey(key, expertise) {
+  if (key) return key;
+  return DEFAULT_BY_EXPERTISE[String(expertise || "").toLowerCase()] || DEFAULT_PERSONALITY;
+}
+
+module.exports = {
+  clientPersonalities,
+  DEFAULT_BY_EXPERTISE,
+  DEFAULT_PERSONALITY,
+  getPersonality,
+  getAllPersonalities,
+  resolvePersonalityKey,
+};
@@ -56,6 +56,18 @@ const envSchema = Joi.object({
 
   // AI Agent Service
   AGENT_SERVICE_URL: Joi.string().uri().default("http://127.0.0.1:8000"),
+  AGENT_PROVIDER: Joi.string().valid("http", "mock").default("http"),
+  AGENT_MOCK_CHUNK_DELAY_MS: Joi.number().integer().min(0).default(40),
+  AGENT_TIMEOUT_REQUIREMENTS_MS: Joi.number().integer().min(1000).default(120000),
+  AGENT_TIMEOUT_CHAT_MS: Joi.number().integer().min(1000).default(60000),
+  AGENT_TIMEOUT_FEEDBACK_MS: Joi.number().integer().min(1000).default(240000),
+  AGENT_RETRY_ATTEMPTS: Joi.number().integer().min(0).max(5).default(2),
+  AGENT_RETRY_BASE_DELAY_MS: Joi.number().integer().min(0).default(500),
+  AGENT_BREAKER_FAILURE_THRESHOLD: Joi.number().integer().min(1).default(5),
+  AGENT_BREAKER_RESET_MS: Joi.number().integer().min(1000).default(30000),
+  AGENT_CONTEXT_TOKEN_BUDGET: Joi.number().integer().min(500).default(4000),
+  AGENT_CONTEXT_MAX_MESSAGES: Joi.number().integer().min(1).max(200).default(30),
+  AGENT_COST_PER_1K_TOKENS: Joi.number().min(0).default(0),
 
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: Joi.number().default(60000),
@@ -66,6 +78,15 @@ const envSchema = Joi.object({
   WORKER_CONCURRENCY: Joi.number().default(5),
   JOB_ATTEMPTS: Joi.number().default(3),
   JOB_BACKOFF_DELAY: Joi.number().default(5000),
+  MILESTONE_CHECK_INTERVAL_MS: Joi.number().default(15 * 60 * 1000),
+
+  // Retention
+  ENABLE_RETENTION: Joi.boolean().default(true),
+  RETENTION_INTERVAL_MS: Joi.number().integer().min(60000).default(6 * 60 * 60 * 1000),
+  RETENTION_IDLE_ARCHIVE_DAYS: Joi.number().integer().min(0).default(30), // 0 disables
+  RETENTION_CANCELLED_GRACE_DAYS: Joi.number().integer().min(1).default(30),
+  RETENTION_PURGE_WARNING_DAYS: Joi.number().integer().min(0).default(7),
+  RETENTION_BATCH_SIZE: Joi.number().integer().min(1).max(1000).default(100),
 
   // Logging
   LOG_LEVEL: Joi.string()
@@ -92,6 +113,14 @@ const envSchema = Joi.object({
 
   // Feature flags
   ENABLE_WORKERS: Joi.boolean().default(true),
+  ENABLE_SCOPE_CHANGES: Joi.boolean().default(true),
+  ENABLE_AGENT_STREAMING: Joi.boolean().default(true),
+
+  // Transcripts
+  PRUNE_ARCHIVED_MESSAGES: Joi.boolean().default(false),
+
+  // Idempotency-Key replay window
+  IDEMPOTENCY_TTL_SECONDS: Joi.number().integer().min(60).default(24 * 60 * 60),
 }).unknown(true);
 
 // Validate environment variables
@@ -194,10 +223,35 @@ const config = {
   // Services
   services: {
     agentServiceUrl: env.AGENT_SERVICE_URL,
+    agentProvider: env.AGENT_PROVIDER,
     sentryDsn: env.SENTRY_DSN,
     smtpUrl: env.SMTP_URL,
   },
   agentServiceUrl: env.AGENT_SERVICE_URL,
+  agentProvider: env.AGENT_PROVIDER,
+  agentMockChunkDelayMs: env.AGENT_MOCK_CHUNK_DELAY_MS,
+
+  // Agent call policy
+  agent: {
+    timeouts: {
+      requirementsMs: env.AGENT_TIMEOUT_REQUIREMENTS_MS,
+      chatMs: env.AGENT_TIMEOUT_CHAT_MS,
+      feedbackMs: env.AGENT_TIMEOUT_FEEDBACK_MS,
+    },
+    retry: {
+      attempts: env.AGENT_RETRY_ATTEMPTS,
+      baseDelayMs: env.AGENT_RETRY_BASE_DELAY_MS,
+    },
+    breaker: {
+      failureThreshold: env.AGENT_BREAKER_FAILURE_THRESHOLD,
+      resetTimeoutMs: env.AGENT_BREAKER_RESET_MS,
+    },
+    context: {
+      tokenBudget: env.AGENT_CONTEXT_TOKEN_BUDGET,
+      maxRecentMessages: env.AGENT_CONTEXT_MAX_MESSAGES,
+    },
+    costPer1kTokens: env.AGENT_COST_PER_1K_TOKENS,
+  },
 
   // Rate Limiting
   rateLimit: {
@@ -214,6 +268,17 @@ const config = {
     concurrency: env.WORKER_CONCURRENCY,
     attempts: env.JOB_ATTEMPTS,
     backoffDelay: env.JOB_BACKOFF_DELAY,
+    milestoneCheckIntervalMs: env.MILESTONE_CHECK_INTERVAL_MS,
+  },
+
+  // Retention
+  retention: {
+    enabled: env.ENABLE_RETENTION,
+    intervalMs: env.RETENTION_INTERVAL_MS,
+    idleArchiveDays: env.RETENTION_IDLE_ARCHIVE_DAYS,
+    cancelledGraceDays: env.RETENTION_CANCELLED_GRACE_DAYS,
+    purgeWarningDays: env.RETENTION_PURGE_WARNING_DAYS,
+    batchSize: env.RETENTION_BATCH_SIZE,
   },
 
   // Logging
@@ -247,6 +312,14 @@ const config = {
 
   // Feature flags
   enableWorkers: env.ENABLE_WORKERS,
+  enableScopeChanges: env.ENABLE_SCOPE_CHANGES,
+  enableAgentStreaming: env.ENABLE_AGENT_STREAMING,
+
+  // Transcripts
+  pruneArchivedMessages: env.PRUNE_ARCHIVED_MESSAGES,
+
+  // Idempotency
+  idempotencyTtlSeconds: env.IDEMPOTENCY_TTL_SECONDS,
 };
 
 module.exports = config;
@@ -0,0 +1,144 @@
+/**
+ * Moderation rule lists
+ * User messages matching any rule are flagged for review (see
+ * services/moderation.service). Matches are flagged, never blocked.
+ * Rules with a `replacement` are also removed from public showcases (see
+ * services/showcase.service).
+ */
+
+const CATEGORIES = ["profanity", "contact", "credential"];
+
+// Whole words, case-insensitive; "*" matches any word ending (fuck* -> fucking)
+const profanityWords = [
+  "fuck*",
+  "motherfuck*",
+  "shit",
+  "shitty",
+  "bullshit",
+  "bitch*",
+  "asshole*",
+  "bastard*",
+  "cunt*",
+  "dickhead*",
+  "prick",
+  "wanker*",
+  "twat*",
+  "retard*",
+  "slut*",
+  "whore*",
+];
+
+const rules = [
+  // Personal contact details: clients and freelancers keep talking on-platform
+  {
+    id: "email-address",
+    category: "contact",
+    pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i,
+    replacement: "[email redacted]",
+  },
+  {
+    id: "phone-number",
+    category: "contact",
+    // 555-123-4567, (555) 123 4567, +44 20 7946 0958; dates like 2024-01-01 don't match
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}\b/,
+    replacement: "[phone redacted]",
+  },
+  {
+    id: "messenger-link",
+    category: "contact",
+    pattern: /\b(?:wa\.me|t\.me|discord\.gg|telegram\.me)\/\S+/i,
+    replacement: "[contact redacted]",
+  },
+
+  // Credentials and secrets
+  {
+    id: "private-key",
+    category: "credential",
+    pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "aws-access-key",
+    category: "credential",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "github-token",
+    category: "credential",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "slack-token",
+    category: "credential",
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "openai-api-key",
+    category: "credential",
+    pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "stripe-secret-key",
+    category: "credential",
+    pattern: /\b[sr]k_live_[A-Za-z0-9]{20,}\b/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "google-api-key",
+    category: "credential",
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "jwt",
+    category: "credential",
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/,
+    replacement: "[secret redacted]",
+  },
+  {
+    id: "password-assignment",
+    category: "credential",
+    pattern: /\b(password|passwd|pwd|secret|api[_-]?key|token)\s*[:=]\s*["']?[^\s"']{6,}["']?/i,
+    replacement: "$1: [secret redacted]",
+  },
+  {
+    id: "connection-string",
+    category: "credential",
+    pattern: /\b(?:mongodb(?:\+srv)?|postgres(?:ql)?|mysql|redis|amqp):\/\/[^\s:@/]+:[^\s@/]+@/i,
+    replacement: "[secret redacted]@",
+  },
+
+  {
+    id: "profanity",
+    category: "profanity",
+    pattern: new RegExp(
+      `\\b(?:${profanityWords
+        .map((word) => word.replace("*", "\\w*"))
+        .join("|")})\\b`,
+      "i"
+    ),
+  },
+];
+
+// Global copies of the rules with a replacement, for redacting every match.
+// Credentials go first so a token is not half-matched by the phone rule.
+const redactionRules = ["credential", "contact"]
+  .flatMap((category) =>
+    rules.filter((rule) => rule.category === category && rule.replacement)
+  )
+  .map((rule) => ({
+    id: rule.id,
+    pattern: new RegExp(rule.pattern.source, `${rule.pattern.flags}g`),
+    replacement: rule.replacement,
+  }));
+
+module.exports = {
+  CATEGORIES,
+  profanityWords,
+  rules,
+  redactionRules,
+};
@@ -11,7 +11,10 @@ const plans = {
     maxProjects: 5,
     allowedExpertise: ["beginner"],
     allowedThemes: [1],
+    // Client personalities (see config/clientPersonalities)
+    allowedPersonalities: ["cooperative", "non_technical"],
     canMakePublic: false,
+    aiCallsPerMonth: 300, // agent requests, chat replies and analyses
     priceId: null, // No Stripe price for free plan
     features: {
       portfolioSharing: false,
@@ -22,6 +25,8 @@ const plans = {
         "1 portfolio theme",
         "Private portfolio only",
         "Beginner templates only",
+        "Easy client personalities",
+        "300 AI interactions per month",
       ],
     },
   },
@@ -33,7 +38,15 @@ const plans = {
     maxProjects: 15,
     allowedExpertise: ["beginner", "intermediate"],
     allowedThemes: [1, 2, 3],
+    allowedPersonalities: [
+      "cooperative",
+      "non_technical",
+      "vague",
+      "detail_oriented",
+      "slow_to_respond",
+    ],
     canMakePublic: true,
+    aiCallsPerMonth: 2000,
     priceId: process.env.STRIPE_PRICE_ID_PREMIUM,
     features: {
       portfolioSharing: true,
@@ -44,6 +57,8 @@ const plans = {
         "3 portfolio themes",
         "Public portfolio sharing",
         "Beginner + Intermediate templates",
+        "Vague, detail-oriented and busy clients",
+        "2,000 AI interactions per month",
         "Priority support",
       ],
     },
@@ -56,7 +71,9 @@ const plans = {
     maxProjects: null, // unlimited
     allowedExpertise: ["beginner", "intermediate", "advanced"],
     allowedThemes: "all",
+    allowedPersonalities: "all",
     canMakePublic: true,
+    aiCallsPerMonth: null, // unlimited
     priceId: process.env.STRIPE_PRICE_ID_PRO,
     features: {
       portfolioSharing: true,
@@ -67,6 +84,8 @@ const plans = {
         "All portfolio themes",
         "Public portfolio sharing",
         "All template levels",
+        "All client personalities, including demanding clients",
+        "Unlimited AI interactions",
         "Advanced features",
         "Portfolio analytics",
         "Priority support",
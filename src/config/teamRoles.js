@@ -0,0 +1,49 @@
+/**
+ * Team member roles
+ * What an invited team member can do besides reading the simulation.
+ * The owner can do everything; state changes, scope change decisions and
+ * invitations always stay with the owner.
+ */
+
+const PERMISSIONS = ["chat", "files", "milestones", "extend", "submit"];
+
+const teamRoles = {
+  developer: {
+    key: "developer",
+    displayName: "Developer",
+    permissions: ["chat", "files", "milestones", "extend", "submit"],
+  },
+
+  designer: {
+    key: "designer",
+    displayName: "Designer",
+    permissions: ["chat", "files", "milestones"],
+  },
+
+  reviewer: {
+    key: "reviewer",
+    displayName: "Reviewer",
+    permissions: ["chat"],
+  },
+};
+
+// Members who joined before roles were enforced
+const DEFAULT_ROLE = "developer";
+
+/**
+ * Whether a team role grants a permission
+ * @param {string} role - Role key
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+function roleAllows(role, permission) {
+  const config = teamRoles[role] || teamRoles[DEFAULT_ROLE];
+  return config.permissions.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  teamRoles,
+  DEFAULT_ROLE,
+  roleAllows,
+};
@@ -1,4 +1,6 @@
 const { getQueueStats } = require("../services/queue.service");
+const moderationService = require("../services/moderation.service");
+const agentUsageService = require("../services/agent-usage.service");
 const { Job } = require("../models");
 const { successResponse, errorResponse } = require("../utils/response");
 
@@ -50,6 +52,73 @@ async function listJobs(req, res, next) {
   }
 }
 
+/**
+ * List messages in the moderation queue (admin only)
+ * GET /admin/moderation/messages
+ */
+async function listModeratedMessages(req, res, next) {
+  try {
+    const result = await moderationService.listModeratedMessages(req.query);
+
+    return res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Resolve, dismiss or redact a flagged message (admin only)
+ * POST /admin/moderation/messages/:messageId/:action
+ */
+async function reviewMessage(req, res, next) {
+  try {
+    const { messageId, action } = req.params;
+
+    const message = await moderationService.reviewMessage(
+      messageId,
+      req.user.userId,
+      action,
+      req.body.note
+    );
+
+    return res.json(successResponse(message));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Moderation audit trail (admin only)
+ * GET /admin/moderation/audit
+ */
+async function listModerationAudit(req, res, next) {
+  try {
+    const result = await moderationService.listAuditTrail(req.query);
+
+    return res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Agent calls, latency, tokens and cost per user and/or day (admin only)
+ * GET /admin/ai-usage
+ */
+async function getAiUsage(req, res, next) {
+  try {
+    const report = await agentUsageService.getUsageReport(req.query);
+
+    return res.json(successResponse(report));
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   listJobs,
+  listModeratedMessages,
+  reviewMessage,
+  listModerationAudit,
+  getAiUsage,
 };
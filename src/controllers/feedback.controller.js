@@ -1,4 +1,5 @@
 const { Feedback } = require("../models");
+const simulationService = require("../services/simulation.service");
 const { successResponse, errorResponse } = require("../utils/response");
 
 /**
@@ -25,6 +26,8 @@ async function getSimulationFeedback(req, res, next) {
   try {
     const { simulationId } = req.params;
 
+    await simulationService.assertSimulationAccess(simulationId, req.user.userId);
+
     const feedback = await Feedback.findOne({ simulationId })
       .sort({ createdAt: -1 })
       .lean();
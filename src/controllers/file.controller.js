@@ -8,13 +8,14 @@ const { successResponse, errorResponse } = require("../utils/response");
 async function presignUpload(req, res, next) {
   try {
     const userId = req.user.userId;
-    const { filename, contentType, sizeBytes } = req.body;
+    const { filename, contentType, sizeBytes, simulationId } = req.body;
 
     const result = await fileService.generatePresignedUploadUrl(
       userId,
       filename,
       contentType,
-      sizeBytes
+      sizeBytes,
+      simulationId
     );
 
     return res.json(successResponse(result));
@@ -47,7 +48,7 @@ async function getFile(req, res, next) {
   try {
     const { id } = req.params;
 
-    const file = await fileService.getFileById(id);
+    const file = await fileService.getFileById(id, req.user.userId);
 
     return res.json(successResponse(file));
   } catch (error) {
@@ -63,7 +64,10 @@ async function getDownloadUrl(req, res, next) {
   try {
     const { id } = req.params;
 
-    const result = await fileService.generatePresignedDownloadUrl(id);
+    const result = await fileService.generatePresignedDownloadUrl(
+      id,
+      req.user.userId
+    );
 
     return res.json(successResponse(result));
   } catch (error) {
@@ -3,6 +3,7 @@ const { redisClient } = require('../config/redis');
 const { successResponse, errorResponse } = require('../utils/response');
 const logger = require('../config/logger');
 const { getQueueStats } = require('../services/queue.service');
+const agentService = require('../services/agent.service');
 
 /**
  * Health check endpoint
@@ -16,6 +17,7 @@ async function healthCheck(req, res) {
       database: 'unknown',
       redis: 'unknown',
       s3: 'unknown',
+      agent: 'unknown',
     },
   };
 
@@ -47,7 +49,15 @@ async function healthCheck(req, res) {
       health.services.s3 = 'not configured';
     }
 
-    const statusCode = health.status === 'healthy' ? 200 : 503;
+    // Agent service: reported by its circuit breaker, not probed. An open
+    // breaker degrades the API (chat and feedback fail fast) but doesn't take it down.
+    health.services.agent = agentService.getStatus();
+    const breakerState = health.services.agent.breaker?.state;
+    if (breakerState && breakerState !== 'closed' && health.status === 'healthy') {
+      health.status = 'degraded';
+    }
+
+    const statusCode = health.status === 'unhealthy' ? 503 : 200;
     
     return res.status(statusCode).json(successResponse(health));
   } catch (error) {
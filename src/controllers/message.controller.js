@@ -1,4 +1,5 @@
 const messageService = require("../services/message.service");
+const simulationService = require("../services/simulation.service");
 const { successResponse, errorResponse } = require("../utils/response");
 const logger = require("../config/logger");
 const { User } = require("../models");
@@ -16,7 +17,8 @@ async function listMessages(req, res, next) {
     const result = await messageService.listMessages(
       simulationId,
       cursor ? parseInt(cursor) : null,
-      parseInt(limit) || 200
+      parseInt(limit) || 200,
+      req.user.userId
     );
 
     return res.json(successResponse(result));
@@ -39,8 +41,15 @@ async function createMessage(req, res, next) {
       attachments,
       clientMessageId,
       metadata,
+      addressedTo,
+      replyTo,
     } = req.body;
 
+    // Agent/system messages posted by the frontend still need a team member
+    if (req.user?.userId) {
+      await simulationService.assertSimulationAccess(simulationId, req.user.userId);
+    }
+
     // System messages (type="system") bypass user requirement
     const isSystemMessage = req.body.type === "system";
 
@@ -111,8 +120,9 @@ async function createMessage(req, res, next) {
       contentType || "text",
       attachments || [],
       clientMessageId,
-      metadata, // Pass metadata to service
-      req.body.type // Pass message type
+      addressedTo ? { ...metadata, addressedTo } : metadata, // Pass metadata to service
+      req.body.type, // Pass message type
+      replyTo
     );
 
     return res.status(201).json(successResponse(message, "Message created"));
@@ -121,6 +131,28 @@ async function createMessage(req, res, next) {
   }
 }
 
+/**
+ * Get a message thread
+ * GET /simulations/:simulationId/messages/:messageId/thread
+ */
+async function getThread(req, res, next) {
+  try {
+    const { simulationId, messageId } = req.params;
+    const { cursor, limit } = req.query;
+
+    const thread = await messageService.getThread(
+      simulationId,
+      messageId,
+      req.user.userId,
+      { cursor, limit }
+    );
+
+    return res.json(successResponse(thread));
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Edit a message
  * PATCH /simulations/:simulationId/messages/:messageId
@@ -143,8 +175,75 @@ async function editMessage(req, res, next) {
   }
 }
 
+/**
+ * List the edit history of a message
+ * GET /simulations/:simulationId/messages/:messageId/revisions
+ */
+async function listRevisions(req, res, next) {
+  try {
+    const { simulationId, messageId } = req.params;
+
+    const revisions = await messageService.listRevisions(
+      simulationId,
+      messageId,
+      req.user.userId
+    );
+
+    return res.json(successResponse(revisions));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Diff two revisions of a message
+ * GET /simulations/:simulationId/messages/:messageId/revisions/diff
+ */
+async function getRevisionDiff(req, res, next) {
+  try {
+    const { simulationId, messageId } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await messageService.getRevisionDiff(
+      simulationId,
+      messageId,
+      req.user.userId,
+      { from, to }
+    );
+
+    return res.json(successResponse(diff));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Report a message for moderation
+ * POST /simulations/:simulationId/messages/:messageId/flag
+ */
+async function flagMessage(req, res, next) {
+  try {
+    const { simulationId, messageId } = req.params;
+
+    const result = await messageService.flagMessage(
+      simulationId,
+      messageId,
+      req.user.userId,
+      req.body.reason
+    );
+
+    return res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   listMessages,
   createMessage,
+  getThread,
   editMessage,
+  listRevisions,
+  getRevisionDiff,
+  flagMessage,
 };
@@ -1,6 +1,14 @@
 const simulationService = require("../services/simulation.service");
 const limitsService = require("../services/limits.service");
+const milestoneService = require("../services/milestone.service");
+const scopeChangeService = require("../services/scope-change.service");
+const transcriptService = require("../services/transcript.service");
+const teamService = require("../services/team.service");
+const showcaseService = require("../services/showcase.service");
+const timelineService = require("../services/timeline.service");
+const readReceiptService = require("../services/read-receipt.service");
 const Project = require("../../models/Project");
+const { resolvePersonalityKey } = require("../config/clientPersonalities");
 const { successResponse, errorResponse } = require("../utils/response");
 const mongoose = require("mongoose");
 
@@ -9,6 +17,7 @@ const mongoose = require("mongoose");
  * POST /simulations
  */
 async function createSimulation(req, res, next) {
+  let reservationId;
   try {
     const userId = req.user.userId;
     const data = req.body;
@@ -46,8 +55,27 @@ async function createSimulation(req, res, next) {
       return res.status(403).json(errorResponse(canUse.reason));
     }
 
-    // Create simulation
-    const simulation = await simulationService.createSimulation(userId, data);
+    // Validate client personality access (defaults to one for the expertise level)
+    const clientPersonality = resolvePersonalityKey(data.clientPersonality, expertiseLevel);
+    const canUsePersonality = await limitsService.canUsePersonality(userId, clientPersonality);
+    if (!canUsePersonality.allowed) {
+      return res.status(403).json(errorResponse(canUsePersonality.reason));
+    }
+
+    // Generating the requirements is an AI call; reserve it last so a
+    // request refused above doesn't hold one
+    const aiUsage = await limitsService.reserveAiCall(userId, "requirements");
+    if (!aiUsage.allowed) {
+      return res.status(403).json(errorResponse(aiUsage.reason));
+    }
+    reservationId = aiUsage.reservationId;
+
+    // Create simulation (releases the reservation if it reuses a duplicate)
+    const simulation = await simulationService.createSimulation(
+      userId,
+      { ...data, clientPersonality },
+      { reservationId }
+    );
 
     return res.status(202).json(
       successResponse(
@@ -59,6 +87,7 @@ async function createSimulation(req, res, next) {
       )
     );
   } catch (error) {
+    await limitsService.releaseAiCall(reservationId);
     next(error);
   }
 }
@@ -70,8 +99,9 @@ async function createSimulation(req, res, next) {
 async function getSimulation(req, res, next) {
   try {
     const { id } = req.params;
+    const userId = req.user.userId;
 
-    const simulation = await simulationService.getSimulationById(id);
+    const simulation = await simulationService.getSimulationById(id, userId);
     console.log("data" + simulation);
     return res.json(successResponse(simulation));
   } catch (error) {
@@ -146,6 +176,40 @@ async function updateSimulationState(req, res, next) {
   }
 }
 
+/**
+ * Pause a simulation
+ * POST /simulations/:id/pause
+ */
+async function pauseSimulation(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const simulation = await simulationService.pauseSimulation(id, userId);
+
+    return res.json(successResponse(simulation, "Simulation paused"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Resume a paused simulation
+ * POST /simulations/:id/resume
+ */
+async function resumeSimulation(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const simulation = await simulationService.resumeSimulation(id, userId);
+
+    return res.json(successResponse(simulation, "Simulation resumed"));
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Add participant to simulation
  * POST /simulations/:id/participants
@@ -154,10 +218,12 @@ async function addParticipant(req, res, next) {
   try {
     const { id } = req.params;
     const participantData = req.body;
+    const userId = req.user.userId;
 
     const simulation = await simulationService.addParticipant(
       id,
-      participantData
+      participantData,
+      userId
     );
 
     return res.json(successResponse(simulation, "Participant added"));
@@ -183,12 +249,363 @@ async function archiveSimulation(req, res, next) {
   }
 }
 
+/**
+ * List simulation milestones
+ * GET /simulations/:id/milestones
+ */
+async function listMilestones(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const milestones = await milestoneService.listMilestones(id, userId);
+
+    return res.json(successResponse(milestones));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Complete a milestone
+ * POST /simulations/:id/milestones/:milestoneId/complete
+ */
+async function completeMilestone(req, res, next) {
+  try {
+    const { id, milestoneId } = req.params;
+    const userId = req.user.userId;
+
+    const milestone = await milestoneService.completeMilestone(
+      id,
+      milestoneId,
+      userId
+    );
+
+    return res.json(successResponse(milestone, "Milestone completed"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List client scope changes
+ * GET /simulations/:id/scope-changes
+ */
+async function listScopeChanges(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const result = await scopeChangeService.listScopeChanges(id, userId);
+
+    return res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Accept a client scope change
+ * POST /simulations/:id/scope-changes/:changeId/accept
+ */
+async function acceptScopeChange(req, res, next) {
+  try {
+    const { id, changeId } = req.params;
+    const userId = req.user.userId;
+
+    const result = await scopeChangeService.acceptScopeChange(
+      id,
+      changeId,
+      userId
+    );
+
+    return res.json(successResponse(result, "Scope change accepted"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Negotiate a client scope change in chat
+ * POST /simulations/:id/scope-changes/:changeId/negotiate
+ */
+async function negotiateScopeChange(req, res, next) {
+  try {
+    const { id, changeId } = req.params;
+    const { message } = req.body;
+    const userId = req.user.userId;
+
+    const result = await scopeChangeService.negotiateScopeChange(
+      id,
+      changeId,
+      userId,
+      message
+    );
+
+    return res
+      .status(201)
+      .json(successResponse(result, "Negotiation message sent"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Export simulation transcript
+ * GET /simulations/:id/transcript?format=md|json|html
+ */
+async function getTranscript(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+    const userId = req.user.userId;
+
+    const transcript = await transcriptService.getTranscript(id, userId, format);
+
+    if (format === "json") {
+      return res.json(successResponse(transcript.body));
+    }
+
+    res.set("Content-Type", transcript.contentType);
+    res.set(
+      "Content-Disposition",
+      `inline; filename="${transcript.filename}"`
+    );
+    return res.send(transcript.body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List simulation participants
+ * GET /simulations/:id/participants
+ */
+async function listParticipants(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const participants = await teamService.listParticipants(id, userId);
+
+    return res.json(successResponse(participants));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Invite a registered user to the simulation team
+ * POST /simulations/:id/invitations
+ */
+async function inviteParticipant(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const participant = await teamService.inviteParticipant(id, userId, req.body);
+
+    return res.status(201).json(successResponse(participant, "Invitation sent"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List client personalities and whether the user's plan includes them
+ * GET /simulations/personalities
+ */
+async function listClientPersonalities(req, res, next) {
+  try {
+    const personalities = await limitsService.listPersonalities(req.user.userId);
+
+    return res.json(successResponse(personalities));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List pending team invitations for the current user
+ * GET /simulations/invitations
+ */
+async function listInvitations(req, res, next) {
+  try {
+    const userId = req.user.userId;
+
+    const invitations = await teamService.listInvitations(userId);
+
+    return res.json(successResponse(invitations));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Accept a team invitation
+ * POST /simulations/:id/invitations/accept
+ */
+async function acceptInvitation(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const participant = await teamService.respondToInvitation(id, userId, true);
+
+    return res.json(successResponse(participant, "Invitation accepted"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Decline a team invitation
+ * POST /simulations/:id/invitations/decline
+ */
+async function declineInvitation(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const participant = await teamService.respondToInvitation(id, userId, false);
+
+    return res.json(successResponse(participant, "Invitation declined"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a team member, or leave the team
+ * DELETE /simulations/:id/participants/:userId
+ */
+async function removeParticipant(req, res, next) {
+  try {
+    const { id, userId: participantUserId } = req.params;
+    const userId = req.user.userId;
+
+    const participant = await teamService.removeParticipant(
+      id,
+      userId,
+      participantUserId
+    );
+
+    return res.json(successResponse(participant, "Participant removed"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the public showcase of a simulation (no auth)
+ * GET /simulations/public/:idOrSlug
+ */
+async function getPublicSimulation(req, res, next) {
+  try {
+    const { idOrSlug } = req.params;
+
+    const showcase = await showcaseService.getPublicSimulation(idOrSlug);
+
+    return res.json(successResponse(showcase));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update showcase privacy settings
+ * PATCH /simulations/:id/settings
+ */
+async function updateShowcaseSettings(req, res, next) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Public showcases follow the same plan rule as public portfolios
+    if (req.body.privacy === "public") {
+      const canMakePublic = await limitsService.canMakePublic(userId);
+      if (!canMakePublic.allowed) {
+        return res.status(403).json(errorResponse(canMakePublic.reason));
+      }
+    }
+
+    const settings = await showcaseService.updateShowcaseSettings(
+      id,
+      userId,
+      req.body
+    );
+
+    return res.json(successResponse(settings, "Settings updated"));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the simulation replay timeline
+ * GET /simulations/:id/timeline?cursor=&limit=&types=state,message
+ */
+async function getTimeline(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { cursor, limit, types } = req.query;
+    const userId = req.user.userId;
+
+    const result = await timelineService.getTimeline(id, userId, {
+      cursor,
+      limit,
+      types: types ? types.split(",") : undefined,
+    });
+
+    return res.json(successResponse(result));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Mark messages read up to a sequence (default: latest)
+ * POST /simulations/:id/read
+ */
+async function markRead(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { sequence } = req.body;
+    const userId = req.user.userId;
+
+    const receipt = await readReceiptService.markRead(id, userId, { sequence });
+
+    return res.json(successResponse(receipt));
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   createSimulation,
   getSimulation,
   listUserSimulations,
   startSimulation,
   updateSimulationState,
+  pauseSimulation,
+  resumeSimulation,
   addParticipant,
+  listParticipants,
+  inviteParticipant,
+  listClientPersonalities,
+  listInvitations,
+  acceptInvitation,
+  declineInvitation,
+  removeParticipant,
   archiveSimulation,
+  listMilestones,
+  completeMilestone,
+  listScopeChanges,
+  acceptScopeChange,
+  negotiateScopeChange,
+  getTranscript,
+  getTimeline,
+  markRead,
+  getPublicSimulation,
+  updateShowcaseSettings,
 };
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const { getRedisConnection } = require("../config/redis");
+const { BadRequestError, ConflictError, AppError } = require("../utils/errors");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+const HEADER = "idempotency-key";
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const LOCK_TTL_SECONDS = 5 * 60; // a crashed request frees its key after this
+const MUTATING_METHODS = ["POST", "PATCH"];
+
+/**
+ * In-memory fallback store, used when Redis is unavailable.
+ * Only protects retries that land on the same process.
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  async setIfAbsent(key, value, ttlSeconds) {
+    this.prune();
+    if (await this.get(key)) return false;
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return true;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+}
+
+class RedisStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async setIfAbsent(key, value, ttlSeconds) {
+    return (await this.client.set(key, value, "EX", ttlSeconds, "NX")) === "OK";
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, value, "EX", ttlSeconds);
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+}
+
+const memoryStore = new MemoryStore();
+
+function getStore() {
+  const client = getRedisConnection();
+  return client ? new RedisStore(client) : memoryStore;
+}
+
+/**
+ * JSON with sorted keys so equal payloads hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function fingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest("hex");
+}
+
+/**
+ * Whether a response should be replayed on retry. Server errors and
+ * rate limits are transient, so the key is released instead.
+ */
+function isReplayable(statusCode) {
+  return statusCode < 500 && statusCode !== 429;
+}
+
+/**
+ * Idempotency-Key middleware for POST/PATCH routes.
+ *
+ * The first response for a key is stored and replayed (with an
+ * `Idempotent-Replayed: true` header) on retries. Reusing a key with a
+ * different method, path or body is rejected with 422, and a retry that
+ * arrives while the first request is still running gets 409.
+ * Requests without the header are passed through unchanged.
+ *
+ * @param {object} options
+ * @param {number} options.ttlSeconds - How long responses are replayed
+ */
+function idempotency({ ttlSeconds = config.idempotencyTtlSeconds } = {}) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get(HEADER);
+    if (!idempotencyKey || !MUTATING_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+      return next(
+        new BadRequestError("Idempotency-Key must be 1-255 printable ASCII characters")
+      );
+    }
+
+    const principal = req.user?.userId || req.ip;
+    const storeKey = `idem:${principal}:${idempotencyKey}`;
+    const requestHash = fingerprint(req);
+
+    const lock = JSON.stringify({ status: "processing", requestHash });
+    let store = getStore();
+    let record = null;
+    try {
+      if (!(await store.setIfAbsent(storeKey, lock, LOCK_TTL_SECONDS))) {
+        record = JSON.parse(await store.get(storeKey));
+      }
+    } catch (error) {
+      logger.warn(`Idempotency store unavailable, using memory: ${error.message}`);
+      store = memoryStore;
+      if (!(await store.setIfAbsent(storeKey, lock, LOCK_TTL_SECONDS))) {
+        record = JSON.parse(await store.get(storeKey));
+      }
+    }
+
+    if (record) {
+      if (record.requestHash !== requestHash) {
+        return next(
+          new AppError("Idempotency-Key was already used with a different request", 422)
+        );
+      }
+
+      if (record.status === "processing") {
+        return next(
+          new ConflictError("A request with this Idempotency-Key is still in progress")
+        );
+      }
+
+      logger.info(`Replaying response for Idempotency-Key ${idempotencyKey}`);
+      res.set("Idempotent-Replayed", "true");
+      if (record.contentType) res.set("Content-Type", record.contentType);
+      return res.status(record.statusCode).send(record.body);
+    }
+
+    // Capture the body as it is sent (res.json calls res.send)
+    let responseBody;
+    const originalSend = res.send.bind(res);
+    res.send = (body) => {
+      responseBody = body;
+      return originalSend(body);
+    };
+
+    res.on("finish", async () => {
+      try {
+        if (!isReplayable(res.statusCode)) {
+          await store.del(storeKey);
+          return;
+        }
+
+        await store.set(
+          storeKey,
+          JSON.stringify({
+            status: "completed",
+            requestHash,
+            statusCode: res.statusCode,
+            contentType: res.get("Content-Type"),
+            body: Buffer.isBuffer(responseBody)
+              ? responseBody.toString("utf8")
+              : responseBody,
+          }),
+          ttlSeconds
+        );
+      } catch (error) {
+        logger.error(`Failed to store idempotent response for ${storeKey}:`, error);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotency,
+  MemoryStore,
+  stableStringify,
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * One AI agent invocation, recorded by services/agent.service for usage
+ * accounting (see services/agent-usage.service). A "reserved" entry holds
+ * a call that was allowed under the monthly cap but hasn't run yet.
+ */
+const agentCallSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  simulationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Simulation',
+  },
+  operation: {
+    type: String,
+    enum: ['requirements', 'chat', 'chat_stream', 'feedback'],
+    required: true,
+  },
+  provider: {
+    type: String,
+    maxlength: 20,
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'success', 'error', 'degraded', 'cancelled'],
+    required: true,
+  },
+  durationMs: {
+    type: Number,
+    min: 0,
+    required: true,
+  },
+  requestBytes: {
+    type: Number,
+    min: 0,
+  },
+  responseBytes: {
+    type: Number,
+    min: 0,
+  },
+  // Only set when the agent service reports usage
+  tokens: {
+    input: Number,
+    output: Number,
+    total: Number,
+  },
+  costUsd: {
+    type: Number,
+    min: 0,
+  },
+  errorCode: {
+    type: String,
+    maxlength: 100,
+  },
+  errorMessage: {
+    type: String,
+    maxlength: 500,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+agentCallSchema.index({ userId: 1, createdAt: -1 });
+agentCallSchema.index({ createdAt: -1 });
+agentCallSchema.index(
+  { userId: 1, createdAt: 1 },
+  { partialFilterExpression: { status: 'reserved' } }
+);
+
+const AgentCall = mongoose.model('AgentCall', agentCallSchema);
+
+module.exports = AgentCall;
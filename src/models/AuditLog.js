@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+/**
+ * Append-only record of moderation decisions (and other privileged actions)
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      maxlength: 100, // e.g. "moderation.redacted"
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "admin", "system"],
+        required: true,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    target: {
+      type: {
+        type: String,
+        enum: ["message"],
+        required: true,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    },
+    simulationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Simulation",
+    },
+    note: {
+      type: String,
+      maxlength: 1000,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.id": 1, createdAt: -1 });
+
+// Entries are never changed once written
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function (next) {
+    next(new Error("Audit log entries are immutable"));
+  }
+);
+
+auditLogSchema.statics.record = function (entry) {
+  return this.create(entry);
+};
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
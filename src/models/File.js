@@ -7,6 +7,12 @@ const fileSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  // Simulation the file was shared in; team members get read access
+  simulationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Simulation',
+    index: true,
+  },
   url: {
     type: String,
     required: true,
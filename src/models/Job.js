@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const jobSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['repo_analysis', 'feedback_generation', 'requirements_generation', 'message_agent', 'analysis_cleanup'],
+    enum: ['repo_analysis', 'feedback_generation', 'requirements_generation', 'message_agent', 'analysis_cleanup', 'retention_cleanup'],
     required: true,
     index: true,
   },
@@ -14,6 +14,14 @@ const senderSchema = new mongoose.Schema({
     type: String,
     maxlength: 100,
   },
+  // Agent persona handle and avatar (see Simulation participants)
+  handle: {
+    type: String,
+    maxlength: 50,
+  },
+  avatarUrl: {
+    type: String,
+  },
 }, { _id: false });
 
 const attachmentSchema = new mongoose.Schema({
@@ -37,6 +45,48 @@ const attachmentSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+// A superseded version of the message content
+const revisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 10000,
+  },
+  // When this version was written and by whom
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { _id: false });
+
+// Why a message was flagged: a rule from config/moderationRules or a user report
+const moderationReasonSchema = new mongoose.Schema({
+  rule: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  category: {
+    type: String,
+    enum: ['profanity', 'contact', 'credential', 'report'],
+    required: true,
+  },
+  // Masked match or the reporter's comment; never the raw secret
+  excerpt: {
+    type: String,
+    maxlength: 500,
+  },
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   simulationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -69,10 +119,59 @@ const messageSchema = new mongoose.Schema({
     default: 'text',
   },
   attachments: [attachmentSchema],
+  // Message this one replies to (shown as a quote)
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+  },
+  // First message of the thread; replies to replies share their parent's root
+  threadRootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+  },
+  // Reply count and last reply time, kept on thread roots only
+  threadCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  lastReplyAt: {
+    type: Date,
+  },
+  // Previous versions, oldest first; the current content is the next revision
+  revisions: {
+    type: [revisionSchema],
+    default: undefined,
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {},
   },
+  // Moderation queue state (see services/moderation.service)
+  moderation: {
+    status: {
+      type: String,
+      enum: ['flagged', 'resolved', 'dismissed', 'redacted'],
+    },
+    source: {
+      type: String,
+      enum: ['auto', 'report', 'admin'],
+    },
+    reasons: {
+      type: [moderationReasonSchema],
+      default: undefined,
+    },
+    flaggedAt: Date,
+    flaggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
 }, {
   timestamps: true,
 });
@@ -81,15 +180,90 @@ const messageSchema = new mongoose.Schema({
 messageSchema.index({ simulationId: 1, sequence: 1 }, { unique: true });
 messageSchema.index({ simulationId: 1, createdAt: -1 });
 messageSchema.index({ clientMessageId: 1 }, { sparse: true });
+messageSchema.index(
+  { 'moderation.status': 1, 'moderation.flaggedAt': -1 },
+  { partialFilterExpression: { 'moderation.status': { $exists: true } } }
+);
+messageSchema.index(
+  { threadRootId: 1, sequence: 1 },
+  { partialFilterExpression: { threadRootId: { $exists: true } } }
+);
 
-// Static method to get next sequence number
-messageSchema.statics.getNextSequence = async function(simulationId) {
+const MAX_SEQUENCE_ATTEMPTS = 5;
+
+function isSequenceConflict(error) {
+  return error?.code === 11000 && Boolean(error.keyPattern?.sequence);
+}
+
+/**
+ * Raise the simulation's counter to the highest stored sequence. Used to
+ * seed simulations created before the counter existed and to recover when
+ * a message was written with a sequence the counter didn't hand out.
+ */
+messageSchema.statics.syncSequenceCounter = async function(simulationId) {
   const lastMessage = await this.findOne({ simulationId })
     .sort({ sequence: -1 })
     .select('sequence')
     .lean();
-  
-  return lastMessage ? lastMessage.sequence + 1 : 1;
+
+  // $max never moves the counter backwards, so concurrent syncs are safe
+  await mongoose.model('Simulation').updateOne(
+    { _id: simulationId },
+    { $max: { messageSequence: lastMessage ? lastMessage.sequence : 0 } }
+  );
+};
+
+// Static method to get next sequence number (atomic per-simulation counter)
+messageSchema.statics.getNextSequence = async function(simulationId) {
+  const Simulation = mongoose.model('Simulation');
+
+  const increment = () => Simulation.findOneAndUpdate(
+    { _id: simulationId, messageSequence: { $exists: true } },
+    { $inc: { messageSequence: 1 } },
+    { new: true, projection: { messageSequence: 1 } }
+  ).lean();
+
+  let simulation = await increment();
+  if (!simulation) {
+    await this.syncSequenceCounter(simulationId);
+    simulation = await increment();
+  }
+
+  if (!simulation) {
+    throw new Error(`Simulation ${simulationId} not found`);
+  }
+
+  return simulation.messageSequence;
+};
+
+/**
+ * Create a message with the next sequence number. Every message writer goes
+ * through here; on a duplicate {simulationId, sequence} the counter is
+ * resynced and a fresh sequence is allocated. Replies bump their thread
+ * root's reply count.
+ */
+messageSchema.statics.createWithSequence = async function(data) {
+  let message;
+  for (let attempt = 1; !message; attempt++) {
+    const sequence = await this.getNextSequence(data.simulationId);
+    try {
+      message = await this.create({ ...data, sequence });
+    } catch (error) {
+      if (!isSequenceConflict(error) || attempt >= MAX_SEQUENCE_ATTEMPTS) {
+        throw error;
+      }
+      await this.syncSequenceCounter(data.simulationId);
+    }
+  }
+
+  if (message.threadRootId) {
+    await this.updateOne(
+      { _id: message.threadRootId },
+      { $inc: { threadCount: 1 }, $max: { lastReplyAt: message.createdAt } }
+    );
+  }
+
+  return message;
 };
 
 // Static method to find by simulation with pagination
@@ -117,17 +291,30 @@ messageSchema.statics.existsByClientId = async function(simulationId, clientMess
   return count > 0;
 };
 
-// Method to edit message
-messageSchema.methods.edit = function(newContent, userId) {
-  this.content = newContent;
-  this.metadata.editedAt = new Date();
-  this.metadata.editedBy = userId;
-  return this.save();
+// Current revision number (1 for a message that was never edited)
+messageSchema.methods.currentRevision = function() {
+  const last = this.revisions?.[this.revisions.length - 1];
+  return last ? last.revision + 1 : 1;
 };
 
-// Method to flag message
-messageSchema.methods.flag = function() {
-  this.metadata.flagged = true;
+// Method to edit message, keeping the previous content as a revision
+messageSchema.methods.edit = function(newContent, userId) {
+  const revisions = this.revisions || [];
+  revisions.push({
+    revision: this.currentRevision(),
+    content: this.content,
+    createdAt: this.metadata?.editedAt || this.createdAt,
+    createdBy: this.metadata?.editedBy || this.sender.id,
+  });
+  this.revisions = revisions;
+
+  this.content = newContent;
+  // Reassign so Mongoose sees the change to the Mixed path
+  this.metadata = {
+    ...this.metadata,
+    editedAt: new Date(),
+    editedBy: userId,
+  };
   return this.save();
 };
 
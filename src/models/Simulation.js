@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { roleAllows } = require("../config/teamRoles");
 
 const participantSchema = new mongoose.Schema(
   {
@@ -23,6 +24,23 @@ const participantSchema = new mongoose.Schema(
     avatarUrl: {
       type: String,
     },
+    // Agent persona fields (type "agent" only)
+    handle: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: 50,
+    },
+    personaPrompt: {
+      type: String,
+      maxlength: 4000,
+    },
+    topics: [
+      {
+        type: String,
+        maxlength: 50,
+      },
+    ],
     joinedAt: {
       type: Date,
       default: Date.now,
@@ -30,6 +48,22 @@ const participantSchema = new mongoose.Schema(
     leftAt: {
       type: Date,
     },
+    // Team membership (user participants only; missing means active)
+    status: {
+      type: String,
+      enum: ["invited", "active", "declined", "left"],
+      default: "active",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    invitedAt: {
+      type: Date,
+    },
+    respondedAt: {
+      type: Date,
+    },
   },
   { _id: false }
 );
@@ -52,6 +86,143 @@ const stateHistorySchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Per-user read position in the transcript. Kept apart from participants
+// because the simulation owner isn't listed there.
+const readCursorSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastReadSequence: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// Deadline extension asked for with the /extend chat command; the client
+// decides immediately (see simulationService.requestDeadlineExtension)
+const deadlineExtensionSchema = new mongoose.Schema({
+  hours: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+  },
+  status: {
+    type: String,
+    enum: ["approved", "declined"],
+    required: true,
+  },
+  decisionReason: {
+    type: String,
+    maxlength: 500,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200,
+  },
+  description: {
+    type: String,
+    maxlength: 2000,
+  },
+  order: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  dueAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "completed", "overdue"],
+    default: "pending",
+  },
+  completedAt: {
+    type: Date,
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  overdueAt: {
+    type: Date,
+  },
+});
+
+const scopeChangeSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  key: {
+    type: String,
+    maxlength: 100,
+  },
+  kind: {
+    type: String,
+    enum: ["add", "remove"],
+    required: true,
+  },
+  summary: {
+    type: String,
+    required: true,
+    maxlength: 500,
+  },
+  diff: {
+    added: [String],
+    removed: [String],
+  },
+  status: {
+    type: String,
+    enum: ["proposed", "negotiating", "accepted"],
+    default: "proposed",
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+  },
+  proposedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  respondedAt: {
+    type: Date,
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  requirementsVersion: {
+    type: Number, // Requirements version produced when the change was applied
+  },
+});
+
 const simulationSchema = new mongoose.Schema(
   {
     userId: {
@@ -74,6 +245,12 @@ const simulationSchema = new mongoose.Schema(
       complexityScore: Number,
       version: Number,
       requirements: mongoose.Schema.Types.Mixed,
+      requirementsVersion: {
+        type: Number,
+        default: 1,
+      },
+      // Agent response contract the requirements were parsed with
+      agentContractVersion: String,
     },
     projectName: {
       type: String,
@@ -91,12 +268,25 @@ const simulationSchema = new mongoose.Schema(
       expertise: String,
       durationDays: Number,
     },
+    // How the client behaves; copied from config/clientPersonalities at creation
+    clientPersonality: {
+      key: String,
+      displayName: String,
+      difficulty: String,
+      traits: {
+        type: [String],
+        default: undefined,
+      },
+      prompt: String,
+      replyDelayMs: Number,
+    },
     state: {
       type: String,
       enum: [
         "created",
         "requirements_sent",
         "in_progress",
+        "paused",
         "completed",
         "archived",
         "cancelled",
@@ -110,9 +300,23 @@ const simulationSchema = new mongoose.Schema(
       maxlength: 100,
     },
     participants: [participantSchema],
+    milestones: [milestoneSchema],
+    scopeChanges: [scopeChangeSchema],
+    deadlineExtensions: [deadlineExtensionSchema],
+    scopeChangesScheduledAt: {
+      type: Date,
+    },
+    // Scope changes that came due while paused, re-enqueued on resume
+    scopeChangesDeferred: {
+      type: Number,
+      default: 0,
+    },
     startedAt: {
       type: Date,
     },
+    pausedAt: {
+      type: Date,
+    },
     endedAt: {
       type: Date,
     },
@@ -120,6 +324,24 @@ const simulationSchema = new mongoose.Schema(
       type: Date,
       index: true,
     },
+    // Last allocated Message.sequence; only updated atomically through
+    // Message.getNextSequence. Missing on simulations created before it existed.
+    messageSequence: {
+      type: Number,
+      min: 0,
+    },
+    // Only moved forward, through services/read-receipt.service
+    readCursors: [readCursorSchema],
+    // Rolling summary of chat turns too old for the Agent 2 context window,
+    // only extended, through services/conversation-context.service
+    conversationSummary: {
+      text: {
+        type: String,
+        maxlength: 20000,
+      },
+      throughSequence: Number,
+      updatedAt: Date,
+    },
     meta: {
       score: {
         type: Number,
@@ -134,6 +356,10 @@ const simulationSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      pausedSeconds: {
+        type: Number,
+        default: 0,
+      },
       completionPercentage: {
         type: Number,
         min: 0,
@@ -147,7 +373,15 @@ const simulationSchema = new mongoose.Schema(
         enum: ["s3", "database"],
         default: "database",
       },
-      ref: String,
+      ref: String, // File ID of the offloaded transcript
+      uploadedAt: Date,
+      prunedAt: Date, // Set when Message documents were removed after upload
+    },
+    // Set by the retention job (services/retention.service)
+    retention: {
+      autoArchivedAt: Date,
+      purgeWarnedAt: Date,
+      purgeAfter: Date,
     },
     settings: {
       privacy: {
@@ -159,6 +393,13 @@ const simulationSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Readable handle for GET /simulations/public/:slug
+      publicSlug: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        maxlength: 120,
+      },
     },
     feedbackId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -182,6 +423,10 @@ const simulationSchema = new mongoose.Schema(
 simulationSchema.index({ userId: 1, createdAt: -1 });
 simulationSchema.index({ state: 1, lastMessageAt: -1 });
 simulationSchema.index({ projectTemplateId: 1 });
+simulationSchema.index({ "milestones.status": 1, "milestones.dueAt": 1 });
+simulationSchema.index({ "participants.id": 1, "participants.status": 1 });
+simulationSchema.index({ state: 1, "retention.purgeAfter": 1 });
+simulationSchema.index({ "settings.publicSlug": 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to track state changes
 simulationSchema.pre("save", function (next) {
@@ -199,7 +444,8 @@ simulationSchema.methods.transitionState = function (newState, userId = null) {
   const validTransitions = {
     created: ["requirements_sent", "cancelled"],
     requirements_sent: ["in_progress", "cancelled"],
-    in_progress: ["completed", "cancelled", "archived"],
+    in_progress: ["paused", "completed", "cancelled", "archived"],
+    paused: ["in_progress", "cancelled", "archived"],
     completed: ["archived"],
     archived: [],
     cancelled: [],
@@ -211,25 +457,55 @@ simulationSchema.methods.transitionState = function (newState, userId = null) {
     );
   }
 
+  const now = new Date();
+
+  // Leaving a pause: bank the paused interval and push pending deadlines back
+  if (this.state === "paused" && this.pausedAt) {
+    const pausedMs = now - this.pausedAt;
+    this.meta.pausedSeconds =
+      (this.meta.pausedSeconds || 0) + Math.floor(pausedMs / 1000);
+    this.milestones.forEach((milestone) => {
+      if (milestone.status === "pending") {
+        milestone.dueAt = new Date(milestone.dueAt.getTime() + pausedMs);
+      }
+    });
+    this.pausedAt = undefined;
+  }
+
+  if (newState === "paused") {
+    this.pausedAt = now;
+  }
+
   this.state = newState;
   this.stateHistory.push({
     state: newState,
-    at: new Date(),
+    at: now,
     by: userId,
   });
 
+  // First start: milestones were planned from createdAt (see buildMilestones),
+  // so move pending deadlines forward by the time spent before starting
   if (newState === "in_progress" && !this.startedAt) {
-    this.startedAt = new Date();
+    this.startedAt = now;
+    const plannedFrom = this.createdAt || now;
+    const waitedMs = Math.max(now - plannedFrom, 0);
+    this.milestones.forEach((milestone) => {
+      if (milestone.status === "pending" && milestone.dueAt) {
+        milestone.dueAt = new Date(milestone.dueAt.getTime() + waitedMs);
+      }
+    });
   }
 
   if (
     ["completed", "cancelled", "archived"].includes(newState) &&
     !this.endedAt
   ) {
-    this.endedAt = new Date();
+    this.endedAt = now;
     if (this.startedAt) {
-      this.meta.durationSeconds = Math.floor(
-        (this.endedAt - this.startedAt) / 1000
+      this.meta.durationSeconds = Math.max(
+        Math.floor((this.endedAt - this.startedAt) / 1000) -
+          (this.meta.pausedSeconds || 0),
+        0
       );
     }
   }
@@ -243,6 +519,22 @@ simulationSchema.methods.addParticipant = function (participantData) {
   return this.save();
 };
 
+// Method to complete a milestone (late completions keep their overdueAt)
+simulationSchema.methods.completeMilestone = function (milestoneId, userId = null) {
+  const milestone = this.milestones.id(milestoneId);
+  if (!milestone) {
+    throw new Error(`Milestone ${milestoneId} not found`);
+  }
+
+  if (milestone.status !== "completed") {
+    milestone.status = "completed";
+    milestone.completedAt = new Date();
+    milestone.completedBy = userId;
+  }
+
+  return this.save();
+};
+
 // Method to update message count
 simulationSchema.methods.incrementMessageCount = function () {
   this.meta.totalMessages += 1;
@@ -258,6 +550,93 @@ simulationSchema.statics.findActive = function (userId) {
   }).sort({ lastMessageAt: -1 });
 };
 
+// Static helper: total paused time in ms, including an ongoing pause.
+// Works on lean documents so dashboard/badge code can use it.
+simulationSchema.statics.getPausedMs = function (sim, until = new Date()) {
+  const banked = (sim.meta?.pausedSeconds || 0) * 1000;
+  if (sim.state === "paused" && sim.pausedAt) {
+    return banked + Math.max(new Date(until) - new Date(sim.pausedAt), 0);
+  }
+  return banked;
+};
+
+// Static helper: approved deadline extensions in ms. Works on lean documents.
+simulationSchema.statics.getExtensionMs = function (sim) {
+  return (sim.deadlineExtensions || [])
+    .filter((extension) => extension.status === "approved")
+    .reduce((total, extension) => total + extension.hours * 60 * 60 * 1000, 0);
+};
+
+// Static helper: planned duration in days (user filter first, then template)
+simulationSchema.statics.getPlannedDurationDays = function (sim) {
+  return sim.filters?.durationDays || sim.templateSnapshot?.durationEstimateDays || null;
+};
+
+// Static helper: deadline as a timestamp, or null when the project has no
+// planned duration. Paused time and approved extensions push it back.
+simulationSchema.statics.getDeadlineTimestamp = function (sim) {
+  const durationDays = this.getPlannedDurationDays(sim);
+  if (!durationDays) return null;
+
+  const startDate = sim.startedAt || sim.createdAt;
+  return (
+    new Date(startDate).getTime() +
+    durationDays * 24 * 60 * 60 * 1000 +
+    this.getPausedMs(sim) +
+    this.getExtensionMs(sim)
+  );
+};
+
+// Static helper: query filter for simulations a user owns or has joined
+simulationSchema.statics.accessFilter = function (userId) {
+  return {
+    $or: [
+      { userId },
+      {
+        participants: {
+          $elemMatch: { id: userId, type: "user", status: { $in: ["active", null] } },
+        },
+      },
+    ],
+  };
+};
+
+// Static helper: whether a user is the owner or an active team member.
+// Works on lean documents.
+simulationSchema.statics.hasAccess = function (sim, userId) {
+  if (!sim || !userId) return false;
+  const uid = userId.toString();
+  const ownerId = sim.userId?._id || sim.userId;
+  if (ownerId && ownerId.toString() === uid) return true;
+
+  return (sim.participants || []).some(
+    (p) =>
+      p.type === "user" &&
+      p.id &&
+      p.id.toString() === uid &&
+      (!p.status || p.status === "active")
+  );
+};
+
+// Static helper: whether a user may perform a team action ("chat", "files",
+// "milestones", "extend", "submit"). The owner may do everything, team
+// members what their role allows. Works on lean documents.
+simulationSchema.statics.hasPermission = function (sim, userId, permission) {
+  if (!sim || !userId) return false;
+  const uid = userId.toString();
+  const ownerId = sim.userId?._id || sim.userId;
+  if (ownerId && ownerId.toString() === uid) return true;
+
+  const member = (sim.participants || []).find(
+    (p) =>
+      p.type === "user" &&
+      p.id &&
+      p.id.toString() === uid &&
+      (!p.status || p.status === "active")
+  );
+  return !!member && roleAllows(member.role, permission);
+};
+
 // Static method to find by state
 simulationSchema.statics.findByState = function (state, userId = null) {
   const query = { state };
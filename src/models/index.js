@@ -9,6 +9,8 @@ const File = require("./File");
 const Job = require("./Job");
 const Feedback = require("./Feedback");
 const Badge = require("./Badge");
+const AuditLog = require("./AuditLog");
+const AgentCall = require("./AgentCall");
 
 module.exports = {
   User,
@@ -21,4 +23,6 @@ module.exports = {
   Job,
   Feedback,
   Badge,
+  AuditLog,
+  AgentCall,
 };
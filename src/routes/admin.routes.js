@@ -2,10 +2,39 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const { authenticate, isAdmin } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+const {
+  moderationQueueQuerySchema,
+  reviewMessageSchema,
+  auditTrailQuerySchema,
+} = require('../validation/moderation.validation');
+const { aiUsageQuerySchema } = require('../validation/agent-usage.validation');
 
 // Admin routes - all require authentication and admin role
 router.use(authenticate, isAdmin);
 
 router.get('/jobs', adminController.listJobs);
 
+// Moderation queue
+router.get(
+  '/moderation/messages',
+  validateQuery(moderationQueueQuerySchema),
+  adminController.listModeratedMessages
+);
+
+router.post(
+  '/moderation/messages/:messageId/:action(resolve|dismiss|redact)',
+  validate(reviewMessageSchema),
+  adminController.reviewMessage
+);
+
+router.get(
+  '/moderation/audit',
+  validateQuery(auditTrailQuerySchema),
+  adminController.listModerationAudit
+);
+
+// Agent call accounting
+router.get('/ai-usage', validateQuery(aiUsageQuerySchema), adminController.getAiUsage);
+
 module.exports = router;
@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/message.controller');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { validate } = require('../middleware/validation');
 const { createMessageSchema } = require('../validation/message.validation');
 
 // All message routes require authentication
 router.use(authenticate);
+router.use(idempotency());
 
 /**
  * GET /messages?conversationId=xxx
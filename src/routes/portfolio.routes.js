@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const portfolioController = require("../controllers/portfolio.controller");
 const { authenticate } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
 const { validate } = require("../middleware/validation");
 const {
   analyzeRepositorySchema,
@@ -25,6 +26,7 @@ router.post(
 
 router.post(
   "/analyze",
+  idempotency(),
   validate(analyzeRepositorySchema),
   portfolioController.analyzeRepository
 );
@@ -34,6 +36,6 @@ router.get("/", portfolioController.listUserPortfolio);
 
 router.get("/:id", portfolioController.getPortfolio);
 
-router.post("/:id/retry", portfolioController.retryAnalysis);
+router.post("/:id/retry", idempotency(), portfolioController.retryAnalysis);
 
 module.exports = router;
@@ -4,20 +4,41 @@ const simulationController = require('../controllers/simulation.controller');
 const messageController = require('../controllers/message.controller');
 const feedbackController = require('../controllers/feedback.controller');
 const { authenticate } = require('../middleware/auth');
-const { validate } = require('../middleware/validation');
+const { apiRateLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+const { validate, validateQuery } = require('../middleware/validation');
 const {
   createSimulationSchema,
   updateSimulationStateSchema,
   addParticipantSchema,
+  inviteParticipantSchema,
+  showcaseSettingsSchema,
+  negotiateScopeChangeSchema,
+  transcriptQuerySchema,
+  timelineQuerySchema,
+  markReadSchema,
 } = require('../validation/simulation.validation');
 const {
   createMessageSchema,
   editMessageSchema,
+  threadQuerySchema,
+  revisionDiffQuerySchema,
+  flagMessageSchema,
 } = require('../validation/message.validation');
 
-// All simulation routes require authentication
+// Public showcase (no auth; private simulations return 404)
+router.get(
+  '/public/:idOrSlug',
+  apiRateLimiter,
+  simulationController.getPublicSimulation
+);
+
+// All other simulation routes require authentication
 router.use(authenticate);
 
+// Replay POST/PATCH responses for retried Idempotency-Key requests
+router.use(idempotency());
+
 router.post(
   '/',
   validate(createSimulationSchema),
@@ -26,24 +47,102 @@ router.post(
 
 router.get('/', simulationController.listUserSimulations);
 
+router.get('/personalities', simulationController.listClientPersonalities);
+
+router.get('/invitations', simulationController.listInvitations);
+
 router.get('/:id', simulationController.getSimulation);
 
 router.post('/:id/start', simulationController.startSimulation);
 
+router.post('/:id/pause', simulationController.pauseSimulation);
+
+router.post('/:id/resume', simulationController.resumeSimulation);
+
 router.patch(
   '/:id/state',
   validate(updateSimulationStateSchema),
   simulationController.updateSimulationState
 );
 
+router.patch(
+  '/:id/settings',
+  validate(showcaseSettingsSchema),
+  simulationController.updateShowcaseSettings
+);
+
 router.post(
   '/:id/participants',
   validate(addParticipantSchema),
   simulationController.addParticipant
 );
 
+// Team routes under simulation
+router.get('/:id/participants', simulationController.listParticipants);
+
+router.delete(
+  '/:id/participants/:userId',
+  simulationController.removeParticipant
+);
+
+router.post(
+  '/:id/invitations',
+  validate(inviteParticipantSchema),
+  simulationController.inviteParticipant
+);
+
+router.post(
+  '/:id/invitations/accept',
+  simulationController.acceptInvitation
+);
+
+router.post(
+  '/:id/invitations/decline',
+  simulationController.declineInvitation
+);
+
 router.delete('/:id', simulationController.archiveSimulation);
 
+// Milestone routes under simulation
+router.get('/:id/milestones', simulationController.listMilestones);
+
+router.post(
+  '/:id/milestones/:milestoneId/complete',
+  simulationController.completeMilestone
+);
+
+router.get(
+  '/:id/transcript',
+  validateQuery(transcriptQuerySchema),
+  simulationController.getTranscript
+);
+
+router.get(
+  '/:id/timeline',
+  validateQuery(timelineQuerySchema),
+  simulationController.getTimeline
+);
+
+router.post(
+  '/:id/read',
+  validate(markReadSchema),
+  simulationController.markRead
+);
+
+// Client scope change routes under simulation
+router.get('/:id/scope-changes', simulationController.listScopeChanges);
+
+router.post(
+  '/:id/scope-changes/:changeId/accept',
+  simulationController.acceptScopeChange
+);
+
+router.post(
+  '/:id/scope-changes/:changeId/negotiate',
+  validate(negotiateScopeChangeSchema),
+  simulationController.negotiateScopeChange
+);
+
 // Message routes under simulation
 router.get('/:simulationId/messages', messageController.listMessages);
 
@@ -53,12 +152,35 @@ router.post(
   messageController.createMessage
 );
 
+router.get(
+  '/:simulationId/messages/:messageId/thread',
+  validateQuery(threadQuerySchema),
+  messageController.getThread
+);
+
+router.get(
+  '/:simulationId/messages/:messageId/revisions',
+  messageController.listRevisions
+);
+
+router.get(
+  '/:simulationId/messages/:messageId/revisions/diff',
+  validateQuery(revisionDiffQuerySchema),
+  messageController.getRevisionDiff
+);
+
 router.patch(
   '/:simulationId/messages/:messageId',
   validate(editMessageSchema),
   messageController.editMessage
 );
 
+router.post(
+  '/:simulationId/messages/:messageId/flag',
+  validate(flagMessageSchema),
+  messageController.flagMessage
+);
+
 // Feedback routes under simulation
 router.get('/:simulationId/feedback', feedbackController.getSimulationFeedback);
 
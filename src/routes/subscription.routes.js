@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const subscriptionController = require('../controllers/subscription.controller');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { validate } = require('../middleware/validation');
 const { createCheckoutSessionSchema } = require('../validation/subscription.validation');
 
@@ -10,6 +11,7 @@ router.use(authenticate);
 
 router.post(
   '/create-checkout-session',
+  idempotency(),
   validate(createCheckoutSessionSchema),
   subscriptionController.createCheckoutSession
 );
@@ -1,6 +1,7 @@
 const express = require('express');
 const supportController = require('../controllers/support.controller');
 const { optionalAuthenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -9,6 +10,11 @@ const router = express.Router();
  * @desc    Submit a support ticket
  * @access  Public (optionally authenticated)
  */
-router.post('/ticket', optionalAuthenticate, supportController.submitTicket);
+router.post(
+  '/ticket',
+  optionalAuthenticate,
+  idempotency(),
+  supportController.submitTicket
+);
 
 module.exports = router;
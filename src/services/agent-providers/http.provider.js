@@ -0,0 +1,348 @@
+const axios = require("axios");
+const logger = require("../../config/logger");
+const { AppError } = require("../../utils/errors");
+const { CircuitBreaker, CircuitOpenError } = require("../../utils/circuitBreaker");
+const { retry } = require("../../utils/retry");
+
+// Agent service responses meaning the streaming endpoint isn't deployed
+const STREAMING_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// Worth retrying: the request never reached the service, or it was overloaded.
+// Timeouts are not retried since the service may still be working on the request.
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_CODES = ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN", "EPIPE"];
+
+const DEFAULT_TIMEOUTS = {
+  requirementsMs: 120000,
+  chatMs: 60000,
+  feedbackMs: 240000,
+};
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Failures that mean the service is down, as opposed to rejecting a request
+function isServiceFailure(error) {
+  if (axios.isCancel(error)) return false;
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * Thrown by streamMessage when the agent service can't stream, so callers
+ * can fall back to the blocking sendMessage
+ */
+class StreamingUnavailableError extends Error {
+  constructor(message = "Agent streaming is not available") {
+    super(message);
+    this.name = "StreamingUnavailableError";
+  }
+}
+
+/**
+ * Agent provider backed by the Python Agent Service
+ */
+class HttpAgentProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - Agent service URL
+   * @param {Object} options.timeouts - { requirementsMs, chatMs, feedbackMs }
+   * @param {Object} options.retry - { attempts, baseDelayMs }
+   * @param {Object} options.breaker - { failureThreshold, resetTimeoutMs }
+   */
+  constructor({
+    baseURL = "http://127.0.0.1:8000",
+    timeouts = {},
+    retry: retryOptions = {},
+    breaker = {},
+  } = {}) {
+    this.name = "http";
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...timeouts };
+    this.retryOptions = { attempts: 2, baseDelayMs: 500, ...retryOptions };
+    this.breaker = new CircuitBreaker({
+      name: "agent-service",
+      ...breaker,
+      isFailure: isServiceFailure,
+    });
+
+    this.client = axios.create({
+      baseURL,
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+
+    // Log requests
+    this.client.interceptors.request.use((request) => {
+      logger.info(
+        `Agent Service Request: ${request.method.toUpperCase()} ${
+          request.baseURL
+        }${request.url}`
+      );
+      return request;
+    });
+  }
+
+  /**
+   * POST through the circuit breaker, retrying transient failures
+   * @param {string} url - Endpoint path
+   * @param {Object} payload - Request body
+   * @param {Object} options - Axios options; timeout is required
+   */
+  post(url, payload, options) {
+    return this.breaker.exec(() =>
+      retry(() => this.client.post(url, payload, options), {
+        retries: this.retryOptions.attempts,
+        baseDelayMs: this.retryOptions.baseDelayMs,
+        shouldRetry: isRetryable,
+        onRetry: (error, attempt, delayMs) =>
+          logger.warn(
+            `Agent Service ${url} failed (${error.response?.status || error.code}); ` +
+              `retry ${attempt} in ${delayMs}ms`
+          ),
+      })
+    );
+  }
+
+  /**
+   * Breaker state, for health checks
+   */
+  getStatus() {
+    return { breaker: this.breaker.getState(), timeouts: this.timeouts };
+  }
+
+  /**
+   * Run Agent 1: Generate Requirements
+   * @param {Object} data - Project details
+   * @returns {Object} Requirements and client persona
+   */
+  async generateRequirements(data) {
+    try {
+      // Map backend data format to Agent1 expected format
+      // Agent1 expects: Expertise, TechStack, Duration, ProjectName, Description;
+      // ClientPersonality shapes how complete the requirements are
+      const payload = {
+        SimulationId: data.simulationId,
+        ProjectName: data.projectName,
+        Description: data.description,
+        Expertise: data.expertise || "Intermediate",
+        TechStack: data.techStack || [],
+        Duration: data.duration || "1 week",
+        ClientPersonality: data.clientPersonality || null,
+      };
+
+      logger.info("Sending payload to Agent 1:", payload);
+
+      const response = await this.post("/requirements", payload, {
+        timeout: this.timeouts.requirementsMs,
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, "Agent 1 (Requirements)");
+    }
+  }
+
+  /**
+   * Run Agent 2: Simulation Chat
+   * @param {Object} data - Chat context and user message
+   * @returns {Object} Agent response
+   */
+  async sendMessage(data) {
+    try {
+      const response = await this.post("/messages", this.buildChatPayload(data), {
+        timeout: this.timeouts.chatMs,
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, "Agent 2 (Chat)");
+    }
+  }
+
+  /**
+   * Agent 2 request body
+   */
+  buildChatPayload(data) {
+    // Agent2 expects: Question; Persona selects who answers (the client's
+    // carries its personality), QuotedMessage is the message the user
+    // replied to and Edit is set when the user changed a message the
+    // agent already answered.
+    // Conversation carries recent turns, a summary of older ones and
+    // requirement amendments (see conversation-context.service)
+    return {
+      SimulationId: data.simulationId,
+      Question: data.message,
+      Context: data.context || null,
+      Persona: data.persona || null,
+      QuotedMessage: data.quotedMessage || null,
+      Edit: data.edit || null,
+      Conversation: data.conversation || null,
+    };
+  }
+
+  /**
+   * Run Agent 2 with a streamed response. Accepts Server-Sent Events
+   * (`data: {"delta": "..."}` ... `data: [DONE]`) or a plain chunked text body.
+   * @param {Object} data - Same as sendMessage
+   * @param {Object} options
+   * @param {Function} options.onChunk - Called with each text delta
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Object} Agent response ({ response })
+   * @throws {StreamingUnavailableError} If the agent service can't stream
+   */
+  async streamMessage(data, { onChunk = () => {}, signal } = {}) {
+    let response;
+    try {
+      // Not retried: callers fall back to sendMessage, which is. The timeout
+      // also applies while the stream is idle.
+      response = await this.breaker.exec(() =>
+        this.client.post("/messages/stream", this.buildChatPayload(data), {
+          responseType: "stream",
+          headers: { Accept: "text/event-stream" },
+          timeout: this.timeouts.chatMs,
+          signal,
+        })
+      );
+    } catch (error) {
+      if (axios.isCancel(error) || error instanceof CircuitOpenError) throw error;
+      if (
+        !error.response ||
+        STREAMING_UNSUPPORTED_STATUSES.includes(error.response.status)
+      ) {
+        throw new StreamingUnavailableError(
+          `Agent streaming unavailable: ${error.message}`
+        );
+      }
+      this.handleError(error, "Agent 2 (Stream)");
+    }
+
+    const contentType = response.headers["content-type"] || "";
+    const stream = response.data;
+    stream.setEncoding("utf8");
+
+    // The service answered with a regular JSON body; nothing to stream
+    if (contentType.includes("application/json")) {
+      let body = "";
+      for await (const chunk of stream) body += chunk;
+      return JSON.parse(body);
+    }
+
+    const isSse = contentType.includes("text/event-stream");
+    let text = "";
+    let final = null;
+    let buffer = "";
+
+    const append = (delta) => {
+      if (!delta) return;
+      text += delta;
+      onChunk(delta);
+    };
+
+    // One SSE event: join its data lines, then read a delta or final payload
+    const handleEvent = (event) => {
+      const payload = event
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).replace(/^ /, ""))
+        .join("\n");
+      if (!payload || payload === "[DONE]") return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(payload);
+      } catch (error) {
+        append(payload);
+        return;
+      }
+
+      if (typeof parsed === "string") {
+        append(parsed);
+      } else if (parsed.error) {
+        throw new AppError(`AI Agent Service failed: ${parsed.error}`, 503);
+      } else if (parsed.done) {
+        final = parsed;
+      } else {
+        append(parsed.delta ?? parsed.text ?? parsed.token ?? "");
+      }
+    };
+
+    for await (const chunk of stream) {
+      if (!isSse) {
+        append(chunk);
+        continue;
+      }
+
+      buffer += chunk.replace(/\r\n/g, "\n");
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        handleEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+    if (isSse && buffer.trim()) handleEvent(buffer);
+
+    return { ...final, response: final?.response || text };
+  }
+
+  /**
+   * Run Agent 3: Feedback & Portfolio Analysis
+   * @param {Object} data - Repo details
+   * @returns {Object} Feedback and analysis
+   */
+  async analyzeRepo(data) {
+    try {
+      // Agent3 expects: RepoURL
+      const payload = {
+        RepoURL: data.repoUrl,
+        SimulationId: data.simulationId,
+        Context: data.context || null,
+      };
+
+      const response = await this.post("/feedback", payload, {
+        timeout: this.timeouts.feedbackMs,
+      });
+      return response.data;
+    } catch (error) {
+      // Degraded result instead of throwing, so callers can mark the analysis
+      // as failed. It has no score and must never be saved as feedback.
+      const errorMsg = error.response?.data?.error || error.message;
+      const statusCode = error.response?.status || 503;
+      logger.warn("Agent 3 degraded due to error", {
+        message: errorMsg,
+        status: statusCode,
+      });
+      return {
+        degraded: true,
+        score: null,
+        breakdown: [],
+        strengths: [],
+        improvements: [],
+        error: errorMsg,
+        status: statusCode,
+      };
+    }
+  }
+
+  /**
+   * Handle Axios errors
+   */
+  handleError(error, context) {
+    if (error instanceof CircuitOpenError) throw error;
+
+    const errorMsg = error.response?.data?.error || error.message;
+    const statusCode = error.response?.status || 500;
+
+    logger.error(`${context} Failed:`, {
+      message: errorMsg,
+      status: statusCode,
+      data: error.response?.data,
+    });
+
+    throw new AppError(`AI Agent Service failed: ${errorMsg}`, 503);
+  }
+}
+
+module.exports = {
+  HttpAgentProvider,
+  StreamingUnavailableError,
+};
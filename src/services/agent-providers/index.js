@@ -0,0 +1,27 @@
+const { HttpAgentProvider, StreamingUnavailableError } = require("./http.provider");
+const { MockAgentProvider } = require("./mock.provider");
+
+// AGENT_PROVIDER value -> provider class
+const PROVIDERS = {
+  http: HttpAgentProvider,
+  mock: MockAgentProvider,
+};
+
+/**
+ * Create the agent provider selected by name
+ * @param {string} name - "http" | "mock"
+ * @param {Object} options - Passed to the provider constructor
+ */
+function createAgentProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown agent provider: ${name}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  PROVIDERS,
+  createAgentProvider,
+  StreamingUnavailableError,
+};
@@ -0,0 +1,401 @@
+const crypto = require("crypto");
+
+/**
+ * Offline agent provider for local development and tests
+ *
+ * Generates plausible requirements, chat replies and repository feedback
+ * without the Python Agent Service. Output is deterministic: the same input
+ * always produces the same response, so tests can assert on it.
+ */
+
+const CLIENT_NAMES = [
+  "Maya Chen",
+  "Daniel Okafor",
+  "Sofia Lindqvist",
+  "Arjun Mehta",
+  "Laura Becker",
+  "Tomás Herrera",
+];
+
+const COMPANIES = [
+  "Brightside Analytics",
+  "Harbor & Pine",
+  "Northwind Logistics",
+  "Tidewell Health",
+  "Copperleaf Studio",
+];
+
+const DEFAULT_TECH_STACK = ["Node.js", "Express", "MongoDB", "React"];
+
+const KEY_REQUIREMENTS = [
+  "User sign-up and login with password reset",
+  "A dashboard summarising the most important data at a glance",
+  "Create, edit and delete the core records, with validation",
+  "Search and filter lists, with pagination",
+  "Role-based access so admins can manage other users",
+  "Email notifications for important events",
+  "Export data to CSV",
+  "A responsive layout that works on mobile",
+];
+
+const ACCEPTANCE_CRITERIA = [
+  "All forms show clear validation errors",
+  "The app runs locally from the README instructions",
+  "Core flows are covered by automated tests",
+  "No secrets are committed to the repository",
+  "Pages load in under two seconds with sample data",
+  "The API returns consistent JSON errors",
+];
+
+// Keywords that pick a reply topic, checked in order
+const TOPICS = [
+  { name: "submission", pattern: /github\.com|gitlab\.com|\brepo(sitory)?\b|pull request|\bPR\b/i },
+  { name: "deadline", pattern: /deadline|extension|timeline|late|delay|how long|when/i },
+  { name: "testing", pattern: /\btest|bug|edge case|qa\b|reproduce|regression/i },
+  { name: "scope", pattern: /scope|feature|requirement|should (it|i|we)|do you want|priority/i },
+  { name: "greeting", pattern: /^(hi|hello|hey|good (morning|afternoon|evening))\b/i },
+];
+
+const REPLIES = {
+  client: {
+    submission: [
+      "Thanks for sharing the repository! I'll have a look and get back to you with my thoughts.",
+      "Great, I'll review what you've pushed so far. Make sure the README explains how to run it.",
+    ],
+    deadline: [
+      "The deadline matters to us, but I'd rather have it done right. Keep me posted if anything slips.",
+      "We agreed on {duration}. If you think that's at risk, tell me early and we'll work something out.",
+    ],
+    testing: [
+      "I'm not technical, but I do need it to work reliably for our users. Please test the main flows.",
+    ],
+    scope: [
+      "The priority is: {requirement}. Get that solid first and we can talk about extras later.",
+      "Let's stick to what's in the requirements for now. What I care about most is {requirement}.",
+    ],
+    greeting: [
+      "Hi! Thanks for taking on {project}. Let me know if anything in the requirements is unclear.",
+      "Hello! Good to hear from you. How is {project} coming along?",
+    ],
+    general: [
+      "Thanks for the update. Keep the focus on {requirement} and let me know if you hit any blockers.",
+      "Sounds good. Can you share a short progress update when you get a chance?",
+      "Got it. As long as it meets the acceptance criteria, I'm happy with your approach.",
+    ],
+  },
+  pm: {
+    submission: [
+      "Thanks, I've noted the submission. Can you summarise what's done and what's still open?",
+    ],
+    deadline: [
+      "We're working to {duration}. Break the remaining work into milestones and flag any risk early.",
+      "Timeline check: what's your estimate for the remaining tasks? I'd like to keep the milestones on track.",
+    ],
+    testing: [
+      "Please loop in QA once the feature is ready, and note any known issues in the status update.",
+    ],
+    scope: [
+      "Let's prioritise {requirement} first. Anything outside the agreed scope needs a scope change.",
+    ],
+    greeting: [
+      "Hi, I'm coordinating the timeline for {project}. What's your status today?",
+    ],
+    general: [
+      "Noted. Please send a status update with what's done, what's next and any blockers.",
+      "Thanks. Can you estimate how long the next milestone will take?",
+    ],
+  },
+  qa: {
+    submission: [
+      "I'll run through the acceptance criteria against this build. Are there any known issues I should skip?",
+    ],
+    deadline: [
+      "I'll need some time to test before the deadline, so please hand over features as they're ready.",
+    ],
+    testing: [
+      "How did you test this? Please include steps to reproduce and cover the edge cases, like empty input.",
+      "I'll check it against: {criterion}. Let me know when it's ready for another pass.",
+    ],
+    scope: [
+      "For QA, the key acceptance criterion is: {criterion}. Please make sure that's verifiable.",
+    ],
+    greeting: [
+      "Hi! I'll be testing {project}. Tell me when there's something ready to try.",
+    ],
+    general: [
+      "Thanks. What tests cover this change? I'd like to check the edge cases too.",
+      "Noted. I'll verify it against the acceptance criteria once it's deployed.",
+    ],
+  },
+};
+
+// Client replies by personality (see config/clientPersonalities); topics
+// without an entry use the regular client replies
+const PERSONALITY_REPLIES = {
+  non_technical: {
+    general: [
+      "I'm not sure what that means technically. Will it help our users with {requirement}?",
+      "You're the expert on the technical side. I just need {requirement} to work for our team.",
+    ],
+    testing: [
+      "I don't know much about testing, but please make sure nothing breaks for our users.",
+    ],
+  },
+  vague: {
+    general: [
+      "Hmm, I'm not sure yet. Something along the lines of {requirement}, I suppose. Use your judgement.",
+      "Maybe? Let's see how it looks first and decide then.",
+    ],
+    scope: [
+      "I'd say {requirement}, but I'm open to ideas. What would you suggest?",
+      "Good question. Probably, but it depends. Can you show me a first version?",
+    ],
+  },
+  detail_oriented: {
+    general: [
+      "Please confirm exactly how you're handling {requirement}, including empty and invalid input.",
+      "Before you continue: which fields, validations and error messages does {requirement} have?",
+    ],
+    testing: [
+      "I'll check it against: {criterion}. Please list the exact steps you used to test it.",
+    ],
+  },
+  slow_to_respond: {
+    general: ["Busy today. Go with what you think is best.", "Fine, keep going."],
+    scope: ["Stick to the requirements. {requirement} first."],
+    greeting: ["Hi. Short on time, send questions in one message please."],
+  },
+  demanding: {
+    general: [
+      "I need to see progress on {requirement} today. We're already behind where I expected.",
+      "While you're at it, can you also add an admin report? It shouldn't affect the deadline.",
+    ],
+    deadline: [
+      "We agreed on {duration} and that isn't moving. Work out how to deliver on time.",
+    ],
+    scope: [
+      "All of it is a priority, starting with {requirement}. I also want email reminders added.",
+    ],
+  },
+};
+
+// Requirement list sizes by personality: vague clients leave things out
+const REQUIREMENT_COUNTS = {
+  vague: { requirements: 2, criteria: 1 },
+  detail_oriented: { requirements: 6, criteria: 5 },
+  demanding: { requirements: 6, criteria: 3 },
+};
+
+const FEEDBACK_CATEGORIES = [
+  { category: "Functionality", weight: 0.35 },
+  { category: "Code Quality", weight: 0.25 },
+  { category: "Testing", weight: 0.2 },
+  { category: "Documentation", weight: 0.2 },
+];
+
+const STRENGTHS = [
+  "Clear project structure with separated concerns",
+  "Consistent naming across modules",
+  "Input validation on the main endpoints",
+  "Readable commit history",
+  "Environment configuration kept out of the code",
+  "Helpful README with setup steps",
+];
+
+const IMPROVEMENTS = [
+  "Add tests for error paths, not only the happy path",
+  "Handle API errors consistently with a shared error handler",
+  "Document the environment variables the app needs",
+  "Extract repeated logic into shared helpers",
+  "Add pagination to list endpoints",
+  "Avoid logging sensitive request data",
+];
+
+/**
+ * Stable 32-bit number for a seed string
+ */
+function hash(seed) {
+  return crypto.createHash("sha256").update(String(seed)).digest().readUInt32BE(0);
+}
+
+function pick(items, seed) {
+  return items[hash(seed) % items.length];
+}
+
+/**
+ * `count` distinct items, in a seed-dependent order
+ */
+function pickMany(items, count, seed) {
+  return [...items]
+    .map((item) => ({ item, rank: hash(`${seed}:${item}`) }))
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, count)
+    .map(({ item }) => item);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  if (typeof value === "string") {
+    return value
+      .split(/\n|,/)
+      .map((item) => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+function fillTemplate(template, requirements, seed) {
+  const values = {
+    project: requirements.project_name || "the project",
+    duration: requirements.duration || "the agreed timeline",
+    requirement: lowerFirst(
+      pick(toList(requirements.key_requirements).concat("the core features"), seed)
+    ),
+    criterion: lowerFirst(
+      pick(toList(requirements.acceptance_criteria).concat("the main user flows work"), seed)
+    ),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Token counts as the agent service reports them (~4 characters per token),
+ * so usage accounting works offline too
+ */
+function withUsage(request, result) {
+  const tokens = (value) => Math.ceil(JSON.stringify(value).length / 4);
+  return {
+    ...result,
+    usage: { input_tokens: tokens(request), output_tokens: tokens(result) },
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class MockAgentProvider {
+  /**
+   * @param {Object} options
+   * @param {number} options.chunkDelayMs - Pause between streamed words
+   */
+  constructor({ chunkDelayMs = 0 } = {}) {
+    this.name = "mock";
+    this.chunkDelayMs = chunkDelayMs;
+  }
+
+  /**
+   * Agent 1: requirements in the same shape as the agent service
+   */
+  async generateRequirements(data) {
+    const seed = `${data.projectName}:${data.description}`;
+    const techStack = toList(data.techStack);
+    const counts = REQUIREMENT_COUNTS[data.clientPersonality?.key] || {
+      requirements: 4,
+      criteria: 3,
+    };
+
+    return withUsage(data, {
+      message: {
+        client_name: `${pick(CLIENT_NAMES, `${seed}:client`)} (${pick(COMPANIES, `${seed}:company`)})`,
+        project_name: data.projectName,
+        description:
+          data.description ||
+          `Build ${data.projectName} as a working web application for our team.`,
+        duration: data.duration || "1 week",
+        expertise: data.expertise || "Intermediate",
+        tech_stack: techStack.length ? techStack : DEFAULT_TECH_STACK,
+        key_requirements: pickMany(KEY_REQUIREMENTS, counts.requirements, `${seed}:requirements`),
+        acceptance_criteria: pickMany(ACCEPTANCE_CRITERIA, counts.criteria, `${seed}:criteria`),
+      },
+    });
+  }
+
+  /**
+   * Agent 2: a persona-specific reply picked by the topic of the question;
+   * the client's replies follow its personality
+   */
+  async sendMessage(data) {
+    return withUsage(data, { response: this.buildReply(data) });
+  }
+
+  buildReply(data) {
+    const question = data.message || "";
+    const requirements = data.context || {};
+    const handle = REPLIES[data.persona?.handle] ? data.persona.handle : "client";
+    const seed = `${data.simulationId}:${handle}:${question}`;
+
+    const topic = TOPICS.find(({ pattern }) => pattern.test(question))?.name || "general";
+    const styled = PERSONALITY_REPLIES[data.persona?.personality?.key]?.[topic];
+    const replies = handle === "client" && styled ? styled : REPLIES[handle][topic];
+    const reply = fillTemplate(pick(replies, seed), requirements, seed);
+
+    if (data.edit) {
+      return `I see you updated your message. ${reply}`;
+    }
+    if (data.quotedMessage?.content) {
+      const quote = data.quotedMessage.content.split("\n")[0].slice(0, 80);
+      return `> ${quote}\n\n${reply}`;
+    }
+    return reply;
+  }
+
+  /**
+   * Agent 2, streamed word by word
+   */
+  async streamMessage(data, { onChunk = () => {}, signal } = {}) {
+    const response = this.buildReply(data);
+    const words = response.match(/\S+\s*/g) || [];
+
+    for (const word of words) {
+      if (signal?.aborted) {
+        const error = new Error("canceled");
+        error.name = "CanceledError";
+        throw error;
+      }
+      if (this.chunkDelayMs) await sleep(this.chunkDelayMs);
+      onChunk(word);
+    }
+
+    return withUsage(data, { response });
+  }
+
+  /**
+   * Agent 3: scored feedback for a repository
+   */
+  async analyzeRepo(data) {
+    const seed = data.repoUrl;
+    const requirements = data.context || {};
+
+    const breakdown = FEEDBACK_CATEGORIES.map(({ category, weight }) => ({
+      category,
+      weight,
+      score: 55 + (hash(`${seed}:${category}`) % 41),
+    }));
+    const score = Math.round(
+      breakdown.reduce((sum, item) => sum + item.score * item.weight, 0)
+    );
+
+    // Roughly one requirement in three is reported missing
+    const missing = toList(requirements.key_requirements).filter(
+      (requirement) => hash(`${seed}:${requirement}`) % 3 === 0
+    );
+
+    return withUsage(data, {
+      score,
+      breakdown,
+      strengths: pickMany(STRENGTHS, 3, `${seed}:strengths`),
+      improvements: pickMany(IMPROVEMENTS, 3, `${seed}:improvements`),
+      missing_requirements: missing,
+      feedback_summary:
+        `The repository scores ${score}/100. ` +
+        (missing.length
+          ? `${missing.length} requirement${missing.length === 1 ? " is" : "s are"} not covered yet.`
+          : "All listed requirements appear to be covered."),
+    });
+  }
+}
+
+module.exports = {
+  MockAgentProvider,
+};
@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+const agentService = require("./agent.service");
+const { StreamingUnavailableError } = require("./agent.service");
+const { getRedisConnection } = require("../config/redis");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+// Deltas are batched so a fast model doesn't emit one event per token
+const CHUNK_FLUSH_MS = 100;
+// Cancellation is checked in Redis at most this often while a reply streams
+const CANCEL_CHECK_MS = 1000;
+const CANCEL_TTL_SECONDS = 10 * 60;
+
+// Process-local cancellations, used when Redis is down (the synchronous
+// fallback then runs in the same process as the socket server)
+const localCancellations = new Map();
+
+function cancelKey(simulationId, userId) {
+  return `agent:cancel:${simulationId}:${userId}`;
+}
+
+/**
+ * Ask running agent streams for this user in this simulation to stop
+ */
+async function requestCancel(simulationId, userId) {
+  const key = cancelKey(simulationId, userId);
+  localCancellations.set(key, Date.now() + CANCEL_TTL_SECONDS * 1000);
+
+  const redis = getRedisConnection();
+  if (redis) {
+    await redis.set(key, "1", "EX", CANCEL_TTL_SECONDS);
+  }
+}
+
+/**
+ * Clear a pending cancellation (the user is back or sent a new message)
+ */
+async function clearCancel(simulationId, userId) {
+  const key = cancelKey(simulationId, userId);
+  localCancellations.delete(key);
+
+  const redis = getRedisConnection();
+  if (redis) {
+    await redis.del(key);
+  }
+}
+
+async function isCancelled(simulationId, userId) {
+  if (!userId) return false;
+  const key = cancelKey(simulationId, userId);
+
+  const expiresAt = localCancellations.get(key);
+  if (expiresAt && expiresAt > Date.now()) return true;
+  localCancellations.delete(key);
+
+  const redis = getRedisConnection();
+  return redis ? (await redis.exists(key)) === 1 : false;
+}
+
+/**
+ * Generate an Agent 2 reply, streaming it as `agent:chunk` events when the
+ * agent service supports it and falling back to the blocking call otherwise.
+ * The stream stops early if the user who asked leaves the simulation.
+ *
+ * @param {Object} request - Agent 2 request (see agentService.sendMessage)
+ * @param {Object} options
+ * @param {string} options.simulationId - Simulation the reply is for
+ * @param {string} options.userId - User whose message is being answered
+ * @param {Object} options.persona - Answering agent participant
+ * @param {Function} options.emit - (event, data) => void; sends socket events
+ * @returns {Promise<Object>} { response, streamId, streamed, cancelled }
+ */
+async function generateReply(request, { simulationId, userId, persona, emit }) {
+  if (!config.enableAgentStreaming) {
+    return { ...(await agentService.sendMessage(request)), streamed: false };
+  }
+
+  const streamId = new mongoose.Types.ObjectId().toString();
+  const controller = new AbortController();
+  let index = 0;
+  let pending = "";
+  let cancelled = false;
+  let lastCancelCheck = 0;
+  let partial = "";
+
+  const flush = async () => {
+    if (pending) {
+      emit("agent:chunk", {
+        simulationId: simulationId.toString(),
+        streamId,
+        agentName: persona.displayName,
+        handle: persona.handle,
+        index: index++,
+        delta: pending,
+      });
+      pending = "";
+    }
+
+    if (cancelled || Date.now() - lastCancelCheck < CANCEL_CHECK_MS) return;
+    lastCancelCheck = Date.now();
+
+    if (await isCancelled(simulationId, userId)) {
+      cancelled = true;
+      controller.abort();
+    }
+  };
+
+  // Flushing on a timer also polls for cancellation while the model thinks
+  const timer = setInterval(() => {
+    flush().catch((error) =>
+      logger.warn(`Failed to flush agent stream ${streamId}: ${error.message}`)
+    );
+  }, CHUNK_FLUSH_MS);
+
+  try {
+    const response = await agentService.streamMessage(request, {
+      signal: controller.signal,
+      onChunk: (delta) => {
+        pending += delta;
+        partial += delta;
+      },
+    });
+    clearInterval(timer);
+    await flush();
+
+    return { ...response, streamId, streamed: true, cancelled: false };
+  } catch (error) {
+    clearInterval(timer);
+
+    if (cancelled) {
+      logger.info(`Agent stream ${streamId} cancelled: user ${userId} left ${simulationId}`);
+      emit("agent:cancelled", {
+        simulationId: simulationId.toString(),
+        streamId,
+        handle: persona.handle,
+      });
+      return { response: partial, streamId, streamed: true, cancelled: true };
+    }
+
+    if (error instanceof StreamingUnavailableError && !partial) {
+      logger.warn(`${error.message}; using blocking Agent 2 call`);
+      return { ...(await agentService.sendMessage(request)), streamed: false };
+    }
+
+    throw error;
+  }
+}
+
+module.exports = {
+  requestCancel,
+  clearCancel,
+  isCancelled,
+  generateReply,
+};
@@ -0,0 +1,230 @@
+const mongoose = require("mongoose");
+const { AgentCall } = require("../models");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+// Aggregate keys for the admin usage report
+const GROUP_BY = {
+  user: { userId: "$userId" },
+  day: { day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } } },
+  user_day: {
+    userId: "$userId",
+    day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A reservation whose call never ran (job failed or was dropped) stops
+// counting towards the cap after this long
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+// Calls reserved under another operation: streamed replies are reserved as "chat"
+const RESERVED_OPERATION = {
+  chat_stream: "chat",
+};
+
+function toInt(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.round(number) : undefined;
+}
+
+/**
+ * Token counts from an agent response, if the service reported them
+ * (`usage` with OpenAI- or Anthropic-style field names)
+ * @returns {Object|undefined} { input, output, total }
+ */
+function extractUsage(response) {
+  const usage = response?.usage || response?.message?.usage;
+  if (!usage || typeof usage !== "object") return undefined;
+
+  const input = toInt(usage.input_tokens ?? usage.prompt_tokens ?? usage.inputTokens);
+  const output = toInt(usage.output_tokens ?? usage.completion_tokens ?? usage.outputTokens);
+  const total = toInt(usage.total_tokens ?? usage.totalTokens) ??
+    (input !== undefined || output !== undefined ? (input || 0) + (output || 0) : undefined);
+
+  return total === undefined ? undefined : { input, output, total };
+}
+
+function byteLength(value) {
+  if (value === undefined || value === null) return 0;
+  return Buffer.byteLength(typeof value === "string" ? value : JSON.stringify(value));
+}
+
+/**
+ * Store one agent invocation. Never throws and isn't awaited by callers:
+ * accounting must not slow down or fail an agent call.
+ *
+ * The call takes over its reservation (see reserveCall), so an allowed call
+ * is counted once whether it is still queued or has run: the one passed as
+ * `reservationId` or, without one, the user's oldest reservation for the
+ * same operation.
+ * @param {Object} call - { reservationId, userId, simulationId, operation,
+ *   provider, status, durationMs, request, response, error }
+ */
+function recordCall({ reservationId, userId, simulationId, operation, provider, status, durationMs, request, response, error }) {
+  const tokens = extractUsage(response);
+
+  const entry = {
+    userId: mongoose.isValidObjectId(userId) ? userId : undefined,
+    // Standalone analyses run against temporary, non-ObjectId simulation ids
+    simulationId: mongoose.isValidObjectId(simulationId) ? simulationId : undefined,
+    operation,
+    provider,
+    status,
+    durationMs,
+    requestBytes: byteLength(request),
+    responseBytes: byteLength(response),
+    tokens,
+    costUsd:
+      tokens && config.agent.costPer1kTokens
+        ? (tokens.total / 1000) * config.agent.costPer1kTokens
+        : undefined,
+    errorCode: error?.code,
+    errorMessage: error?.message?.slice(0, 500),
+  };
+
+  let reservation = null;
+  if (reservationId) {
+    // Already taken (e.g. a streamed attempt before the blocking fallback)
+    // means this is an extra call, not someone else's reservation
+    reservation = { _id: reservationId, status: "reserved" };
+  } else if (entry.userId) {
+    reservation = {
+      userId: entry.userId,
+      operation: RESERVED_OPERATION[operation] || operation,
+      status: "reserved",
+    };
+  }
+
+  const recorded = reservation
+    ? AgentCall.findOneAndUpdate(reservation, { $set: entry }, { sort: { createdAt: 1 }, new: true })
+        .then((reserved) => reserved || AgentCall.create(entry))
+    : AgentCall.create(entry);
+
+  return recorded.catch((createError) => {
+    logger.warn(`Failed to record ${operation} agent call: ${createError.message}`);
+  });
+}
+
+/**
+ * Hold one AI call against the user's monthly cap until it runs (see
+ * recordCall). Reserve before enqueueing, then count: concurrent requests
+ * can't all pass a check that only sees finished calls.
+ * @param {string} userId - User ID
+ * @param {string} operation - AgentCall operation the reservation is for
+ * @returns {Promise<Object>} The reservation
+ */
+async function reserveCall(userId, operation) {
+  return AgentCall.create({ userId, operation, status: "reserved", durationMs: 0 });
+}
+
+/**
+ * Drop a reservation whose call won't be made (e.g. it went over the cap)
+ */
+async function releaseReservation(reservationId) {
+  await AgentCall.deleteOne({ _id: reservationId, status: "reserved" });
+}
+
+/**
+ * Start of the current calendar month (UTC), when monthly caps reset
+ */
+function getMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Successful agent calls a user made this month, plus calls reserved in
+ * the last RESERVATION_TTL_MS that haven't run yet; failed and degraded
+ * calls don't count towards the cap
+ */
+async function countMonthlyCalls(userId, now = new Date()) {
+  return AgentCall.countDocuments({
+    userId,
+    createdAt: { $gte: getMonthStart(now) },
+    $or: [
+      { status: "success" },
+      {
+        status: "reserved",
+        createdAt: { $gte: new Date(now.getTime() - RESERVATION_TTL_MS) },
+      },
+    ],
+  });
+}
+
+/**
+ * Agent usage aggregates (admin)
+ * @param {Object} filters
+ * @param {Date} filters.from - Defaults to 30 days ago
+ * @param {Date} filters.to - Defaults to now
+ * @param {string} filters.userId - Only this user
+ * @param {string} filters.groupBy - "user" | "day" | "user_day"
+ * @returns {Promise<Object>} { items, totals, from, to, groupBy }
+ */
+async function getUsageReport({ from, to, userId, groupBy = "user_day", limit = 100, skip = 0 } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+
+  const match = { createdAt: { $gte: start, $lte: end }, status: { $ne: "reserved" } };
+  if (userId) match.userId = new mongoose.Types.ObjectId(userId);
+
+  const sums = {
+    calls: { $sum: 1 },
+    errors: { $sum: { $cond: [{ $eq: ["$status", "error"] }, 1, 0] } },
+    degraded: { $sum: { $cond: [{ $eq: ["$status", "degraded"] }, 1, 0] } },
+    totalDurationMs: { $sum: "$durationMs" },
+    maxDurationMs: { $max: "$durationMs" },
+    requestBytes: { $sum: "$requestBytes" },
+    responseBytes: { $sum: "$responseBytes" },
+    inputTokens: { $sum: "$tokens.input" },
+    outputTokens: { $sum: "$tokens.output" },
+    totalTokens: { $sum: "$tokens.total" },
+    costUsd: { $sum: "$costUsd" },
+  };
+
+  const [result] = await AgentCall.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        items: [
+          { $group: { _id: GROUP_BY[groupBy], ...sums } },
+          { $sort: { "_id.day": -1, calls: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+        ],
+        totals: [{ $group: { _id: null, ...sums } }],
+        count: [{ $group: { _id: GROUP_BY[groupBy] } }, { $count: "total" }],
+      },
+    },
+  ]);
+
+  const format = ({ _id, totalDurationMs, calls, ...rest }) => ({
+    ..._id,
+    calls,
+    ...rest,
+    totalDurationMs,
+    avgDurationMs: calls ? Math.round(totalDurationMs / calls) : 0,
+  });
+
+  return {
+    items: result.items.map(format),
+    totals: result.totals.length ? format(result.totals[0]) : null,
+    total: result.count[0]?.total || 0,
+    from: start,
+    to: end,
+    groupBy,
+    limit,
+    skip,
+  };
+}
+
+module.exports = {
+  RESERVATION_TTL_MS,
+  extractUsage,
+  recordCall,
+  reserveCall,
+  releaseReservation,
+  getMonthStart,
+  countMonthlyCalls,
+  getUsageReport,
+};
@@ -1,133 +1,153 @@
-const axios = require("axios");
 const config = require("../config/env");
 const logger = require("../config/logger");
-const { AppError } = require("../utils/errors");
+const {
+  createAgentProvider,
+  StreamingUnavailableError,
+} = require("./agent-providers");
+const {
+  parseRequirements,
+  parseChatReply,
+  parseFeedback,
+} = require("../validation/agent-response.validation");
+const agentUsageService = require("./agent-usage.service");
 
 /**
- * Service to interact with the Python Agent Service
+ * Service to interact with the AI agents
+ *
+ * Calls go to the provider selected by AGENT_PROVIDER: "http" (the Python
+ * Agent Service) or "mock" (offline responses, see agent-providers/mock.provider).
+ * Every provider implements generateRequirements, sendMessage, streamMessage
+ * and analyzeRepo. Responses are checked against the agent response contracts
+ * (validation/agent-response.validation) before they reach callers.
+ *
+ * Every call is recorded for usage accounting (see agent-usage.service);
+ * pass `userId` in the call data so it is attributed to the user, and
+ * `reservationId` (see limitsService.reserveAiCall) so the call takes over
+ * its reservation. `reservationId` isn't sent to the provider.
  */
 class AgentService {
   constructor() {
-    // Prefer configured URL; default is 127.0.0.1 from env schema
-    const agentUrl = config.agentServiceUrl || "http://127.0.0.1:8000";
-
-    this.client = axios.create({
-      baseURL: agentUrl,
-      timeout: 300000, // 5 minutes timeout for long agent tasks
-      headers: {
-        "Content-Type": "application/json",
-      },
+    this.provider = createAgentProvider(config.agentProvider, {
+      // Prefer configured URL; default is 127.0.0.1 from env schema
+      baseURL: config.agentServiceUrl || "http://127.0.0.1:8000",
+      chunkDelayMs: config.agentMockChunkDelayMs,
+      timeouts: config.agent.timeouts,
+      retry: config.agent.retry,
+      breaker: config.agent.breaker,
     });
 
-    // Log requests
-    this.client.interceptors.request.use((request) => {
-      logger.info(
-        `Agent Service Request: ${request.method.toUpperCase()} ${
-          request.baseURL
-        }${request.url}`
-      );
-      return request;
-    });
+    if (this.provider.name !== "http") {
+      logger.info(`Using ${this.provider.name} agent provider`);
+    }
   }
 
   /**
-   * Run Agent 1: Generate Requirements
-   * @param {Object} data - Project details
-   * @returns {Object} Requirements and client persona
+   * Provider name and, for the HTTP provider, circuit breaker state
    */
-  async generateRequirements(data) {
-    try {
-      // Map backend data format to Agent1 expected format
-      // Agent1 expects: Expertise, TechStack, Duration, ProjectName, Description
-      const payload = {
-        SimulationId: data.simulationId,
-        ProjectName: data.projectName,
-        Description: data.description,
-        Expertise: data.expertise || "Intermediate",
-        TechStack: data.techStack || [],
-        Duration: data.duration || "1 week",
-      };
+  getStatus() {
+    return { provider: this.provider.name, ...this.provider.getStatus?.() };
+  }
 
-      logger.info("Sending payload to Agent 1:", payload);
+  /**
+   * Run a provider call, recording its outcome. `invoke` receives the call
+   * data without `reservationId`; `parse` turns the raw response into the
+   * result. Contract errors are recorded as failures.
+   */
+  async track(operation, { reservationId, ...data }, invoke, parse) {
+    const startedAt = Date.now();
+    let response;
+    let status = "success";
+    let failure;
 
-      const response = await this.client.post("/requirements", payload);
-      return response.data;
+    try {
+      response = await invoke(data);
+      if (response?.degraded) {
+        status = "degraded";
+        failure = { code: "AGENT_UNAVAILABLE", message: response.error };
+      }
+      return parse(response);
     } catch (error) {
-      this.handleError(error, "Agent 1 (Requirements)");
+      status = ["CanceledError", "AbortError"].includes(error.name) ? "cancelled" : "error";
+      failure = error;
+      throw error;
+    } finally {
+      agentUsageService.recordCall({
+        reservationId,
+        userId: data.userId,
+        simulationId: data.simulationId,
+        operation,
+        provider: this.provider.name,
+        status,
+        durationMs: Date.now() - startedAt,
+        request: data,
+        response,
+        error: failure,
+      });
     }
   }
 
+  /**
+   * Run Agent 1: Generate Requirements
+   * @param {Object} data - Project details
+   * @returns {Object} { requirements, contractVersion }
+   * @throws {AgentResponseError} If the response breaks the contract
+   */
+  generateRequirements(data) {
+    return this.track(
+      "requirements",
+      data,
+      (request) => this.provider.generateRequirements(request),
+      parseRequirements
+    );
+  }
+
   /**
    * Run Agent 2: Simulation Chat
    * @param {Object} data - Chat context and user message
-   * @returns {Object} Agent response
+   * @returns {Object} { response, completionPercentage, contractVersion }
+   * @throws {AgentResponseError} If the response breaks the contract
    */
-  async sendMessage(data) {
-    try {
-      // Agent2 expects: Question
-      const payload = {
-        SimulationId: data.simulationId,
-        Question: data.message,
-        Context: data.context || null,
-      };
-
-      const response = await this.client.post("/messages", payload);
-      return response.data;
-    } catch (error) {
-      this.handleError(error, "Agent 2 (Chat)");
-    }
+  sendMessage(data) {
+    return this.track(
+      "chat",
+      data,
+      (request) => this.provider.sendMessage(request),
+      parseChatReply
+    );
   }
 
   /**
-   * Run Agent 3: Feedback & Portfolio Analysis
-   * @param {Object} data - Repo details
-   * @returns {Object} Feedback and analysis
+   * Run Agent 2 with a streamed response
+   * @param {Object} data - Same as sendMessage
+   * @param {Object} options - { onChunk, signal }
+   * @returns {Object} Same as sendMessage
+   * @throws {StreamingUnavailableError} If the provider can't stream
    */
-  async analyzeRepo(data) {
-    try {
-      // Agent3 expects: RepoURL
-      const payload = {
-        RepoURL: data.repoUrl,
-        SimulationId: data.simulationId,
-        Context: data.context || null,
-      };
-
-      const response = await this.client.post("/feedback", payload);
-      return response.data;
-    } catch (error) {
-      // Fallback: return minimal feedback instead of throwing,
-      // so the job can complete gracefully and update portfolio.
-      const errorMsg = error.response?.data?.error || error.message;
-      const statusCode = error.response?.status || 500;
-      logger.warn("Agent 3 fallback due to error", {
-        message: errorMsg,
-        status: statusCode,
-      });
-      return {
-        score: 0,
-        breakdown: {},
-        strengths: [],
-        improvements: [],
-        error: errorMsg,
-      };
-    }
+  streamMessage(data, options) {
+    return this.track(
+      "chat_stream",
+      data,
+      (request) => this.provider.streamMessage(request, options),
+      parseChatReply
+    );
   }
 
   /**
-   * Handle Axios errors
+   * Run Agent 3: Feedback & Portfolio Analysis
+   * @param {Object} data - Repo details
+   * @returns {Object} Normalized feedback (see parseFeedback), or
+   *   { degraded: true, error } if the agent couldn't be reached
+   * @throws {AgentResponseError} If the response breaks the contract
    */
-  handleError(error, context) {
-    const errorMsg = error.response?.data?.error || error.message;
-    const statusCode = error.response?.status || 500;
-
-    logger.error(`${context} Failed:`, {
-      message: errorMsg,
-      status: statusCode,
-      data: error.response?.data,
-    });
-
-    throw new AppError(`AI Agent Service failed: ${errorMsg}`, 503);
+  analyzeRepo(data) {
+    return this.track(
+      "feedback",
+      data,
+      (request) => this.provider.analyzeRepo(request),
+      (analysis) => (analysis.degraded ? analysis : parseFeedback(analysis))
+    );
   }
 }
 
 module.exports = new AgentService();
+module.exports.StreamingUnavailableError = StreamingUnavailableError;
@@ -0,0 +1,272 @@
+const { Simulation } = require("../models");
+const simulationService = require("./simulation.service");
+const portfolioService = require("./portfolio.service");
+const { renderRequirementsMarkdown } = require("./transcript.service");
+const { AppError } = require("../utils/errors");
+const { emitToSimulation } = require("../socket");
+const logger = require("../config/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// "/name args..." - the name must be followed by whitespace or the end, so
+// paths like "/etc/hosts" are sent as normal messages
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+// "2d", "48h", "3 days" followed by an optional reason
+const EXTENSION_PATTERN = /^(\d+)\s*(d|days?|h|hrs?|hours?)?(?:\s+([\s\S]*))?$/i;
+
+const MAX_EXTENSION_HOURS = 30 * 24;
+const SUBMIT_STATES = ["requirements_sent", "in_progress", "paused", "completed"];
+
+function formatDuration(ms) {
+  if (ms >= DAY_MS) {
+    const days = Math.round(ms / DAY_MS);
+    return `${days} day${days === 1 ? "" : "s"}`;
+  }
+  const hours = Math.max(Math.round(ms / HOUR_MS), 1);
+  return `${hours} hour${hours === 1 ? "" : "s"}`;
+}
+
+function describeDeadline(deadlineTimestamp) {
+  const remaining = deadlineTimestamp - Date.now();
+  const date = new Date(deadlineTimestamp).toDateString();
+  return remaining >= 0
+    ? `${date} (${formatDuration(remaining)} left)`
+    : `${date} (overdue by ${formatDuration(-remaining)})`;
+}
+
+function clientName(simulation) {
+  return simulation.templateSnapshot?.requirements?.client_name || "The client";
+}
+
+async function help() {
+  const lines = ["**Chat commands**", ""];
+  Object.values(COMMANDS).forEach(({ usage, description }) => {
+    lines.push(`- \`${usage}\` - ${description}`);
+  });
+  return { content: lines.join("\n") };
+}
+
+async function status({ simulation }) {
+  const progress = Math.round(simulation.meta?.completionPercentage || 0);
+  const deadlineTimestamp = Simulation.getDeadlineTimestamp(simulation);
+
+  const lines = [
+    `**${simulation.projectName}**`,
+    "",
+    `- **State:** ${simulation.state.replace("_", " ")}`,
+    `- **Progress:** ${progress}%`,
+    `- **Deadline:** ${deadlineTimestamp ? describeDeadline(deadlineTimestamp) : "not set"}`,
+  ];
+
+  const nextMilestone = simulation.milestones
+    .filter((milestone) => milestone.status !== "completed")
+    .sort((a, b) => a.dueAt - b.dueAt)[0];
+  if (nextMilestone) {
+    const due = nextMilestone.dueAt.toDateString();
+    lines.push(
+      `- **Next milestone:** ${nextMilestone.title} (${nextMilestone.status}, due ${due})`
+    );
+  }
+
+  const openScopeChanges = simulation.scopeChanges.filter(
+    (change) => change.status !== "accepted"
+  ).length;
+  if (openScopeChanges) {
+    lines.push(`- **Open scope changes:** ${openScopeChanges}`);
+  }
+
+  const extensionMs = Simulation.getExtensionMs(simulation);
+  if (extensionMs) {
+    lines.push(`- **Extensions granted:** ${formatDuration(extensionMs)}`);
+  }
+
+  return {
+    content: lines.join("\n"),
+    data: { state: simulation.state, progress, deadlineTimestamp },
+  };
+}
+
+async function requirements({ simulation }) {
+  const snapshot = simulation.templateSnapshot || {};
+  if (!snapshot.requirements) {
+    return { content: "The client hasn't sent the requirements yet." };
+  }
+
+  return {
+    content: [
+      `## Requirements (v${snapshot.requirementsVersion || 1})`,
+      "",
+      ...renderRequirementsMarkdown(snapshot.requirements),
+    ].join("\n"),
+    data: { requirementsVersion: snapshot.requirementsVersion || 1 },
+  };
+}
+
+async function submit({ simulation, userId, args }) {
+  const [repoUrl, branch = "main"] = args;
+  if (!repoUrl) {
+    throw new AppError(`Usage: ${COMMANDS.submit.usage}`, 400);
+  }
+
+  if (!Simulation.hasPermission(simulation, userId, "submit")) {
+    throw new AppError("Your team role can't submit work for this simulation", 403);
+  }
+
+  if (!SUBMIT_STATES.includes(simulation.state)) {
+    throw new AppError(
+      `Work can't be submitted while the simulation is ${simulation.state}`,
+      409
+    );
+  }
+
+  // Submitting work means the project has started
+  if (simulation.state === "requirements_sent") {
+    await simulation.transitionState("in_progress", userId);
+    await simulationService.scheduleScopeChangesSafely(simulation);
+    try {
+      emitToSimulation(simulation._id, "simulation:stateChanged", {
+        simulationId: simulation._id,
+        state: "in_progress",
+      });
+    } catch (error) {
+      logger.error("Failed to emit simulation:stateChanged event:", error);
+    }
+  }
+
+  const result = await portfolioService.analyzeRepository(
+    userId,
+    repoUrl,
+    branch,
+    null,
+    simulation._id
+  );
+  // The synchronous fallback (no Redis) returns { portfolio, feedback }
+  const portfolio = result.portfolio || result;
+
+  const repo = `**${portfolio.normalizedRepo || repoUrl}** (\`${branch}\`)`;
+  const content =
+    `Submitted ${repo} for review. ` +
+    (portfolio.status === "done"
+      ? "The analysis is complete; feedback is in your portfolio."
+      : `Analysis is ${portfolio.status}; feedback will be posted here when it's ready.`);
+
+  return {
+    content,
+    data: { portfolioId: portfolio._id, portfolioStatus: portfolio.status },
+  };
+}
+
+async function extend({ simulation, userId, argText }) {
+  const match = EXTENSION_PATTERN.exec(argText);
+  if (!match) {
+    throw new AppError(`Usage: ${COMMANDS.extend.usage}`, 400);
+  }
+
+  const amount = parseInt(match[1], 10);
+  const hours = match[2]?.toLowerCase().startsWith("h") ? amount : amount * 24;
+  if (hours < 1 || hours > MAX_EXTENSION_HOURS) {
+    throw new AppError(
+      `Extensions must be between 1 hour and ${MAX_EXTENSION_HOURS / 24} days`,
+      400
+    );
+  }
+
+  const { extension, deadlineTimestamp } =
+    await simulationService.requestDeadlineExtension(simulation._id, userId, {
+      hours,
+      reason: match[3]?.trim().slice(0, 500) || undefined,
+    });
+
+  const requested = `${formatDuration(hours * HOUR_MS)} extension`;
+  const content =
+    extension.status === "approved"
+      ? `${clientName(simulation)} approved a ${requested}. ` +
+        `New deadline: ${describeDeadline(deadlineTimestamp)}.`
+      : `${clientName(simulation)} declined a ${requested}: ${extension.decisionReason}.`;
+
+  return {
+    content,
+    data: { extensionId: extension._id, status: extension.status, deadlineTimestamp },
+  };
+}
+
+const COMMANDS = {
+  help: { usage: "/help", description: "List chat commands", run: help },
+  status: {
+    usage: "/status",
+    description: "Project state, progress, deadline and next milestone",
+    run: status,
+  },
+  requirements: {
+    usage: "/requirements",
+    description: "Show the current requirements",
+    run: requirements,
+  },
+  submit: {
+    usage: "/submit <repo-url> [branch]",
+    description: "Submit your repository for review",
+    run: submit,
+  },
+  extend: {
+    usage: "/extend <days>d|<hours>h [reason]",
+    description: "Ask the client for a deadline extension",
+    run: extend,
+  },
+};
+
+/**
+ * Parse a chat message as a slash command
+ * @param {string} content - Message text
+ * @returns {Object|null} { name, args, argText } or null for normal messages
+ */
+function parseCommand(content) {
+  const match = COMMAND_PATTERN.exec((content || "").trim());
+  if (!match) return null;
+
+  const argText = (match[2] || "").trim();
+  return {
+    name: match[1].toLowerCase(),
+    args: argText ? argText.split(/\s+/) : [],
+    argText,
+  };
+}
+
+/**
+ * Run a parsed command. Failures are reported in the result, never thrown,
+ * since the reply is shown in the chat.
+ * @param {Object} command - From parseCommand
+ * @param {Object} context - { simulation (document), userId }
+ * @returns {Promise<Object>} { content, data, ok }
+ */
+async function runCommand(command, { simulation, userId }) {
+  const definition = COMMANDS[command.name];
+  if (!definition) {
+    return {
+      ok: false,
+      content: `Unknown command \`/${command.name}\`. Type \`/help\` to see the available commands.`,
+    };
+  }
+
+  try {
+    const result = await definition.run({ simulation, userId, ...command });
+    return { ok: true, data: {}, ...result };
+  } catch (error) {
+    if (!error.isOperational) {
+      logger.error(`Chat command /${command.name} failed in ${simulation._id}:`, error);
+    }
+    return {
+      ok: false,
+      content: error.isOperational
+        ? `Couldn't run \`/${command.name}\`: ${error.message}`
+        : `Something went wrong running \`/${command.name}\`. Please try again.`,
+    };
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommand,
+  runCommand,
+};
@@ -0,0 +1,202 @@
+const { Simulation, Message } = require("../models");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+// Rough token count: ~4 characters per token for English text
+const CHARS_PER_TOKEN = 4;
+
+// Share of the token budget kept for the summary of older turns
+const SUMMARY_SHARE = 0.25;
+
+// Longest line per message in the summary
+const SUMMARY_LINE_LENGTH = 200;
+
+// Stored summaries are capped regardless of the budget
+const MAX_SUMMARY_LENGTH = 20000;
+
+// Messages the agent doesn't need: system notices, slash commands and their replies
+const CONVERSATION_FILTER = {
+  "sender.type": { $in: ["user", "agent"] },
+  "metadata.command": { $exists: false },
+};
+
+function estimateTokens(value) {
+  if (value === undefined || value === null) return 0;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function speakerName(message) {
+  return message.sender.type === "agent"
+    ? message.sender.agentName || message.sender.handle || "Agent"
+    : "Freelancer";
+}
+
+function toTurn(message) {
+  return {
+    role: message.sender.type,
+    name: speakerName(message),
+    handle: message.sender.handle || undefined,
+    sequence: message.sequence,
+    content: message.content,
+  };
+}
+
+/**
+ * One summary line per message: speaker and the start of the text
+ */
+function summaryLine(message) {
+  const text = message.content.replace(/\s+/g, " ").trim();
+  const clipped =
+    text.length > SUMMARY_LINE_LENGTH ? `${text.slice(0, SUMMARY_LINE_LENGTH - 1)}…` : text;
+  return `- ${speakerName(message)}: ${clipped}`;
+}
+
+/**
+ * Keep the newest summary lines that fit in maxTokens
+ */
+function trimSummary(text, maxTokens) {
+  if (!text || estimateTokens(text) <= maxTokens) return text;
+
+  const lines = text.split("\n").filter((line) => line.startsWith("- "));
+  const kept = [];
+  let tokens = estimateTokens("(Earlier messages omitted)\n");
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const lineTokens = estimateTokens(`${lines[i]}\n`);
+    if (tokens + lineTokens > maxTokens) break;
+    kept.unshift(lines[i]);
+    tokens += lineTokens;
+  }
+  return ["(Earlier messages omitted)", ...kept].join("\n");
+}
+
+/**
+ * Requirement changes agreed (or still open) after Agent 1's requirements
+ */
+function getAmendments(simulation) {
+  return (simulation.scopeChanges || []).map((change) => ({
+    version: change.requirementsVersion || null,
+    kind: change.kind,
+    summary: change.summary,
+    added: change.diff?.added || [],
+    removed: change.diff?.removed || [],
+    status: change.status,
+  }));
+}
+
+/**
+ * Fold messages up to `throughSequence` into the stored rolling summary.
+ * The update is guarded on the previous position so concurrent replies
+ * don't append the same messages twice.
+ */
+async function advanceSummary(simulation, previous, throughSequence, maxTokens) {
+  const messages = await Message.find({
+    simulationId: simulation._id,
+    sequence: { $gt: previous.throughSequence, $lte: throughSequence },
+    ...CONVERSATION_FILTER,
+  })
+    .sort({ sequence: 1 })
+    .select("sender content sequence")
+    .lean();
+
+  const lines = messages.map(summaryLine);
+  const text = trimSummary(
+    [previous.text, ...lines].filter(Boolean).join("\n"),
+    Math.min(maxTokens, MAX_SUMMARY_LENGTH / CHARS_PER_TOKEN)
+  );
+  const summary = { text, throughSequence, updatedAt: new Date() };
+
+  const guard =
+    previous.throughSequence > 0
+      ? { "conversationSummary.throughSequence": previous.throughSequence }
+      : { "conversationSummary.throughSequence": { $in: [null, 0] } };
+  const updated = await Simulation.updateOne(
+    { _id: simulation._id, ...guard },
+    { $set: { conversationSummary: summary } },
+    { timestamps: false }
+  );
+  if (!updated.modifiedCount) {
+    logger.debug(`Conversation summary for ${simulation._id} was advanced concurrently`);
+  }
+
+  return summary;
+}
+
+/**
+ * Assemble the conversation an Agent 2 request carries: recent turns, the
+ * requirement amendments and a rolling summary of the turns before them,
+ * packed into the configured token budget.
+ *
+ * The requirements themselves go in the request's `context`, but count
+ * towards the budget. Recent turns are added newest first; turns that
+ * don't fit are folded into the summary, which is stored on the
+ * simulation (`conversationSummary`) and only extended, never rebuilt.
+ *
+ * @param {Object} simulation - Simulation document
+ * @param {Object} options
+ * @param {number} options.beforeSequence - Sequence of the message being
+ *   answered; only earlier messages are included
+ * @returns {Promise<Object>} { summary, messages, amendments, requirementsVersion, tokenEstimate }
+ */
+async function buildConversationContext(simulation, { beforeSequence } = {}) {
+  const { tokenBudget, maxRecentMessages } = config.agent.context;
+  const requirements = simulation.templateSnapshot?.requirements || null;
+  const amendments = getAmendments(simulation);
+
+  const summaryBudget = Math.floor(tokenBudget * SUMMARY_SHARE);
+  const stored = {
+    text: simulation.conversationSummary?.text || "",
+    throughSequence: simulation.conversationSummary?.throughSequence || 0,
+  };
+
+  const sequenceFilter = { $gt: stored.throughSequence };
+  if (beforeSequence !== undefined) sequenceFilter.$lt = beforeSequence;
+
+  const candidates = await Message.find({
+    simulationId: simulation._id,
+    sequence: sequenceFilter,
+    ...CONVERSATION_FILTER,
+  })
+    .sort({ sequence: -1 })
+    .limit(maxRecentMessages + 1)
+    .select("sender content sequence")
+    .lean();
+
+  let remaining =
+    tokenBudget - estimateTokens(requirements) - estimateTokens(amendments) - summaryBudget;
+
+  const recent = [];
+  for (const message of candidates.slice(0, maxRecentMessages)) {
+    const tokens = estimateTokens(message.content) + 10; // speaker and framing
+    // Always keep the latest turn, even over budget
+    if (recent.length && tokens > remaining) break;
+    recent.unshift(message);
+    remaining -= tokens;
+  }
+
+  // Anything older than the recent window belongs in the summary
+  const summary =
+    candidates.length > recent.length
+      ? await advanceSummary(simulation, stored, recent[0].sequence - 1, summaryBudget)
+      : stored;
+
+  const summaryText = trimSummary(summary.text, summaryBudget) || null;
+  const messages = recent.map(toTurn);
+
+  return {
+    summary: summaryText,
+    messages,
+    amendments,
+    requirementsVersion: simulation.templateSnapshot?.requirementsVersion || 1,
+    tokenEstimate:
+      estimateTokens(requirements) +
+      estimateTokens(amendments) +
+      estimateTokens(summaryText) +
+      estimateTokens(messages),
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  buildConversationContext,
+};
@@ -1,4 +1,5 @@
 const { User, Simulation, Portfolio, Badge } = require("../models");
+const { getReadSummaries } = require("./read-receipt.service");
 
 /**
  * Get dashboard statistics for a user
@@ -18,20 +19,10 @@ async function getUserStats(userId) {
   // Filter out projects that have passed their deadline
   const now = new Date();
   const activeSimulations = potentiallyActive.filter((sim) => {
-    const startDate = sim.startedAt || sim.createdAt;
-    const durationDays =
-      sim.templateSnapshot?.durationEstimateDays || sim.filters?.durationDays;
+    const deadline = Simulation.getDeadlineTimestamp(sim);
 
-    if (startDate && durationDays) {
-      const deadline = new Date(startDate);
-      deadline.setDate(deadline.getDate() + durationDays);
-
-      // Only count if deadline hasn't passed
-      return now <= deadline;
-    }
-
-    // If no deadline info, count it as active
-    return true;
+    // If no deadline info, count it as active; otherwise only if it hasn't passed
+    return deadline === null || now.getTime() <= deadline;
   }).length;
 
   const [completedSimulations, totalSimulations, portfolioItems] =
@@ -64,10 +55,12 @@ async function getRecentActivity(userId, limit = 5) {
     .sort({ lastMessageAt: -1 })
     .limit(limit)
     .populate("projectTemplateId", "name")
-    .select("projectName state lastMessageAt createdAt settings meta")
+    .select("projectName state lastMessageAt createdAt settings meta readCursors")
     .lean();
+  const reads = await getReadSummaries(simulations, userId);
 
   return simulations.map((sim) => {
+    const { unreadCount, awaitingReply } = reads.get(sim._id.toString());
     const computedState =
       (sim.meta?.completionPercentage || 0) >= 80 ? "completed" : sim.state;
     return {
@@ -79,27 +72,24 @@ async function getRecentActivity(userId, limit = 5) {
       meta: sim.meta,
       status: computedState,
       deadlineTimestamp: calculateDeadlineTimestamp(sim),
+      unreadCount,
+      awaitingReply,
     };
   });
 }
 
 function calculateDeadlineTimestamp(sim) {
-  let deadlineTimestamp = null;
-  if (sim.filters && sim.filters.durationDays) {
-    const startDate = sim.startedAt || sim.createdAt;
-    deadlineTimestamp =
-      new Date(startDate).getTime() +
-      sim.filters.durationDays * 24 * 60 * 60 * 1000;
-  } else if (
-    sim.templateSnapshot &&
-    sim.templateSnapshot.durationEstimateDays
-  ) {
-    const startDate = sim.startedAt || sim.createdAt;
-    deadlineTimestamp =
-      new Date(startDate).getTime() +
-      sim.templateSnapshot.durationEstimateDays * 24 * 60 * 60 * 1000;
-  }
-  return deadlineTimestamp;
+  // Paused time and approved extensions don't eat into the deadline
+  return Simulation.getDeadlineTimestamp(sim);
+}
+
+function getNextMilestone(sim) {
+  const open = (sim.milestones || [])
+    .filter((m) => m.status !== "completed")
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+  if (open.length === 0) return null;
+  const { _id, title, dueAt, status } = open[0];
+  return { id: _id, title, dueAt, status };
 }
 
 /**
@@ -131,7 +121,7 @@ async function getProjects(userId, type) {
   if (type === "in-progress") {
     query = {
       userId,
-      state: { $in: ["created", "requirements_sent", "in_progress"] },
+      state: { $in: ["created", "requirements_sent", "in_progress", "paused"] },
       $or: [
         { "meta.completionPercentage": { $exists: false } },
         { "meta.completionPercentage": { $lt: 80 } },
@@ -172,8 +162,11 @@ async function getProjects(userId, type) {
     .limit(limit)
     .populate("projectTemplateId", "name")
     .lean();
+  const reads = await getReadSummaries(simulations, userId);
 
   let projects = simulations.map((sim) => {
+    const { unreadCount, awaitingReply } = reads.get(sim._id.toString());
+
     // Calculate deadline
     let deadlineTimestamp = calculateDeadlineTimestamp(sim);
 
@@ -200,6 +193,7 @@ async function getProjects(userId, type) {
         ? new Date(sim.endedAt).toLocaleDateString()
         : new Date(sim.createdAt).toLocaleDateString(),
       deadlineTimestamp,
+      nextMilestone: getNextMilestone(sim),
       month: deadlineTimestamp
         ? new Date(deadlineTimestamp).toLocaleString("default", {
             month: "short",
@@ -207,6 +201,8 @@ async function getProjects(userId, type) {
         : "",
       dateStr: deadlineTimestamp ? new Date(deadlineTimestamp).getDate() : "", // Renamed to avoid conflict with 'date' field
       priority: "Medium", // Default, could be derived from complexity
+      unreadCount,
+      awaitingReply, // { agentName, handle, since } when a client waits on the user
     };
   });
 
@@ -424,7 +420,8 @@ async function syncAndGetBadges(userId) {
   const fastCompletion = simulations.some((s) => {
     if (s.state !== "completed" || !s.createdAt || !s.updatedAt) return false;
     const durationMins =
-      (new Date(s.updatedAt) - new Date(s.createdAt)) / (1000 * 60);
+      (new Date(s.updatedAt) - new Date(s.createdAt) - Simulation.getPausedMs(s)) /
+      (1000 * 60);
     return durationMins < 30 && (s.meta?.score || 0) > 80;
   });
   checkAndAdd(
@@ -481,4 +478,5 @@ module.exports = {
   getProjects,
   getUserSkills,
   syncAndGetBadges,
+  calculateDeadlineTimestamp,
 };
@@ -1,7 +1,7 @@
 const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { v4: uuidv4 } = require('uuid');
-const { File } = require('../models');
+const { File, Simulation, Message } = require('../models');
 const { enqueueCleanup } = require('./queue.service');
 const { AppError } = require('../utils/errors');
 const config = require('../config/env');
@@ -18,16 +18,44 @@ const s3Client = new S3Client({
   forcePathStyle: config.s3ForcePathStyle,
 });
 
+/**
+ * Check that a user can read a file: the uploader, or a team member of the
+ * simulation it was uploaded to or attached in
+ */
+async function assertFileAccess(file, userId) {
+  if (file.ownerId.toString() === userId.toString()) return;
+
+  const simulationIds = file.simulationId
+    ? [file.simulationId]
+    : await Message.distinct('simulationId', { 'attachments.fileId': file._id });
+
+  const allowed = simulationIds.length > 0 && await Simulation.exists({
+    _id: { $in: simulationIds },
+    ...Simulation.accessFilter(userId),
+  });
+
+  if (!allowed) {
+    throw new AppError('Not authorized', 403);
+  }
+}
+
 /**
  * Generate presigned URL for file upload
  */
-async function generatePresignedUploadUrl(userId, filename, contentType, sizeBytes) {
+async function generatePresignedUploadUrl(userId, filename, contentType, sizeBytes, simulationId = null) {
   // Validate file size (max 50MB)
   const maxSize = 50 * 1024 * 1024;
   if (sizeBytes > maxSize) {
     throw new AppError('File size exceeds maximum allowed (50MB)', 400);
   }
 
+  if (simulationId) {
+    const simulation = await Simulation.findById(simulationId).select('userId participants').lean();
+    if (!simulation || !Simulation.hasPermission(simulation, userId, 'files')) {
+      throw new AppError('Not authorized to share files in this simulation', 403);
+    }
+  }
+
   // Generate unique file key
   const fileId = uuidv4();
   const ext = filename.split('.').pop();
@@ -37,6 +65,7 @@ async function generatePresignedUploadUrl(userId, filename, contentType, sizeByt
   const file = await File.create({
     _id: fileId,
     ownerId: userId,
+    simulationId,
     filename,
     mimeType: contentType,
     sizeBytes,
@@ -92,26 +121,30 @@ async function completeFileUpload(fileId, uploadedUrl) {
 /**
  * Get file by ID
  */
-async function getFileById(fileId) {
+async function getFileById(fileId, userId) {
   const file = await File.findById(fileId).lean();
 
   if (!file || file.deleted) {
     throw new AppError('File not found', 404);
   }
 
+  await assertFileAccess(file, userId);
+
   return file;
 }
 
 /**
  * Generate presigned URL for file download
  */
-async function generatePresignedDownloadUrl(fileId) {
+async function generatePresignedDownloadUrl(fileId, userId) {
   const file = await File.findById(fileId);
 
   if (!file || file.deleted) {
     throw new AppError('File not found', 404);
   }
 
+  await assertFileAccess(file, userId);
+
   const command = new GetObjectCommand({
     Bucket: file.storage.bucket,
     Key: file.path,
@@ -130,6 +163,66 @@ async function generatePresignedDownloadUrl(fileId) {
   };
 }
 
+/**
+ * Upload server-generated content directly to S3 and record it as a File
+ */
+async function uploadBuffer(userId, filename, contentType, body, keyPrefix = 'uploads', simulationId = null) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  const ext = filename.split('.').pop();
+  const key = `${keyPrefix}/${userId}/${uuidv4()}.${ext}`;
+
+  const command = new PutObjectCommand({
+    Bucket: config.s3Bucket,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType,
+    ContentLength: buffer.length,
+  });
+
+  await s3Client.send(command);
+
+  const file = await File.create({
+    ownerId: userId,
+    simulationId,
+    url: `${config.s3Endpoint}/${config.s3Bucket}/${key}`,
+    path: key,
+    filename,
+    mimeType: contentType,
+    sizeBytes: buffer.length,
+    storage: {
+      provider: 's3',
+      bucket: config.s3Bucket,
+      region: config.s3Region,
+    },
+    meta: { uploadMethod: 'direct' },
+    status: 'completed',
+  });
+
+  logger.info(`File uploaded directly to S3: ${file._id} (${key})`);
+
+  return file.toObject();
+}
+
+/**
+ * Read a stored file's content from S3 as a UTF-8 string
+ */
+async function getFileContent(fileId) {
+  const file = await File.findById(fileId);
+
+  if (!file || file.deleted) {
+    throw new AppError('File not found', 404);
+  }
+
+  const command = new GetObjectCommand({
+    Bucket: file.storage.bucket,
+    Key: file.path,
+  });
+
+  const response = await s3Client.send(command);
+
+  return response.Body.transformToString();
+}
+
 /**
  * Delete file (soft delete + enqueue S3 cleanup)
  */
@@ -188,6 +281,8 @@ module.exports = {
   completeFileUpload,
   getFileById,
   generatePresignedDownloadUrl,
+  uploadBuffer,
+  getFileContent,
   deleteFile,
   deleteFileFromS3,
 };
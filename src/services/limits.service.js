@@ -1,7 +1,13 @@
 const { User, Simulation } = require("../models");
 const { getPlan } = require("../config/plans");
+const {
+  getPersonality,
+  getAllPersonalities,
+} = require("../config/clientPersonalities");
 const { AppError } = require("../utils/errors");
 const { isBetaMode } = require("../utils/betaMode");
+const agentUsageService = require("./agent-usage.service");
+const logger = require("../config/logger");
 
 /**
  * Check if user can create a new project
@@ -38,6 +44,7 @@ async function canCreateProject(userId) {
   // 2. Get active simulations
   // A project counts toward the limit if it's in an active state and not completed/cancelled
   // We DO NOT filter by deadline for limit enforcement - only by state and completion
+  // Paused simulations are intentionally excluded so users can shelve a project
   const activeSims = await Simulation.find({
     userId,
     state: { $in: ["created", "requirements_sent", "in_progress"] },
@@ -167,6 +174,177 @@ async function canUseTheme(userId, themeId) {
   return { allowed: true };
 }
 
+/**
+ * Check if user can pick a client personality
+ * @param {string} userId - User ID
+ * @param {string} personalityKey - Client personality key
+ * @returns {object} { allowed: boolean, reason?: string }
+ */
+async function canUsePersonality(userId, personalityKey) {
+  const personality = getPersonality(personalityKey);
+  if (!personality) {
+    throw new AppError(`Unknown client personality: ${personalityKey}`, 400);
+  }
+
+  // Beta mode: Allow all personalities
+  if (isBetaMode()) {
+    return { allowed: true, beta: true };
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError("User not found", 404);
+  }
+
+  const plan = getPlan(user.subscription.plan);
+
+  // Pro plan has access to all personalities
+  if (plan.allowedPersonalities === "all") {
+    return { allowed: true };
+  }
+
+  if (!plan.allowedPersonalities.includes(personalityKey)) {
+    return {
+      allowed: false,
+      reason: `Your ${plan.displayName} plan does not include ${personality.displayName.toLowerCase()} clients. Please upgrade to access this personality.`,
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Client personality catalogue, marking the ones the user's plan includes
+ * @param {string} userId - User ID
+ * @returns {array} [{ key, displayName, description, difficulty, traits, available }]
+ */
+async function listPersonalities(userId) {
+  let allowed = "all";
+  if (!isBetaMode()) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+    allowed = getPlan(user.subscription.plan).allowedPersonalities;
+  }
+
+  return getAllPersonalities().map((personality) => ({
+    key: personality.key,
+    displayName: personality.displayName,
+    description: personality.description,
+    difficulty: personality.difficulty,
+    traits: personality.traits,
+    available: allowed === "all" || allowed.includes(personality.key),
+  }));
+}
+
+/**
+ * Check if user has AI calls left this month (agent requests, chat replies
+ * and repository analyses). Caps reset on the 1st of each month (UTC).
+ * @param {string} userId - User ID
+ * @returns {object} { allowed: boolean, reason?: string, used, limit, remaining, resetsAt }
+ */
+async function canUseAi(userId) {
+  // Beta mode: No AI usage cap
+  if (isBetaMode()) {
+    return { allowed: true, beta: true };
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError("User not found", 404);
+  }
+
+  const plan = getPlan(user.subscription.plan);
+  const used = await agentUsageService.countMonthlyCalls(userId);
+  return aiUsageStatus(plan, used);
+}
+
+/**
+ * AI usage result for a plan given the calls counted this month
+ */
+function aiUsageStatus(plan, used) {
+  const limit = plan.aiCallsPerMonth;
+  if (limit === null || limit === undefined) {
+    return { allowed: true, used, limit: null, remaining: null };
+  }
+
+  const monthStart = agentUsageService.getMonthStart();
+  const resetsAt = new Date(
+    Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1)
+  );
+
+  if (used >= limit) {
+    return {
+      allowed: false,
+      reason: `You have used all ${limit} AI interactions included in your ${plan.displayName} plan this month. The limit resets on ${resetsAt.toDateString()}; upgrade for more.`,
+      used,
+      limit,
+      remaining: 0,
+      resetsAt,
+    };
+  }
+
+  return { allowed: true, used, limit, remaining: limit - used, resetsAt };
+}
+
+/**
+ * Check the AI cap and, if a call is left, reserve it for an agent call
+ * that is about to be made or enqueued. The reservation counts towards the
+ * cap until the call is recorded (see agent-usage.service), so a burst of
+ * requests can't all pass before the first reply lands.
+ * @param {string} userId - User ID
+ * @param {string} operation - "requirements" | "chat" | "feedback"
+ * @returns {object} Same as canUseAi, plus `reservationId` when a call was
+ *   reserved; pass it with the agent call (or to releaseAiCall)
+ */
+async function reserveAiCall(userId, operation) {
+  if (isBetaMode()) {
+    return { allowed: true, beta: true };
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError("User not found", 404);
+  }
+
+  const plan = getPlan(user.subscription.plan);
+  const aiUsage = aiUsageStatus(plan, await agentUsageService.countMonthlyCalls(userId));
+  if (!aiUsage.allowed || aiUsage.limit === null) {
+    return aiUsage;
+  }
+
+  // Reserve first, then count: of concurrent requests for the last call,
+  // at most one sees itself within the cap
+  const reservation = await agentUsageService.reserveCall(userId, operation);
+  const used = await agentUsageService.countMonthlyCalls(userId);
+  if (used > aiUsage.limit) {
+    await agentUsageService.releaseReservation(reservation._id);
+    return aiUsageStatus(plan, used - 1);
+  }
+
+  return {
+    ...aiUsage,
+    used,
+    remaining: aiUsage.limit - used,
+    reservationId: reservation._id.toString(),
+  };
+}
+
+/**
+ * Give back a reserved AI call that won't be made. Never throws; a
+ * reservation that can't be released expires on its own.
+ * @param {string} reservationId - From reserveAiCall; ignored when empty
+ */
+async function releaseAiCall(reservationId) {
+  if (!reservationId) return;
+  try {
+    await agentUsageService.releaseReservation(reservationId);
+  } catch (error) {
+    logger.warn(`Failed to release AI reservation ${reservationId}: ${error.message}`);
+  }
+}
+
 /**
  * Get user's plan limits and current usage
  * @param {string} userId - User ID
@@ -200,7 +378,9 @@ async function getUserLimits(userId) {
         maxProjects: maxActive || null,
         allowedExpertise: ["beginner", "intermediate", "advanced"],
         allowedThemes: "all",
+        allowedPersonalities: "all",
         canMakePublic: true,
+        aiCallsPerMonth: null,
       },
       usage: {
         projectsUsed: simulationCount,
@@ -213,6 +393,7 @@ async function getUserLimits(userId) {
         canAccessIntermediate: true,
         canAccessAdvanced: true,
         canMakePublic: true,
+        canUseAi: true,
       },
       reason: canCreate.allowed ? null : canCreate.reason,
       beta: true,
@@ -227,6 +408,8 @@ async function getUserLimits(userId) {
     state: { $nin: ["archived", "canceled"] },
   });
 
+  const aiUsage = await canUseAi(userId);
+
   return {
     plan: {
       name: plan.name,
@@ -236,12 +419,17 @@ async function getUserLimits(userId) {
       maxProjects: plan.maxProjects,
       allowedExpertise: plan.allowedExpertise,
       allowedThemes: plan.allowedThemes,
+      allowedPersonalities: plan.allowedPersonalities,
       canMakePublic: plan.canMakePublic,
+      aiCallsPerMonth: plan.aiCallsPerMonth,
     },
     usage: {
       projectsUsed: simulationCount,
       projectsRemaining:
         plan.maxProjects === null ? null : plan.maxProjects - simulationCount,
+      aiCallsUsed: aiUsage.used ?? null,
+      aiCallsRemaining: aiUsage.remaining,
+      aiCallsResetAt: aiUsage.resetsAt || null,
     },
     capabilities: {
       canCreateProject:
@@ -249,6 +437,7 @@ async function getUserLimits(userId) {
       canAccessIntermediate: plan.allowedExpertise.includes("intermediate"),
       canAccessAdvanced: plan.allowedExpertise.includes("advanced"),
       canMakePublic: plan.canMakePublic,
+      canUseAi: aiUsage.allowed,
     },
   };
 }
@@ -258,5 +447,10 @@ module.exports = {
   canUseExpertise,
   canMakePublic,
   canUseTheme,
+  canUsePersonality,
+  listPersonalities,
+  canUseAi,
+  reserveAiCall,
+  releaseAiCall,
   getUserLimits,
 };
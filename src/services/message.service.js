@@ -5,8 +5,49 @@ const {
 const { enqueueAgentJob } = require("./queue.service");
 const { AppError } = require("../utils/errors");
 const { emitToSimulation } = require("../socket");
+const personaService = require("./persona.service");
+const agentStreamService = require("./agent-stream.service");
+const readReceiptService = require("./read-receipt.service");
+const moderationService = require("./moderation.service");
+const chatCommandService = require("./chat-command.service");
+const conversationContextService = require("./conversation-context.service");
+const limitsService = require("./limits.service");
+const { diffText } = require("../utils/textDiff");
 const logger = require("../config/logger");
 
+const QUOTE_MAX_LENGTH = 2000;
+const AGENT_ACTIVE_STATES = ["requirements_sent", "in_progress"];
+
+/**
+ * Load the message being replied to; it must belong to the same simulation
+ */
+async function findReplyTarget(simulationId, replyToId) {
+  const parent = await Message.findOne({ _id: replyToId, simulationId })
+    .select("sender content threadRootId createdAt")
+    .lean();
+
+  if (!parent) {
+    throw new AppError("Message to reply to not found in this simulation", 400);
+  }
+
+  return parent;
+}
+
+/**
+ * Quoted message passed to the agent as context for a reply
+ */
+function toQuote(message) {
+  return {
+    messageId: message._id.toString(),
+    sender: {
+      type: message.sender.type,
+      handle: message.sender.handle || null,
+      agentName: message.sender.agentName || null,
+    },
+    content: message.content.slice(0, QUOTE_MAX_LENGTH),
+  };
+}
+
 /**
  * Create a new message with atomic sequence generation
  */
@@ -18,7 +59,8 @@ async function createMessage(
   attachments = [],
   clientMessageId = null,
   metadata = {},
-  messageType = null
+  messageType = null,
+  replyTo = null
 ) {
   logger.info(`messageService.createMessage called`, {
     simulationId,
@@ -49,6 +91,23 @@ async function createMessage(
     throw e;
   } */
 
+  // Only the owner and active team members whose role allows chat can post as users
+  if (sender?.type === "user" && !Simulation.hasPermission(simulation, sender.id, "chat")) {
+    throw new AppError("Not authorized to post in this simulation", 403);
+  }
+
+  // Slash commands (/status, /submit, ...) are answered by the backend
+  const command =
+    sender?.type === "user" ? chatCommandService.parseCommand(content) : null;
+
+  // Paused simulations accept system messages and commands only; the client is "away"
+  if (sender?.type === "user" && !command && simulation.state === "paused") {
+    throw new AppError(
+      "Simulation is paused. Resume it to continue the conversation.",
+      409
+    );
+  }
+
   // Deduplicate GitHub feedback messages - check if similar message exists in last 30 seconds
   if (sender.type === "agent" && sender.agentName === "GitHub Analyzer") {
     const thirtySecondsAgo = new Date(Date.now() - 30000);
@@ -68,9 +127,12 @@ async function createMessage(
   }
 
   // Auto-transition to in_progress if first user message after requirements_sent
-  if (sender.type === "user" && simulation.state === "requirements_sent") {
+  if (sender.type === "user" && !command && simulation.state === "requirements_sent") {
     await simulation.transitionState("in_progress", sender.id);
     logger.info(`Auto-transitioned simulation ${simulationId} to in_progress`);
+
+    const { scheduleScopeChangesSafely } = require("./simulation.service");
+    await scheduleScopeChangesSafely(simulation);
   }
 
   // Check for duplicate client message ID
@@ -84,13 +146,29 @@ async function createMessage(
     }
   }
 
-  // Get next sequence number (atomic)
-  const sequence = await Message.getNextSequence(simulationId);
+  const parent = replyTo ? await findReplyTarget(simulationId, replyTo) : null;
+
+  // Route user messages to one of the simulation's agent personas
+  let persona = null;
+  if (command) {
+    metadata = { ...metadata, command: command.name };
+  } else if (sender.type === "user") {
+    const routed = personaService.resolvePersona(simulation, {
+      addressedTo: metadata?.addressedTo,
+      content,
+      inReplyTo: parent?.sender.type === "agent" ? parent.sender.handle : null,
+    });
+    persona = routed.persona;
+    metadata = {
+      ...metadata,
+      addressedTo: persona.handle,
+      routedBy: routed.reason,
+    };
+  }
 
-  // Create message
-  const message = await Message.create({
+  // Create message with the next sequence number (atomic, retried on conflict)
+  const message = await Message.createWithSequence({
     simulationId,
-    sequence,
     clientMessageId,
     sender,
     content,
@@ -98,13 +176,22 @@ async function createMessage(
     attachments,
     metadata, // Save metadata
     type: messageType || "text", // Store message type (system, text, etc.)
+    replyTo: parent?._id,
+    threadRootId: parent ? parent.threadRootId || parent._id : undefined,
   });
+  const { sequence } = message;
 
   logger.info("✅ MESSAGE SAVED IN DB", {
     messageId: message._id,
     simulationId,
   });
 
+  // Replying means the user has read everything up to their own message
+  if (sender.type === "user") {
+    await readReceiptService.recordReadSafely(simulationId, sender.id, sequence);
+    await moderationService.screenMessage(message);
+  }
+
   // Only update message count and trigger agent jobs for non-system messages
   if (sender?.type !== "system") {
     // Update simulation message count
@@ -164,28 +251,61 @@ async function createMessage(
     `Message created: ${message._id} (sequence: ${sequence}) in simulation: ${simulationId}`
   );
 
+  // Commands get a system reply instead of going to Agent 2
+  if (command) {
+    await replyToCommand(simulation, message, command);
+    return message.toObject();
+  }
+
   // Enqueue agent response if user message and simulation in active states
-  const activeStates = ["requirements_sent", "in_progress"];
-  if (sender.type === "user" && activeStates.includes(simulation.state)) {
+  if (sender.type === "user" && AGENT_ACTIVE_STATES.includes(simulation.state)) {
+    // Out of AI calls for the month: explain instead of answering
+    const aiUsage = await limitsService.reserveAiCall(sender.id, "chat");
+    if (!aiUsage.allowed) {
+      await postAiLimitNotice(simulation, message, aiUsage);
+      return message.toObject();
+    }
+
+    // A user who left earlier is back; don't cancel the reply to this message
+    await agentStreamService
+      .clearCancel(simulationId, sender.id.toString())
+      .catch((error) => logger.warn(`Failed to clear agent cancel: ${error.message}`));
+
+    const queueActive = require("./queue.service").isQueueActive();
+
+    // Slow clients answer later; the worker shows the typing indicator
+    // when the delayed job starts. The synchronous fallback doesn't wait.
+    const replyDelayMs = queueActive ? personaService.getReplyDelayMs(simulation, persona) : 0;
+
     // Emit typing indicator
     try {
-      emitToSimulation(simulationId, "agent:typing", {
-        agentName: "Agent2",
-        isTyping: true,
-      });
+      if (!replyDelayMs) {
+        emitToSimulation(simulationId, "agent:typing", {
+          agentName: persona.displayName,
+          handle: persona.handle,
+          isTyping: true,
+        });
+      }
     } catch (error) {
       logger.error("Failed to emit agent:typing event:", error);
     }
 
-    const queueActive = require("./queue.service").isQueueActive();
-
     if (queueActive) {
-      await enqueueAgentJob("chat", {
-        simulationId: simulationId.toString(),
-        userMessage: content,
-        userId: sender.id.toString(),
-        sequence,
-      });
+      await enqueueAgentJob(
+        "chat",
+        {
+          simulationId: simulationId.toString(),
+          userMessage: content,
+          userId: sender.id.toString(),
+          reservationId: aiUsage.reservationId,
+          sequence,
+          agentHandle: persona.handle,
+          messageId: message._id.toString(),
+          threadRootId: message.threadRootId?.toString(),
+          quotedMessage: parent ? toQuote(parent) : null,
+        },
+        replyDelayMs ? { delay: replyDelayMs } : {}
+      );
       logger.info(`Enqueued Agent2 chat job for simulation: ${simulationId}`);
     } else {
       // ⚠️ SYNCHRONOUS FALLBACK: Call Agent 2 directly if Redis is down
@@ -194,37 +314,68 @@ async function createMessage(
       );
 
       try {
-        const agentService = require("./agent.service");
         // Get requirements from simulation snapshot (Agent 1 context)
         const context = simulation.templateSnapshot?.requirements || null;
+        const conversation = await conversationContextService.buildConversationContext(
+          simulation,
+          { beforeSequence: sequence }
+        );
 
-        const agentResponse = await agentService.sendMessage({
-          simulationId: simulationId.toString(),
-          message: content,
-          context: context, // 👈 Pass context directly to bypass Redis
-        });
+        const agentResponse = await agentStreamService.generateReply(
+          {
+            simulationId: simulationId.toString(),
+            userId: sender.id.toString(),
+            reservationId: aiUsage.reservationId,
+            message: content,
+            context: context, // 👈 Pass context directly to bypass Redis
+            conversation,
+            persona: personaService.toAgentPersona(persona, simulation),
+            quotedMessage: parent ? toQuote(parent) : null,
+          },
+          {
+            simulationId,
+            userId: sender.id.toString(),
+            persona,
+            emit: (event, data) => emitToSimulation(simulationId, event, data),
+          }
+        );
 
-        const agentName = "Agent2";
-        const agentContent =
-          agentResponse.response ||
-          agentResponse.message ||
-          JSON.stringify(agentResponse);
+        // The user left before any text arrived; nothing to keep
+        if (agentResponse.cancelled && !agentResponse.response) {
+          emitToSimulation(simulationId, "agent:typing", {
+            agentName: persona.displayName,
+            handle: persona.handle,
+            isTyping: false,
+          });
+          return message.toObject();
+        }
 
         // Save Agent Message
-        const agentMsg = await Message.create({
+        const agentMsg = await Message.createWithSequence({
           simulationId,
-          sequence: await Message.getNextSequence(simulationId),
-          sender: { type: "agent", agentName },
-          content: agentContent,
+          sender: personaService.toSender(persona),
+          content: agentResponse.response,
           contentType: "markdown",
+          // Answer inside the thread the user replied in
+          replyTo: message.threadRootId ? message._id : undefined,
+          threadRootId: message.threadRootId,
+          metadata: {
+            answersMessageId: message._id.toString(),
+            ...(agentResponse.streamId && {
+              streamId: agentResponse.streamId,
+              ...(agentResponse.cancelled && { streamCancelled: true }),
+            }),
+          },
         });
 
         // Update counts
+        simulation.currentAgent = persona.handle;
         await simulation.incrementMessageCount();
 
         // Emit to socket
         emitToSimulation(simulationId, "agent:typing", {
-          agentName,
+          agentName: persona.displayName,
+          handle: persona.handle,
           isTyping: false,
         });
         emitToSimulation(simulationId, "message:created", agentMsg.toObject());
@@ -235,7 +386,8 @@ async function createMessage(
       } catch (fallbackError) {
         logger.error(`Synchronous fallback failed: ${fallbackError.message}`);
         emitToSimulation(simulationId, "agent:typing", {
-          agentName: "Agent2",
+          agentName: persona.displayName,
+          handle: persona.handle,
           isTyping: false,
         });
         emitToSimulation(simulationId, "agent:error", {
@@ -249,16 +401,81 @@ async function createMessage(
   return message.toObject();
 }
 
+/**
+ * Run a chat command and post its result as a system message
+ */
+async function replyToCommand(simulation, message, command) {
+  const result = await chatCommandService.runCommand(command, {
+    simulation,
+    userId: message.sender.id,
+  });
+
+  const reply = await Message.createWithSequence({
+    simulationId: simulation._id,
+    sender: { type: "system" },
+    content: result.content,
+    contentType: "markdown",
+    metadata: {
+      command: command.name,
+      commandMessageId: message._id,
+      ok: result.ok,
+      ...(result.data && { result: result.data }),
+    },
+  });
+
+  try {
+    emitToSimulation(simulation._id, "message:created", reply.toObject());
+  } catch (error) {
+    logger.error("Failed to emit message:created event:", error);
+  }
+
+  logger.info(`Chat command /${command.name} answered in simulation: ${simulation._id}`);
+
+  return reply;
+}
+
+/**
+ * Tell the user the agent won't answer because the monthly AI cap is reached
+ */
+async function postAiLimitNotice(simulation, message, aiUsage) {
+  const notice = await Message.createWithSequence({
+    simulationId: simulation._id,
+    sender: { type: "system" },
+    content: aiUsage.reason,
+    contentType: "text",
+    metadata: {
+      aiLimitReached: true,
+      limitedMessageId: message._id,
+      limit: aiUsage.limit,
+      resetsAt: aiUsage.resetsAt,
+    },
+  });
+
+  try {
+    emitToSimulation(simulation._id, "message:created", notice.toObject());
+  } catch (error) {
+    logger.error("Failed to emit message:created event:", error);
+  }
+
+  logger.info(`AI usage cap reached; agent reply skipped in simulation: ${simulation._id}`);
+
+  return notice;
+}
+
 /**
  * List messages for a simulation with cursor pagination
  */
-async function listMessages(simulationId, cursor = null, limit = 50) {
+async function listMessages(simulationId, cursor = null, limit = 50, userId = null) {
   // Validate simulation exists
   const simulation = await Simulation.findById(simulationId);
   if (!simulation) {
     throw new AppError("Simulation not found", 404);
   }
 
+  if (userId && !Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
   const messages = await Message.findBySimulation(simulationId, {
     cursor,
     limit: Math.min(limit, 500), // Max 500 messages per request
@@ -275,6 +492,50 @@ async function listMessages(simulationId, cursor = null, limit = 50) {
   };
 }
 
+/**
+ * Get a thread: its root message and the replies, oldest first, with
+ * cursor pagination on sequence. Any message of the thread can be passed.
+ */
+async function getThread(simulationId, messageId, userId, { cursor = null, limit = 50 } = {}) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants")
+    .lean();
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  const message = await Message.findOne({ _id: messageId, simulationId })
+    .select("threadRootId")
+    .lean();
+  if (!message) {
+    throw new AppError("Message not found", 404);
+  }
+
+  const rootId = message.threadRootId || message._id;
+  const query = { simulationId, threadRootId: rootId };
+  if (cursor) {
+    query.sequence = { $gt: cursor };
+  }
+
+  const [root, replies] = await Promise.all([
+    Message.findById(rootId).lean(),
+    Message.find(query).sort({ sequence: 1 }).limit(limit).lean(),
+  ]);
+
+  const hasMore = replies.length === limit;
+
+  return {
+    root,
+    items: replies,
+    nextCursor: hasMore ? replies[replies.length - 1].sequence : null,
+    hasMore,
+  };
+}
+
 /**
  * Get a single message by ID
  */
@@ -299,11 +560,27 @@ async function editMessage(messageId, newContent, userId) {
   }
 
   // Only allow user who sent the message to edit it
-  if (message.sender.id.toString() !== userId.toString()) {
+  if (message.sender.id?.toString() !== userId.toString()) {
     throw new AppError("Not authorized to edit this message", 403);
   }
 
+  // The sender may since have lost chat access (removed collaborator)
+  const simulation = await Simulation.findById(message.simulationId);
+  if (!simulation || !Simulation.hasPermission(simulation, userId, "chat")) {
+    throw new AppError("Not authorized to edit this message", 403);
+  }
+
+  if (message.moderation?.status === "redacted") {
+    throw new AppError("Message was removed by a moderator", 409);
+  }
+
+  if (message.content === newContent) {
+    return message.toObject();
+  }
+
+  const previousContent = message.content;
   await message.edit(newContent, userId);
+  await moderationService.screenMessage(message);
 
   // Emit Socket.IO event
   try {
@@ -318,30 +595,227 @@ async function editMessage(messageId, newContent, userId) {
 
   logger.info(`Message edited: ${messageId}`);
 
+  // Not awaited: the agent's follow-up must not hold up the edit response
+  notifyAgentOfEdit(message, previousContent);
+
   return message.toObject();
 }
 
 /**
- * Flag a message
+ * Let the agent that answered a user message know it was edited, so it can
+ * follow up in a thread on the edited message. Never fails the edit.
  */
-async function flagMessage(messageId) {
-  const message = await Message.findById(messageId);
+async function notifyAgentOfEdit(message, previousContent) {
+  try {
+    if (message.sender.type !== "user") return;
+
+    // Only follow up on messages an agent actually answered
+    const answered = await Message.exists({
+      simulationId: message.simulationId,
+      "sender.type": "agent",
+      $or: [
+        { "metadata.answersMessageId": message._id.toString() },
+        { replyTo: message._id },
+      ],
+    });
+    if (!answered) return;
+
+    const simulation = await Simulation.findById(message.simulationId);
+    if (!simulation || !AGENT_ACTIVE_STATES.includes(simulation.state)) return;
+
+    const aiUsage = await limitsService.reserveAiCall(message.sender.id, "chat");
+    if (!aiUsage.allowed) {
+      logger.info(`AI usage cap reached; edit follow-up skipped for message: ${message._id}`);
+      return;
+    }
+
+    const persona =
+      personaService.findPersona(simulation, message.metadata?.addressedTo) ||
+      personaService.getClientPersona(simulation);
+    const edit = {
+      messageId: message._id.toString(),
+      revision: message.currentRevision(),
+      previousContent,
+      content: message.content,
+    };
+    const threadRootId = (message.threadRootId || message._id).toString();
+
+    emitToSimulation(message.simulationId, "agent:typing", {
+      agentName: persona.displayName,
+      handle: persona.handle,
+      isTyping: true,
+    });
+
+    if (require("./queue.service").isQueueActive()) {
+      await enqueueAgentJob("chat", {
+        simulationId: message.simulationId.toString(),
+        userMessage: message.content,
+        userId: message.sender.id.toString(),
+        reservationId: aiUsage.reservationId,
+        sequence: message.sequence,
+        revision: edit.revision,
+        agentHandle: persona.handle,
+        messageId: edit.messageId,
+        threadRootId,
+        edit,
+      });
+      logger.info(`Enqueued Agent2 edit follow-up for message: ${message._id}`);
+      return;
+    }
+
+    // Synchronous fallback when Redis is down, as in createMessage
+    const agentService = require("./agent.service");
+    const agentResponse = await agentService.sendMessage({
+      simulationId: message.simulationId.toString(),
+      userId: message.sender.id.toString(),
+      reservationId: aiUsage.reservationId,
+      message: message.content,
+      context: simulation.templateSnapshot?.requirements || null,
+      conversation: await conversationContextService.buildConversationContext(simulation, {
+        beforeSequence: message.sequence,
+      }),
+      persona: personaService.toAgentPersona(persona, simulation),
+      edit,
+    });
+
+    const agentMsg = await Message.createWithSequence({
+      simulationId: message.simulationId,
+      sender: personaService.toSender(persona),
+      content: agentResponse.response,
+      contentType: "markdown",
+      replyTo: message._id,
+      threadRootId,
+    });
+
+    simulation.currentAgent = persona.handle;
+    await simulation.incrementMessageCount();
+
+    emitToSimulation(message.simulationId, "agent:typing", {
+      agentName: persona.displayName,
+      handle: persona.handle,
+      isTyping: false,
+    });
+    emitToSimulation(message.simulationId, "message:created", agentMsg.toObject());
+  } catch (error) {
+    logger.error(
+      `Failed to notify agent of edit to message ${message._id}: ${error.message}`
+    );
+  }
+}
 
+/**
+ * Load a message of a simulation the user can access
+ */
+async function findAccessibleMessage(simulationId, messageId, userId) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants")
+    .lean();
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  const message = await Message.findOne({ _id: messageId, simulationId });
   if (!message) {
     throw new AppError("Message not found", 404);
   }
 
-  await message.flag();
+  return message;
+}
+
+/**
+ * All versions of a message, oldest first; the last one is the current content
+ */
+function buildRevisions(message) {
+  return [
+    ...(message.revisions || []).map((r) => ({
+      revision: r.revision,
+      content: r.content,
+      createdAt: r.createdAt,
+      createdBy: r.createdBy || null,
+      current: false,
+    })),
+    {
+      revision: message.currentRevision(),
+      content: message.content,
+      createdAt: message.metadata?.editedAt || message.createdAt,
+      createdBy: message.metadata?.editedBy || message.sender.id || null,
+      current: true,
+    },
+  ];
+}
 
-  logger.info(`Message flagged: ${messageId}`);
+/**
+ * List the edit history of a message
+ */
+async function listRevisions(simulationId, messageId, userId) {
+  const message = await findAccessibleMessage(simulationId, messageId, userId);
 
-  return message.toObject();
+  return {
+    messageId: message._id,
+    currentRevision: message.currentRevision(),
+    items: buildRevisions(message),
+  };
+}
+
+/**
+ * Text diff between two revisions of a message. Defaults to the current
+ * revision against the one before it.
+ */
+async function getRevisionDiff(simulationId, messageId, userId, { from, to } = {}) {
+  const message = await findAccessibleMessage(simulationId, messageId, userId);
+  const revisions = buildRevisions(message);
+
+  const toRevision = to || message.currentRevision();
+  const fromRevision = from || toRevision - 1;
+  const before = revisions.find((r) => r.revision === fromRevision);
+  const after = revisions.find((r) => r.revision === toRevision);
+
+  if (!before || !after) {
+    throw new AppError(
+      `Revision not found; available: ${revisions.map((r) => r.revision).join(", ")}`,
+      404
+    );
+  }
+
+  return {
+    messageId: message._id,
+    from: fromRevision,
+    to: toRevision,
+    ...diffText(before.content, after.content),
+  };
+}
+
+/**
+ * Report a message to the moderation queue (owner or team member)
+ */
+async function flagMessage(simulationId, messageId, userId, reason) {
+  const message = await findAccessibleMessage(simulationId, messageId, userId);
+
+  if (message.moderation?.status === "redacted") {
+    throw new AppError("Message was already removed by a moderator", 409);
+  }
+
+  await moderationService.flagMessage(message, {
+    source: "report",
+    reasons: [{ rule: "user-report", category: "report", excerpt: reason }],
+    actor: { type: "user", id: userId },
+    note: reason,
+  });
+
+  return { messageId: message._id, flagged: true };
 }
 
 module.exports = {
   createMessage,
   listMessages,
+  getThread,
   getMessageById,
   editMessage,
+  listRevisions,
+  getRevisionDiff,
   flagMessage,
 };
@@ -0,0 +1,227 @@
+const { Simulation } = require("../models");
+const { AppError } = require("../utils/errors");
+const { emitToSimulation } = require("../socket");
+const { calculateDeadlineTimestamp } = require("./dashboard.service");
+const notificationService = require("./notification.service");
+const logger = require("../config/logger");
+
+const MAX_MILESTONES = 4;
+const DEFAULT_DURATION_MS = 7 * 24 * 60 * 60 * 1000; // Agent 1 defaults to "1 week"
+const ACTIVE_STATES = ["created", "requirements_sent", "in_progress"];
+
+/**
+ * Pull deliverables out of an Agent 1 requirements payload.
+ * Prefers explicit milestones, then key requirements, then acceptance criteria.
+ */
+function extractDeliverables(requirements = {}) {
+  if (Array.isArray(requirements.milestones) && requirements.milestones.length) {
+    return requirements.milestones
+      .map((m) =>
+        typeof m === "string"
+          ? { title: m }
+          : { title: m?.title || m?.name, description: m?.description }
+      )
+      .filter((m) => typeof m.title === "string" && m.title.trim());
+  }
+
+  const criteria =
+    requirements.key_requirements ||
+    requirements.acceptance_criteria ||
+    requirements.raw_acceptance_criteria;
+
+  let items = [];
+  if (Array.isArray(criteria)) {
+    items = criteria;
+  } else if (typeof criteria === "string") {
+    // Strip bullet / numbering prefixes ("- ", "* ", "1. ")
+    items = criteria
+      .split("\n")
+      .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, ""));
+  }
+
+  return items
+    .filter((item) => typeof item === "string" && item.trim())
+    .map((item) => ({ title: item.trim() }));
+}
+
+/**
+ * Build milestone documents for a simulation from its Agent 1 requirements.
+ * Due dates are spread evenly across the simulation's deadline window.
+ */
+function buildMilestones(simulation, requirements) {
+  const deliverables = extractDeliverables(requirements || {});
+  if (deliverables.length === 0) return [];
+
+  // Group deliverables so we never produce more than MAX_MILESTONES
+  const groupSize = Math.ceil(deliverables.length / MAX_MILESTONES);
+  const groups = [];
+  for (let i = 0; i < deliverables.length; i += groupSize) {
+    groups.push(deliverables.slice(i, i + groupSize));
+  }
+
+  const startMs = new Date(
+    simulation.startedAt || simulation.createdAt || Date.now()
+  ).getTime();
+  const deadlineMs =
+    calculateDeadlineTimestamp(simulation) || startMs + DEFAULT_DURATION_MS;
+  const windowMs = Math.max(deadlineMs - startMs, 0);
+
+  return groups.map((group, index) => {
+    const title =
+      groupSize === 1
+        ? group[0].title
+        : `Milestone ${index + 1}: ${group[0].title}`;
+    const description =
+      groupSize === 1
+        ? group[0].description
+        : group.map((d) => `- ${d.title}`).join("\n");
+
+    return {
+      title: title.slice(0, 200),
+      description: description ? description.slice(0, 2000) : undefined,
+      order: index,
+      dueAt: new Date(startMs + (windowMs * (index + 1)) / groups.length),
+      status: "pending",
+    };
+  });
+}
+
+/**
+ * List milestones for a simulation
+ */
+async function listMilestones(simulationId, userId) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants milestones")
+    .lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  return (simulation.milestones || []).sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Mark a milestone as completed (owner, or a team member whose role allows it)
+ */
+async function completeMilestone(simulationId, milestoneId, userId) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasPermission(simulation, userId, "milestones")) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  if (!simulation.milestones.id(milestoneId)) {
+    throw new AppError("Milestone not found", 404);
+  }
+
+  if (!ACTIVE_STATES.includes(simulation.state)) {
+    throw new AppError(
+      `Milestones can only be completed on active simulations (current state: ${simulation.state})`,
+      409
+    );
+  }
+
+  await simulation.completeMilestone(milestoneId, userId);
+  const milestone = simulation.milestones.id(milestoneId).toObject();
+
+  try {
+    emitToSimulation(simulationId, "milestone:completed", {
+      simulationId,
+      milestone,
+    });
+  } catch (error) {
+    logger.error("Failed to emit milestone:completed event:", error);
+  }
+
+  logger.info(`Milestone completed: ${milestoneId} in simulation: ${simulationId}`);
+
+  return milestone;
+}
+
+/**
+ * Mark pending milestones past their due date as overdue.
+ * Called by the recurring cleanup job. The worker has no Socket.IO, so the
+ * overdue milestones are returned in the job result and announced by the
+ * server's queue listener (notifyOverdueMilestones).
+ */
+async function checkOverdueMilestones(now = new Date()) {
+  const simulations = await Simulation.find({
+    state: { $in: ACTIVE_STATES },
+    milestones: { $elemMatch: { status: "pending", dueAt: { $lt: now } } },
+  });
+
+  const overdueMilestones = [];
+
+  for (const simulation of simulations) {
+    const slipped = simulation.milestones.filter(
+      (m) => m.status === "pending" && m.dueAt < now
+    );
+
+    slipped.forEach((m) => {
+      m.status = "overdue";
+      m.overdueAt = now;
+    });
+    await simulation.save();
+
+    for (const milestone of slipped) {
+      overdueMilestones.push({
+        simulationId: simulation._id.toString(),
+        userId: simulation.userId.toString(),
+        projectName: simulation.projectName,
+        milestone: milestone.toObject(),
+      });
+    }
+  }
+
+  logger.info(
+    `Overdue milestone check: ${overdueMilestones.length} milestones in ${simulations.length} simulations`
+  );
+
+  return {
+    simulations: simulations.length,
+    overdueCount: overdueMilestones.length,
+    overdueMilestones,
+  };
+}
+
+/**
+ * Emit milestone:overdue and notify the owner for each milestone reported
+ * by checkOverdueMilestones. Runs on the server, which owns Socket.IO.
+ */
+async function notifyOverdueMilestones(overdueMilestones = []) {
+  for (const { simulationId, userId, projectName, milestone } of overdueMilestones) {
+    try {
+      emitToSimulation(simulationId, "milestone:overdue", {
+        simulationId,
+        milestone,
+      });
+    } catch (error) {
+      logger.error("Failed to emit milestone:overdue event:", error);
+    }
+
+    await notificationService.sendPush(
+      userId,
+      "Milestone overdue",
+      `"${milestone.title}" in ${projectName} is past its due date.`,
+      { simulationId, milestoneId: milestone._id.toString() }
+    );
+  }
+}
+
+module.exports = {
+  extractDeliverables,
+  buildMilestones,
+  listMilestones,
+  completeMilestone,
+  checkOverdueMilestones,
+  notifyOverdueMilestones,
+};
@@ -0,0 +1,299 @@
+const crypto = require("crypto");
+const { Message, AuditLog, Simulation } = require("../models");
+const { rules } = require("../config/moderationRules");
+const { AppError } = require("../utils/errors");
+const { emitToSimulation } = require("../socket");
+const { enqueueCleanup, isQueueActive } = require("./queue.service");
+const logger = require("../config/logger");
+
+const REDACTED_CONTENT = "[This message was removed by a moderator]";
+
+// Review action -> resulting status, and the statuses it can be applied to
+const REVIEW_ACTIONS = {
+  resolve: { status: "resolved", from: ["flagged"] },
+  dismiss: { status: "dismissed", from: ["flagged"] },
+  redact: { status: "redacted", from: ["flagged", "resolved", "dismissed", null] },
+};
+
+/**
+ * Keep enough of a match to review it without storing the secret itself
+ */
+function maskMatch(match, category) {
+  if (category === "profanity") return match;
+  const visible = match.slice(0, 4);
+  return `${visible}${"*".repeat(Math.min(match.length - visible.length, 12))}`;
+}
+
+/**
+ * Check text against the local rule lists
+ * @param {string} content - Message text
+ * @returns {Array<Object>} [{ rule, category, excerpt }], empty when clean
+ */
+function scanContent(content) {
+  if (!content) return [];
+
+  return rules.reduce((reasons, rule) => {
+    const match = content.match(rule.pattern);
+    if (match) {
+      reasons.push({
+        rule: rule.id,
+        category: rule.category,
+        excerpt: maskMatch(match[0], rule.category),
+      });
+    }
+    return reasons;
+  }, []);
+}
+
+/**
+ * Put a message in the moderation queue. Reasons are added to an already
+ * flagged message; redacted messages are left alone.
+ * @returns {Promise<Object|null>} Updated message, or null if unchanged
+ */
+async function flagMessage(message, { source, reasons, actor, note }) {
+  const flag = {
+    "moderation.status": "flagged",
+    "moderation.source": source,
+    "moderation.flaggedAt": new Date(),
+  };
+  const unset = { "moderation.reviewedAt": "", "moderation.reviewedBy": "" };
+  if (actor.id) {
+    flag["moderation.flaggedBy"] = actor.id;
+  } else {
+    unset["moderation.flaggedBy"] = "";
+  }
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, "moderation.status": { $ne: "redacted" } },
+    {
+      $set: flag,
+      $unset: unset,
+      $push: { "moderation.reasons": { $each: reasons } },
+    },
+    { new: true, timestamps: false }
+  ).lean();
+
+  if (!updated) return null;
+
+  await AuditLog.record({
+    action: source === "auto" ? "moderation.auto_flagged" : "moderation.flagged",
+    actor,
+    target: { type: "message", id: message._id },
+    simulationId: message.simulationId,
+    note,
+    details: { reasons },
+  });
+
+  logger.info(`Message ${message._id} flagged for moderation (${source})`, {
+    rules: reasons.map((reason) => reason.rule),
+  });
+
+  return updated;
+}
+
+/**
+ * Flag a user message automatically if it matches a moderation rule.
+ * Never throws: moderation must not stop the conversation.
+ */
+async function screenMessage(message) {
+  try {
+    const reasons = scanContent(message.content);
+    if (reasons.length === 0) return null;
+
+    return await flagMessage(message, {
+      source: "auto",
+      reasons,
+      actor: { type: "system" },
+    });
+  } catch (error) {
+    logger.error(`Failed to screen message ${message._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Carry a redaction into the simulation's offloaded transcript, if it has
+ * one. Never throws: the message itself is already redacted.
+ */
+async function redactTranscript(message) {
+  try {
+    const simulation = await Simulation.findById(message.simulationId)
+      .select("transcriptStorage")
+      .lean();
+    if (simulation?.transcriptStorage?.type !== "s3") return;
+
+    const payload = {
+      simulationId: message.simulationId.toString(),
+      sequence: message.sequence,
+      content: REDACTED_CONTENT,
+    };
+
+    if (isQueueActive()) {
+      await enqueueCleanup("transcript_redaction", payload, {
+        jobId: `transcript_redaction-${message._id}`,
+      });
+      return;
+    }
+
+    const { redactOffloadedTranscript } = require("./transcript.service");
+    await redactOffloadedTranscript(payload.simulationId, payload.sequence, payload.content);
+  } catch (error) {
+    logger.error(`Failed to redact transcript for message ${message._id}:`, error);
+  }
+}
+
+/**
+ * List messages in the moderation queue, newest flag first
+ * @param {Object} filters - { status, category, simulationId, limit, skip }
+ */
+async function listModeratedMessages({
+  status = "flagged",
+  category,
+  simulationId,
+  limit = 50,
+  skip = 0,
+} = {}) {
+  const query = { "moderation.status": status };
+  if (category) query["moderation.reasons.category"] = category;
+  if (simulationId) query.simulationId = simulationId;
+
+  const [items, total] = await Promise.all([
+    Message.find(query)
+      .sort({ "moderation.flaggedAt": -1 })
+      .skip(skip)
+      .limit(limit)
+      .select("-revisions -metadata.rawAgentResponse")
+      .populate("simulationId", "projectName userId state")
+      .lean(),
+    Message.countDocuments(query),
+  ]);
+
+  return { items, total, limit, skip };
+}
+
+/**
+ * Resolve, dismiss or redact a message (admin)
+ *
+ * - resolve: the report was valid and has been dealt with; content is kept
+ * - dismiss: false positive
+ * - redact: content (and every earlier revision) is replaced by a placeholder
+ *
+ * @param {string} messageId - Message ID
+ * @param {string} adminId - Reviewing admin
+ * @param {string} action - "resolve" | "dismiss" | "redact"
+ * @param {string} note - Optional reason, kept in the audit trail
+ */
+async function reviewMessage(messageId, adminId, action, note) {
+  const { status, from } = REVIEW_ACTIONS[action];
+
+  const message = await Message.findById(messageId)
+    .select("simulationId content moderation revisions._id")
+    .lean();
+  if (!message) {
+    throw new AppError("Message not found", 404);
+  }
+
+  const previousStatus = message.moderation?.status || null;
+  if (!from.includes(previousStatus)) {
+    throw new AppError(
+      `Cannot ${action} a message that is ${previousStatus || "not flagged"}`,
+      409
+    );
+  }
+
+  const reviewedAt = new Date();
+  const filter = { _id: messageId, "moderation.status": previousStatus ?? { $exists: false } };
+  const update = {
+    $set: {
+      "moderation.status": status,
+      "moderation.reviewedAt": reviewedAt,
+      "moderation.reviewedBy": adminId,
+    },
+  };
+  if (action === "redact") {
+    update.$set.content = REDACTED_CONTENT;
+    update.$set.contentType = "text";
+    if (!previousStatus) {
+      update.$set["moderation.source"] = "admin";
+    }
+
+    // Earlier revisions are scrubbed in the same write; the guard below makes
+    // an edit that adds a revision in between fail the review instead
+    const revisionCount = message.revisions?.length || 0;
+    filter[`revisions.${revisionCount}`] = { $exists: false };
+    if (revisionCount > 0) {
+      update.$set["revisions.$[].content"] = REDACTED_CONTENT;
+    }
+  }
+
+  // The guards make concurrent reviews (or edits) of the same message fail cleanly
+  const updated = await Message.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    throw new AppError("Message changed while it was being reviewed; reload and retry", 409);
+  }
+
+  await AuditLog.record({
+    action: `moderation.${status}`,
+    actor: { type: "admin", id: adminId },
+    target: { type: "message", id: updated._id },
+    simulationId: updated.simulationId,
+    note,
+    details: {
+      previousStatus,
+      reasons: (message.moderation?.reasons || []).map((reason) => reason.rule),
+      // Lets a later dispute confirm which text was removed without keeping it
+      ...(action === "redact" && {
+        contentSha256: crypto.createHash("sha256").update(message.content).digest("hex"),
+      }),
+    },
+  });
+
+  if (action === "redact") {
+    await redactTranscript(updated);
+
+    try {
+      emitToSimulation(updated.simulationId, "message:redacted", {
+        simulationId: updated.simulationId.toString(),
+        messageId: updated._id.toString(),
+        content: REDACTED_CONTENT,
+      });
+    } catch (error) {
+      logger.error("Failed to emit message:redacted event:", error);
+    }
+  }
+
+  logger.info(`Message ${messageId} ${status} by admin ${adminId}`);
+
+  return updated.toObject();
+}
+
+/**
+ * Moderation audit trail, newest first
+ * @param {Object} filters - { messageId, actorId, action, limit, skip }
+ */
+async function listAuditTrail({ messageId, actorId, action, limit = 50, skip = 0 } = {}) {
+  const query = { action: action || { $regex: /^moderation\./ } };
+  if (messageId) {
+    query["target.type"] = "message";
+    query["target.id"] = messageId;
+  }
+  if (actorId) query["actor.id"] = actorId;
+
+  const [items, total] = await Promise.all([
+    AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    AuditLog.countDocuments(query),
+  ]);
+
+  return { items, total, limit, skip };
+}
+
+module.exports = {
+  REDACTED_CONTENT,
+  REVIEW_ACTIONS,
+  scanContent,
+  flagMessage,
+  screenMessage,
+  listModeratedMessages,
+  reviewMessage,
+  listAuditTrail,
+};
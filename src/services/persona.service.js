@@ -0,0 +1,220 @@
+const { AppError } = require("../utils/errors");
+const {
+  DEFAULT_PERSONAS,
+  FALLBACK_PERSONA,
+  getPersona,
+} = require("../config/agentPersonas");
+const { getPersonality } = require("../config/clientPersonalities");
+
+const MENTION_PATTERN = /(?:^|\s)@([a-z0-9_-]+)/gi;
+
+/**
+ * Build a participant document for a catalogue persona
+ */
+function buildAgentParticipant(key, overrides = {}) {
+  const persona = getPersona(key);
+  if (!persona) {
+    throw new AppError(`Unknown agent persona: ${key}`, 400);
+  }
+
+  return {
+    type: "agent",
+    handle: persona.handle,
+    role: persona.role,
+    displayName: persona.displayName,
+    avatarUrl: persona.avatarUrl,
+    personaPrompt: persona.personaPrompt,
+    topics: persona.topics,
+    ...overrides,
+  };
+}
+
+/**
+ * Default agent participants for a new simulation
+ */
+function buildDefaultAgentParticipants(clientName) {
+  return DEFAULT_PERSONAS.map((key) =>
+    buildAgentParticipant(
+      key,
+      key === FALLBACK_PERSONA && clientName ? { displayName: clientName } : {}
+    )
+  );
+}
+
+/**
+ * Agent participants that can answer in a simulation. Simulations created
+ * before personas existed get the client persona on the fly.
+ */
+function getAgentParticipants(simulation) {
+  const agents = (simulation.participants || []).filter(
+    (p) => p.type === "agent" && p.handle && !p.leftAt
+  );
+  if (agents.length) return agents;
+
+  const clientName = simulation.templateSnapshot?.requirements?.client_name;
+  return [buildAgentParticipant(FALLBACK_PERSONA, clientName ? { displayName: clientName } : {})];
+}
+
+/**
+ * Find an agent participant by handle
+ */
+function findPersona(simulation, handle) {
+  if (!handle) return null;
+  const normalized = handle.toLowerCase().replace(/^@/, "");
+  return (
+    getAgentParticipants(simulation).find((p) => p.handle === normalized) || null
+  );
+}
+
+/**
+ * The client persona (or the first agent if the client was removed)
+ */
+function getClientPersona(simulation) {
+  return (
+    findPersona(simulation, FALLBACK_PERSONA) ||
+    getAgentParticipants(simulation)[0]
+  );
+}
+
+/**
+ * Pick the agent that should answer a user message: an explicit
+ * addressee, then an @mention, then the agent whose message is being
+ * replied to, then the persona whose topics match best, then the client.
+ */
+function resolvePersona(simulation, { addressedTo, content = "", inReplyTo } = {}) {
+  const agents = getAgentParticipants(simulation);
+
+  if (addressedTo) {
+    const persona = findPersona(simulation, addressedTo);
+    if (!persona) {
+      throw new AppError(`No agent participant with handle "${addressedTo}"`, 400);
+    }
+    return { persona, reason: "addressed" };
+  }
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const persona = findPersona(simulation, match[1]);
+    if (persona) return { persona, reason: "mention" };
+  }
+
+  const repliedTo = findPersona(simulation, inReplyTo);
+  if (repliedTo) return { persona: repliedTo, reason: "reply" };
+
+  const text = content.toLowerCase();
+  let best = null;
+  let bestScore = 0;
+  agents.forEach((agent) => {
+    const score = (agent.topics || []).filter((topic) =>
+      new RegExp(`\\b${topic.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(text)
+    ).length;
+    if (score > bestScore) {
+      best = agent;
+      bestScore = score;
+    }
+  });
+  if (best) return { persona: best, reason: "topic" };
+
+  return { persona: getClientPersona(simulation), reason: "fallback" };
+}
+
+/**
+ * Rename the client persona once Agent 1 has named the client
+ */
+function setClientName(simulation, clientName) {
+  if (!clientName) return;
+  const client = (simulation.participants || []).find(
+    (p) => p.type === "agent" && p.handle === FALLBACK_PERSONA
+  );
+  if (client) client.displayName = String(clientName).slice(0, 100);
+}
+
+/**
+ * Client personality snapshot stored on a new simulation
+ */
+function buildClientPersonality(key) {
+  const personality = getPersonality(key);
+  if (!personality) {
+    throw new AppError(`Unknown client personality: ${key}`, 400);
+  }
+
+  return {
+    key: personality.key,
+    displayName: personality.displayName,
+    difficulty: personality.difficulty,
+    traits: personality.traits,
+    prompt: personality.prompt,
+    replyDelayMs: personality.replyDelayMs,
+  };
+}
+
+/**
+ * Personality block sent to the agent service (null for simulations
+ * created before personalities existed)
+ */
+function toAgentPersonality(simulation) {
+  const personality = simulation.clientPersonality;
+  if (!personality?.key) return null;
+
+  return {
+    key: personality.key,
+    name: personality.displayName,
+    difficulty: personality.difficulty,
+    traits: personality.traits || [],
+    prompt: personality.prompt,
+  };
+}
+
+/**
+ * How long the persona waits before answering; only the client has a
+ * personality
+ */
+function getReplyDelayMs(simulation, persona) {
+  if (persona.handle !== FALLBACK_PERSONA) return 0;
+  return simulation.clientPersonality?.replyDelayMs || 0;
+}
+
+/**
+ * Message sender for an agent persona
+ */
+function toSender(persona) {
+  return {
+    type: "agent",
+    agentName: persona.displayName,
+    handle: persona.handle,
+    avatarUrl: persona.avatarUrl,
+  };
+}
+
+/**
+ * Persona block sent to the agent service with each chat request. The
+ * client persona carries the simulation's client personality.
+ */
+function toAgentPersona(persona, simulation) {
+  const agentPersona = {
+    handle: persona.handle,
+    role: persona.role,
+    name: persona.displayName,
+    prompt: persona.personaPrompt,
+  };
+
+  const personality =
+    simulation && persona.handle === FALLBACK_PERSONA ? toAgentPersonality(simulation) : null;
+  if (personality) agentPersona.personality = personality;
+
+  return agentPersona;
+}
+
+module.exports = {
+  buildAgentParticipant,
+  buildDefaultAgentParticipants,
+  getAgentParticipants,
+  findPersona,
+  getClientPersona,
+  resolvePersona,
+  setClientName,
+  buildClientPersonality,
+  toAgentPersonality,
+  getReplyDelayMs,
+  toSender,
+  toAgentPersona,
+};
@@ -1,11 +1,23 @@
 const crypto = require("crypto");
 const { Portfolio, Feedback, Simulation } = require("../models");
 const { enqueueRepoAnalysis } = require("./queue.service");
-const { AppError } = require("../utils/errors");
+const { AppError, ServiceUnavailableError } = require("../utils/errors");
 const logger = require("../config/logger");
 const agentService = require("./agent.service");
+const limitsService = require("./limits.service");
 const redisConfig = require("../config/redis");
 
+/**
+ * Repository analysis is an AI call; reserve it, or refuse it once the
+ * monthly cap is reached
+ */
+async function assertCanUseAi(userId) {
+  const aiUsage = await limitsService.reserveAiCall(userId, "feedback");
+  if (!aiUsage.allowed) {
+    throw new AppError(aiUsage.reason, 403);
+  }
+}
+
 /**
  * Analyze a repository
  */
@@ -30,6 +42,8 @@ async function analyzeRepository(
     throw new AppError("Invalid repository URL format", 400);
   }
 
+  await assertCanUseAi(userId);
+
   // Compute analysis request hash to prevent duplicates
   const analysisRequestHash = crypto
     .createHash("sha256")
@@ -276,42 +290,6 @@ async function updateAnalysisResults(portfolioId, results) {
   return portfolio.toObject();
 }
 
-/**
- * Normalize Agent 3 Response (Copied from agentProcessor to ensure consistency)
- */
-function normalizeAgent3Response(analysis = {}) {
-  const source = analysis.message || analysis;
-  let summary =
-    source.feedback_summary ||
-    source.summary ||
-    source.feedback ||
-    source.overview ||
-    "Feedback generated.";
-
-  if (Array.isArray(summary)) {
-    summary = summary.join("\n");
-  }
-
-  const strengths =
-    source.strengths || source.positives || source.highlights || [];
-  const improvements =
-    source.improvements || source.recommendations || source.suggestions || [];
-  const missingRequirements =
-    source.missing_requirements || source.missingRequirements || [];
-  const score = source.score || source.overallScore || null;
-  const breakdown = source.breakdown || source.scoreBreakdown || [];
-
-  return {
-    summary,
-    strengths,
-    improvements,
-    missingRequirements,
-    overallScore: score,
-    scoreBreakdown: breakdown,
-    raw: analysis,
-  };
-}
-
 /**
  * Synchronous Analysis (Bypassing Queue/Worker)
  */
@@ -329,6 +307,8 @@ async function analyzeRepositorySync(
     throw new AppError("Invalid GitHub repository URL", 400);
   }
 
+  await assertCanUseAi(userId);
+
   const analysisRequestHash = crypto
     .createHash("sha256")
     .update(`${userId}-${normalizedRepo}-${branch || "main"}`)
@@ -405,36 +385,29 @@ async function analyzeRepositorySync(
     const analysis = await agentService.analyzeRepo({
       repoUrl,
       simulationId: effectiveSimulationId,
+      userId,
       context: context, // 👈 Pass context here
     });
     logger.info(
-      `[Sync] Agent returned score: ${analysis.score || analysis.overallScore}`
+      `[Sync] Agent returned score: ${analysis.overallScore}`
     );
-
-    // 4. Save Results
-    const normalized = normalizeAgent3Response(analysis);
-
-    // EXPLICIT DEBUG LOG
-    console.log(`[Sync] Normalized Summary Type: ${typeof normalized.summary}`);
-    if (Array.isArray(normalized.summary)) {
-      console.log(`[Sync] Summary is still an array! Joining now.`);
-      normalized.summary = normalized.summary.join("\n");
+    if (analysis.degraded) {
+      throw new ServiceUnavailableError(`Agent 3 unavailable: ${analysis.error}`);
     }
 
-    // Force string conversion
-    const finalSummary = String(normalized.summary || "No feedback generated.");
-
+    // 4. Save Results (already normalized by the agent response contract)
     const feedback = await Feedback.create({
       simulationId: effectiveSimulationId,
       portfolioId,
-      summary: finalSummary,
-      overallScore: normalized.overallScore,
-      scoreBreakdown: normalized.scoreBreakdown,
-      strengths: normalized.strengths,
-      improvements: normalized.improvements,
-      missingRequirements: normalized.missingRequirements,
-      suggestions: normalized.improvements,
-      rawAgentResponse: normalized.raw,
+      summary: analysis.summary,
+      overallScore: analysis.overallScore,
+      scoreBreakdown: analysis.scoreBreakdown,
+      strengths: analysis.strengths,
+      improvements: analysis.improvements,
+      missingRequirements: analysis.missingRequirements,
+      suggestions: analysis.improvements,
+      rawAgentResponse: analysis.raw,
+      agentVersion: analysis.contractVersion,
     });
 
     const updatedPortfolio = await Portfolio.findByIdAndUpdate(
@@ -444,8 +417,8 @@ async function analyzeRepositorySync(
         feedbackId: feedback._id,
         analysisMeta: {
           analyzedAt: new Date(),
-          agentVersion: "1.0-sync",
-          missingRequirements: normalized.missingRequirements,
+          agentVersion: analysis.contractVersion,
+          missingRequirements: analysis.missingRequirements,
         },
         analysisError: undefined,
       },
@@ -455,12 +428,11 @@ async function analyzeRepositorySync(
     // 5. Update Simulation Meta (Completion Percentage)
     if (effectiveSimulationId && !effectiveSimulationId.startsWith("temp_")) {
       try {
-        const completionPercentage =
-          normalized.raw?.message?.completion_percentage || 0;
+        const completionPercentage = analysis.completionPercentage || 0;
 
         await Simulation.findByIdAndUpdate(effectiveSimulationId, {
           "meta.completionPercentage": completionPercentage,
-          "meta.score": normalized.overallScore || 0,
+          "meta.score": analysis.overallScore || 0,
         });
         // Auto-complete when >= 80%
         try {
@@ -497,7 +469,9 @@ async function analyzeRepositorySync(
     await Portfolio.findByIdAndUpdate(portfolioId, {
       status: "error",
       analysisError: {
-        code: "SYNC_AGENT_FAILED",
+        code:
+          error.code ||
+          (error instanceof ServiceUnavailableError ? "AGENT_UNAVAILABLE" : "SYNC_AGENT_FAILED"),
         message: error.message,
       },
     });
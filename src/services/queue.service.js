@@ -125,18 +125,21 @@ async function enqueueAgentJob(type, payload, options = {}) {
 
   // Deduplication: Check for existing pending/active jobs for the same simulation
   if (type === "chat" && payload.simulationId) {
-    const waitingJobs = await queue.getJobs(["waiting", "active"]);
+    const waitingJobs = await queue.getJobs(["waiting", "delayed", "active"]);
     const duplicateJob = waitingJobs.find(
       (job) =>
         job.data.type === "chat" &&
         job.data.simulationId === payload.simulationId &&
-        job.data.sequence === payload.sequence
+        job.data.sequence === payload.sequence &&
+        job.data.revision === payload.revision // edit follow-ups
     );
 
     if (duplicateJob) {
       logger.warn(
         `Skipping duplicate chat job for simulation ${payload.simulationId}, sequence ${payload.sequence}`
       );
+      // The queued job answers with its own reservation
+      await require("./limits.service").releaseAiCall(payload.reservationId);
       return duplicateJob;
     }
   }
@@ -243,6 +246,34 @@ async function enqueueCleanup(type, payload, options = {}) {
   return job;
 }
 
+/**
+ * Schedule a repeatable cleanup job
+ * @param {string} type - Cleanup type (e.g. 'milestones')
+ * @param {number} everyMs - Repeat interval in milliseconds
+ * @param {object} payload - Cleanup payload
+ * @returns {Promise<Job>} BullMQ job instance
+ */
+async function scheduleRecurringCleanup(type, everyMs, payload = {}) {
+  const queue = getCleanupQueue();
+
+  const job = await queue.add(
+    type,
+    {
+      type,
+      ...payload,
+    },
+    {
+      repeat: { every: everyMs },
+      // Stable ID so restarts don't stack duplicate schedules
+      jobId: `cleanup-${type}-recurring`,
+    }
+  );
+
+  logger.info(`Scheduled recurring cleanup job: ${type} every ${everyMs}ms`);
+
+  return job;
+}
+
 /**
  * Get job counts for a queue
  * @param {string} queueName - Queue name
@@ -289,6 +320,10 @@ async function closeQueues() {
  * This allows the main server to emit events when worker jobs complete
  */
 let queueEventsInstance = null; // Singleton to prevent duplicate listeners
+let cleanupEventsInstance = null;
+
+// Job progress events relayed to simulation rooms
+const STREAM_EVENTS = ["agent:typing", "agent:chunk", "agent:cancelled"];
 
 async function setupJobCompletionListener() {
   const { QueueEvents } = require("bullmq");
@@ -301,10 +336,11 @@ async function setupJobCompletionListener() {
     return;
   }
 
-  // Close existing listener if it exists
-  if (queueEventsInstance) {
+  // Close existing listeners if they exist
+  for (const instance of [queueEventsInstance, cleanupEventsInstance]) {
+    if (!instance) continue;
     try {
-      await queueEventsInstance.close();
+      await instance.close();
       logger.info("Closed existing job completion listener");
     } catch (error) {
       logger.warn("Failed to close existing listener:", error.message);
@@ -330,8 +366,10 @@ async function setupJobCompletionListener() {
       }
 
       // Emit typing stopped
+      const sender = result.message?.sender || result.sender;
       emitToSimulation(simulationId, "agent:typing", {
-        agentName: "Agent2",
+        agentName: sender?.agentName || "Agent2",
+        handle: sender?.handle,
         isTyping: false,
       });
 
@@ -344,6 +382,13 @@ async function setupJobCompletionListener() {
           logger.info(`Emitted message:created for job ${jobId}`);
         }
       }
+
+      if (result.scopeChange) {
+        emitToSimulation(simulationId, "scope:proposed", {
+          simulationId,
+          scopeChange: result.scopeChange,
+        });
+      }
     } catch (error) {
       logger.error(
         `Error in job completion listener for ${jobId}:`,
@@ -352,6 +397,18 @@ async function setupJobCompletionListener() {
     }
   });
 
+  // Streamed agent output reported by processAgent2 via job.updateProgress
+  queueEventsInstance.on("progress", ({ jobId, data }) => {
+    try {
+      if (!STREAM_EVENTS.includes(data?.event) || !data.data?.simulationId) {
+        return;
+      }
+      emitToSimulation(data.data.simulationId, data.event, data.data);
+    } catch (error) {
+      logger.error(`Failed to relay ${data?.event} for job ${jobId}:`, error);
+    }
+  });
+
   queueEventsInstance.on("failed", async ({ jobId, failedReason }) => {
     logger.error(`Job ${jobId} failed:`, failedReason);
 
@@ -367,6 +424,7 @@ async function setupJobCompletionListener() {
         // Stop typing indicator
         emitToSimulation(simulationId, "agent:typing", {
           agentName: "Agent2",
+          handle: job.data.agentHandle,
           isTyping: false,
         });
 
@@ -386,6 +444,26 @@ async function setupJobCompletionListener() {
     }
   });
 
+  // Overdue milestones found by the cleanup worker, which has no Socket.IO
+  cleanupEventsInstance = new QueueEvents("cleanupQueue", { connection });
+
+  cleanupEventsInstance.on("completed", async ({ jobId, returnvalue }) => {
+    try {
+      const result =
+        typeof returnvalue === "string" ? JSON.parse(returnvalue) : returnvalue;
+
+      if (result?.overdueMilestones?.length) {
+        const { notifyOverdueMilestones } = require("./milestone.service");
+        await notifyOverdueMilestones(result.overdueMilestones);
+      }
+    } catch (error) {
+      logger.error(
+        `Error in cleanup completion listener for ${jobId}:`,
+        error.message
+      );
+    }
+  });
+
   logger.info("Job completion listener set up successfully");
   return queueEventsInstance;
 }
@@ -394,15 +472,17 @@ async function setupJobCompletionListener() {
  * Close queue events listener
  */
 async function closeQueueEventsListener() {
-  if (queueEventsInstance) {
+  for (const instance of [queueEventsInstance, cleanupEventsInstance]) {
+    if (!instance) continue;
     try {
-      await queueEventsInstance.close();
-      queueEventsInstance = null;
+      await instance.close();
       logger.info("Queue events listener closed");
     } catch (error) {
       logger.error("Failed to close queue events listener:", error.message);
     }
   }
+  queueEventsInstance = null;
+  cleanupEventsInstance = null;
 }
 
 module.exports = {
@@ -413,6 +493,7 @@ module.exports = {
   enqueueAgentJob,
   enqueueRepoAnalysis,
   enqueueCleanup,
+  scheduleRecurringCleanup,
   getQueueStats,
   closeQueues,
   setupJobCompletionListener,
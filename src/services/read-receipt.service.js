@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const { Simulation, Message } = require("../models");
+const { AppError } = require("../utils/errors");
+const logger = require("../config/logger");
+
+// States in which an agent's last message is waiting on the user
+const AWAITING_REPLY_STATES = ["requirements_sent", "in_progress"];
+
+function findCursor(simulation, userId) {
+  return (simulation.readCursors || []).find(
+    (cursor) => cursor.userId?.toString() === userId.toString()
+  );
+}
+
+/**
+ * Highest message sequence in a simulation. Falls back to the messages
+ * themselves for simulations created before the sequence counter.
+ */
+async function getLatestSequence(simulation) {
+  if (simulation.messageSequence !== undefined) {
+    return simulation.messageSequence;
+  }
+
+  const last = await Message.findOne({ simulationId: simulation._id })
+    .sort({ sequence: -1 })
+    .select("sequence")
+    .lean();
+  return last?.sequence || 0;
+}
+
+/**
+ * Move a user's read cursor forward to `sequence`. Cursors never move back,
+ * so a stale request from another tab can't mark messages unread again.
+ * @returns {Promise<Object>} { lastReadSequence, readAt, advanced }
+ */
+async function advanceCursor(simulationId, userId, sequence) {
+  const readAt = new Date();
+  // Reading doesn't count as activity on the simulation
+  const options = { timestamps: false };
+
+  const moved = await Simulation.updateOne(
+    {
+      _id: simulationId,
+      readCursors: { $elemMatch: { userId, lastReadSequence: { $lt: sequence } } },
+    },
+    {
+      $set: {
+        "readCursors.$.lastReadSequence": sequence,
+        "readCursors.$.readAt": readAt,
+      },
+    },
+    options
+  );
+
+  if (!moved.modifiedCount) {
+    const added = await Simulation.updateOne(
+      { _id: simulationId, "readCursors.userId": { $ne: userId } },
+      { $push: { readCursors: { userId, lastReadSequence: sequence, readAt } } },
+      options
+    );
+
+    if (!added.modifiedCount) {
+      // Already read up to (or past) this sequence
+      const simulation = await Simulation.findById(simulationId)
+        .select("readCursors")
+        .lean();
+      const current = findCursor(simulation || {}, userId);
+      return {
+        lastReadSequence: current?.lastReadSequence || 0,
+        readAt: current?.readAt || null,
+        advanced: false,
+      };
+    }
+  }
+
+  return { lastReadSequence: sequence, readAt, advanced: true };
+}
+
+/**
+ * Count messages after `afterSequence` that someone else sent
+ */
+function countUnread(simulationId, userId, afterSequence) {
+  return Message.countDocuments({
+    simulationId,
+    sequence: { $gt: afterSequence },
+    "sender.type": { $ne: "system" },
+    "sender.id": { $ne: userId },
+  });
+}
+
+/**
+ * Record that a user has read a simulation up to `sequence` and tell the
+ * room with a `message:read` event
+ */
+async function recordRead(simulationId, userId, sequence) {
+  const cursor = await advanceCursor(simulationId, userId, sequence);
+  const receipt = {
+    simulationId: simulationId.toString(),
+    userId: userId.toString(),
+    lastReadSequence: cursor.lastReadSequence,
+    readAt: cursor.readAt,
+  };
+
+  if (cursor.advanced) {
+    // Required lazily: the socket server requires this service
+    const { emitToSimulation } = require("../socket");
+    emitToSimulation(simulationId, "message:read", receipt);
+  }
+
+  return receipt;
+}
+
+/**
+ * Mark a simulation read up to `sequence` (default: the latest message)
+ * @param {string} simulationId - Simulation ID
+ * @param {string} userId - Reader (owner or team member)
+ * @param {Object} options
+ * @param {number} options.sequence - Last message sequence the user has seen
+ * @returns {Promise<Object>} Receipt with the remaining unreadCount
+ */
+async function markRead(simulationId, userId, { sequence } = {}) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants messageSequence")
+    .lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  const latest = await getLatestSequence(simulation);
+  const target = sequence === undefined ? latest : Math.min(sequence, latest);
+
+  const receipt = await recordRead(simulation._id, userId, target);
+  const unreadCount = await countUnread(
+    simulation._id,
+    userId,
+    receipt.lastReadSequence
+  );
+
+  return { ...receipt, unreadCount };
+}
+
+/**
+ * Same as recordRead, but never throws; for callers where the read
+ * receipt is a side effect (e.g. the user sending a message)
+ */
+async function recordReadSafely(simulationId, userId, sequence) {
+  try {
+    await recordRead(simulationId, userId, sequence);
+  } catch (error) {
+    logger.warn(
+      `Failed to update read cursor for ${userId} in ${simulationId}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Unread counts and the agent (if any) waiting on a reply, per simulation.
+ * Simulations must be loaded with `state` and `readCursors`.
+ * @param {Array<Object>} simulations - Simulation documents
+ * @param {string} userId - Reader
+ * @returns {Promise<Map<string, Object>>} simulationId -> { unreadCount, lastReadSequence, awaitingReply }
+ */
+async function getReadSummaries(simulations, userId) {
+  if (simulations.length === 0) return new Map();
+
+  const ids = simulations.map((simulation) => simulation._id);
+  const lastRead = simulations.map(
+    (simulation) => findCursor(simulation, userId)?.lastReadSequence || 0
+  );
+
+  // Only messages past each reader's cursor, so the { simulationId, sequence }
+  // index serves the match instead of a scan of every message
+  const unread = await Message.aggregate([
+    {
+      $match: {
+        $or: ids.map((simulationId, i) => ({
+          simulationId,
+          sequence: { $gt: lastRead[i] },
+        })),
+        "sender.type": { $ne: "system" },
+        "sender.id": { $ne: new mongoose.Types.ObjectId(userId.toString()) },
+      },
+    },
+    { $group: { _id: "$simulationId", unreadCount: { $sum: 1 } } },
+  ]);
+  const unreadById = new Map(
+    unread.map((group) => [group._id.toString(), group.unreadCount])
+  );
+
+  // Latest message, walking the same index backwards, where a reply can be due
+  const lastMessages = await Promise.all(
+    simulations.map((simulation) =>
+      AWAITING_REPLY_STATES.includes(simulation.state)
+        ? Message.findOne({
+            simulationId: simulation._id,
+            "sender.type": { $ne: "system" },
+          })
+            .sort({ sequence: -1 })
+            .select("sender createdAt")
+            .lean()
+        : null
+    )
+  );
+
+  return new Map(
+    simulations.map((simulation, i) => {
+      const lastMessage = lastMessages[i];
+
+      const awaitingReply =
+        lastMessage?.sender.type === "agent"
+          ? {
+              messageId: lastMessage._id,
+              agentName: lastMessage.sender.agentName,
+              handle: lastMessage.sender.handle,
+              since: lastMessage.createdAt,
+            }
+          : null;
+
+      return [
+        simulation._id.toString(),
+        {
+          unreadCount: unreadById.get(simulation._id.toString()) || 0,
+          lastReadSequence: lastRead[i],
+          awaitingReply,
+        },
+      ];
+    })
+  );
+}
+
+module.exports = {
+  markRead,
+  recordRead,
+  recordReadSafely,
+  getReadSummaries,
+};
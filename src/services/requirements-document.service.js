@@ -0,0 +1,204 @@
+const {
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  TextRun,
+} = require("docx");
+const fileService = require("./file.service");
+const {
+  FORMATS,
+  renderRequirementsMarkdown,
+  toList,
+} = require("./transcript.service");
+const logger = require("../config/logger");
+
+const DOCX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+function documentTitle(simulation, requirements) {
+  return `${requirements.project_name || simulation.projectName}: Requirements`;
+}
+
+function documentSubtitle(simulation) {
+  const version = simulation.templateSnapshot?.requirementsVersion || 1;
+  return `Version ${version} · ${new Date().toDateString()}`;
+}
+
+/**
+ * Requirements document as Markdown
+ * @param {Object} simulation - Simulation the requirements belong to
+ * @param {Object} requirements - Agent 1 requirements (snake_case fields)
+ * @returns {string}
+ */
+function renderMarkdown(simulation, requirements) {
+  return [
+    `# ${documentTitle(simulation, requirements)}`,
+    "",
+    `_${documentSubtitle(simulation)}_`,
+    "",
+    ...renderRequirementsMarkdown(requirements),
+    "",
+  ].join("\n");
+}
+
+function labelled(label, value) {
+  return new Paragraph({
+    children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))],
+  });
+}
+
+function section(title, items) {
+  if (!items.length) return [];
+  return [
+    new Paragraph({ text: title, heading: HeadingLevel.HEADING_2 }),
+    ...items.map((item) => new Paragraph({ text: item, bullet: { level: 0 } })),
+  ];
+}
+
+/**
+ * Requirements document as DOCX, with the same content as the Markdown
+ * @param {Object} simulation - Simulation the requirements belong to
+ * @param {Object} requirements - Agent 1 requirements (snake_case fields)
+ * @returns {Promise<Buffer>}
+ */
+async function renderDocx(simulation, requirements) {
+  const details = [
+    ["Client", requirements.client_name],
+    ["Duration", requirements.duration],
+    ["Tech stack", toList(requirements.tech_stack).join(", ")],
+  ].filter(([, value]) => value);
+
+  const description = String(requirements.description || "")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+
+  const document = new Document({
+    title: documentTitle(simulation, requirements),
+    creator: requirements.client_name || "FicLance",
+    sections: [
+      {
+        children: [
+          new Paragraph({
+            text: documentTitle(simulation, requirements),
+            heading: HeadingLevel.TITLE,
+          }),
+          new Paragraph({
+            children: [new TextRun({ text: documentSubtitle(simulation), italics: true })],
+          }),
+          ...details.map(([label, value]) => labelled(label, value)),
+          ...(description.length
+            ? [
+                new Paragraph({ text: "Description", heading: HeadingLevel.HEADING_2 }),
+                ...description.map((text) => new Paragraph({ text })),
+              ]
+            : []),
+          ...section("Key requirements", toList(requirements.key_requirements)),
+          ...section("Acceptance criteria", toList(requirements.acceptance_criteria)),
+        ],
+      },
+    ],
+  });
+
+  return Packer.toBuffer(document);
+}
+
+/**
+ * Render the simulation's current requirements as DOCX and Markdown and
+ * store both as Files owned by the simulation owner. Never throws: without
+ * storage the requirements message is posted without attachments.
+ * @param {Object} simulation - Simulation document with templateSnapshot.requirements
+ * @returns {Promise<Array>} Message attachments ({ fileId, filename, mimeType, sizeBytes })
+ */
+async function generateRequirementsDocuments(simulation) {
+  const requirements = simulation.templateSnapshot?.requirements;
+  if (!requirements) return [];
+
+  const safeName = String(requirements.project_name || simulation.projectName || "project")
+    .replace(/[^\w.-]+/g, "_")
+    .slice(0, 100);
+
+  const ownerId = simulation.userId.toString();
+  const attachments = [];
+
+  try {
+    const documents = [
+      {
+        filename: `${safeName}_Requirements.docx`,
+        mimeType: DOCX_MIME_TYPE,
+        body: await renderDocx(simulation, requirements),
+      },
+      {
+        filename: `${safeName}_Requirements.md`,
+        mimeType: FORMATS.md,
+        body: renderMarkdown(simulation, requirements),
+      },
+    ];
+
+    for (const document of documents) {
+      const file = await fileService.uploadBuffer(
+        ownerId,
+        document.filename,
+        document.mimeType,
+        document.body,
+        "requirements",
+        simulation._id
+      );
+      attachments.push({
+        fileId: file._id,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        sizeBytes: file.sizeBytes,
+      });
+    }
+
+    logger.info(`Requirements documents stored for simulation: ${simulation._id}`);
+
+    return attachments;
+  } catch (error) {
+    logger.error(
+      `Failed to store requirements documents for simulation ${simulation._id}: ${error.message}`
+    );
+
+    // Don't leave half of the pair behind as unreferenced files
+    for (const attachment of attachments) {
+      try {
+        await fileService.deleteFile(attachment.fileId, ownerId);
+      } catch (deleteError) {
+        logger.warn(
+          `Failed to delete requirements document ${attachment.fileId}: ${deleteError.message}`
+        );
+      }
+    }
+
+    return [];
+  }
+}
+
+/**
+ * Document fields of the requirements message metadata, which older
+ * clients use to show the document card. Without a stored DOCX there is
+ * no card to show.
+ */
+function documentMetadata(attachments, fallbackFilename) {
+  const docx = attachments.find((attachment) => attachment.mimeType === DOCX_MIME_TYPE);
+  if (!docx) {
+    return { hasDocument: false, fileName: fallbackFilename };
+  }
+
+  return {
+    hasDocument: true,
+    fileId: docx.fileId,
+    fileName: docx.filename,
+    fileSize: `${Math.max(Math.round(docx.sizeBytes / 1024), 1)} KB • Word Document`,
+  };
+}
+
+module.exports = {
+  DOCX_MIME_TYPE,
+  renderMarkdown,
+  renderDocx,
+  generateRequirementsDocuments,
+  documentMetadata,
+};
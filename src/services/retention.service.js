@@ -0,0 +1,290 @@
+const { Simulation, Message, File, Feedback, Job, User } = require("../models");
+const { offloadTranscriptSafely } = require("./simulation.service");
+const { deleteFileFromS3 } = require("./file.service");
+const notificationService = require("./notification.service");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// States that can transition to "archived" (see Simulation.transitionState).
+// Paused simulations are left alone: the owner chose to step away.
+const IDLE_ARCHIVE_STATES = ["in_progress", "completed"];
+
+/**
+ * Retention policy from config, with optional overrides (e.g. from a job payload)
+ */
+function getPolicy(overrides = {}) {
+  const { idleArchiveDays, cancelledGraceDays, purgeWarningDays, batchSize } =
+    config.retention;
+  return {
+    idleArchiveDays,
+    cancelledGraceDays,
+    purgeWarningDays: Math.min(purgeWarningDays, cancelledGraceDays),
+    batchSize,
+    ...overrides,
+  };
+}
+
+function daysBefore(now, days) {
+  return new Date(now.getTime() - days * DAY_MS);
+}
+
+/**
+ * Cancelled simulations without endedAt (created before it was recorded)
+ * fall back to their last update
+ */
+function cancelledBefore(date) {
+  return {
+    $or: [
+      { endedAt: { $lte: date } },
+      { endedAt: null, updatedAt: { $lte: date } },
+    ],
+  };
+}
+
+/**
+ * Archive simulations with no activity for policy.idleArchiveDays
+ */
+async function archiveIdleSimulations(policy, now, report) {
+  if (!policy.idleArchiveDays) return;
+
+  const cutoff = daysBefore(now, policy.idleArchiveDays);
+
+  const simulations = await Simulation.find({
+    state: { $in: IDLE_ARCHIVE_STATES },
+    $or: [
+      { lastMessageAt: { $lt: cutoff } },
+      { lastMessageAt: null, updatedAt: { $lt: cutoff } },
+    ],
+  }).limit(policy.batchSize);
+
+  for (const simulation of simulations) {
+    try {
+      simulation.set("retention.autoArchivedAt", now);
+      await simulation.transitionState("archived");
+      await offloadTranscriptSafely(simulation._id);
+
+      await notificationService.sendPush(
+        simulation.userId,
+        "Simulation archived",
+        `"${simulation.projectName}" was archived after ${policy.idleArchiveDays} days without activity.`,
+        { simulationId: simulation._id.toString(), type: "retention:archived" }
+      );
+
+      report.archived.push(simulation._id.toString());
+    } catch (error) {
+      logger.error(`Retention: failed to archive ${simulation._id}: ${error.message}`);
+      report.errors.push({
+        simulationId: simulation._id.toString(),
+        step: "archive",
+        message: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Email owners of cancelled simulations that will be purged soon. The purge
+ * date is never less than policy.purgeWarningDays after the warning.
+ */
+async function warnUpcomingPurges(policy, now, report) {
+  const cutoff = daysBefore(now, policy.cancelledGraceDays - policy.purgeWarningDays);
+
+  const simulations = await Simulation.find({
+    state: "cancelled",
+    "retention.purgeWarnedAt": null,
+    ...cancelledBefore(cutoff),
+  })
+    .select("userId projectName endedAt updatedAt")
+    .limit(policy.batchSize);
+
+  for (const simulation of simulations) {
+    try {
+      const cancelledAt = simulation.endedAt || simulation.updatedAt;
+      const purgeAfter = new Date(
+        Math.max(
+          cancelledAt.getTime() + policy.cancelledGraceDays * DAY_MS,
+          now.getTime() + policy.purgeWarningDays * DAY_MS
+        )
+      );
+
+      const user = await User.findById(simulation.userId).select("email").lean();
+      if (user?.email) {
+        await notificationService.sendEmail(
+          user.email,
+          `Your cancelled simulation "${simulation.projectName}" will be deleted`,
+          `Your cancelled simulation "${simulation.projectName}" and its messages, files and ` +
+            `feedback will be permanently deleted on ${purgeAfter.toDateString()}. ` +
+            `Export the transcript from ${config.frontendUrl}/simulations/${simulation._id} ` +
+            `before then if you want to keep it.`
+        );
+      }
+
+      await Simulation.updateOne(
+        { _id: simulation._id },
+        { $set: { "retention.purgeWarnedAt": now, "retention.purgeAfter": purgeAfter } }
+      );
+
+      report.warned.push(simulation._id.toString());
+    } catch (error) {
+      logger.error(`Retention: failed to warn for ${simulation._id}: ${error.message}`);
+      report.errors.push({
+        simulationId: simulation._id.toString(),
+        step: "warn",
+        message: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Files to delete with a simulation: its own files and files attached to
+ * its messages, except attachments also used in another simulation
+ */
+async function findSimulationFiles(simulationId) {
+  const attachedIds = await Message.distinct("attachments.fileId", { simulationId });
+
+  const sharedIds = attachedIds.length
+    ? await Message.distinct("attachments.fileId", {
+        simulationId: { $ne: simulationId },
+        "attachments.fileId": { $in: attachedIds },
+      })
+    : [];
+  const shared = new Set(sharedIds.map((id) => id.toString()));
+
+  return File.find({
+    $or: [
+      { simulationId },
+      { _id: { $in: attachedIds.filter((id) => !shared.has(id.toString())) } },
+    ],
+  })
+    .select("path storage")
+    .lean();
+}
+
+/**
+ * Hard-delete a simulation with its messages, files and feedback.
+ * S3 objects are removed first; a failed S3 delete is logged and the
+ * File document is still removed.
+ */
+async function purgeSimulation(simulationId) {
+  const files = await findSimulationFiles(simulationId);
+  let storageErrors = 0;
+  for (const file of files) {
+    try {
+      await deleteFileFromS3(file.storage.bucket, file.path);
+    } catch (error) {
+      storageErrors += 1;
+    }
+  }
+
+  const [messages, removedFiles, feedback] = await Promise.all([
+    Message.deleteMany({ simulationId }),
+    File.deleteMany({ _id: { $in: files.map((file) => file._id) } }),
+    Feedback.deleteMany({ simulationId }),
+  ]);
+  await Simulation.deleteOne({ _id: simulationId });
+
+  logger.info(`Simulation purged: ${simulationId}`);
+
+  return {
+    simulationId: simulationId.toString(),
+    messages: messages.deletedCount,
+    files: removedFiles.deletedCount,
+    feedback: feedback.deletedCount,
+    storageErrors,
+  };
+}
+
+/**
+ * Purge cancelled simulations whose warning period has passed
+ */
+async function purgeCancelledSimulations(policy, now, report) {
+  const simulations = await Simulation.find({
+    state: "cancelled",
+    "retention.purgeAfter": { $lte: now },
+  })
+    .select("_id")
+    .limit(policy.batchSize)
+    .lean();
+
+  for (const simulation of simulations) {
+    try {
+      report.purged.push(await purgeSimulation(simulation._id));
+    } catch (error) {
+      logger.error(`Retention: failed to purge ${simulation._id}: ${error.message}`);
+      report.errors.push({
+        simulationId: simulation._id.toString(),
+        step: "purge",
+        message: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Run one pass of the retention policy and record the report as a Job
+ * @param {object} options
+ * @param {string} options.bullJobId - Cleanup queue job that triggered the run
+ * @param {object} options.policy - Overrides for the configured policy
+ * @returns {Promise<object>} Run report
+ */
+async function runRetention({ bullJobId = null, policy: overrides = {} } = {}) {
+  const policy = getPolicy(overrides);
+  const now = new Date();
+
+  const fields = {
+    type: "retention_cleanup",
+    payload: { policy },
+    status: "running",
+    startedAt: now,
+    maxAttempts: 1,
+  };
+  // A retried queue job reuses its record (bullJobId is unique)
+  const record = bullJobId
+    ? await Job.findOneAndUpdate(
+        { bullJobId },
+        { $set: fields },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      )
+    : await Job.create(fields);
+
+  const report = { archived: [], warned: [], purged: [], errors: [] };
+
+  try {
+    await archiveIdleSimulations(policy, now, report);
+    // Purge before warning so a simulation is never warned and purged in one run
+    await purgeCancelledSimulations(policy, now, report);
+    await warnUpcomingPurges(policy, now, report);
+  } catch (error) {
+    logger.error("Retention run failed:", error);
+    record.result = report;
+    await record.fail(error);
+    throw error;
+  }
+
+  const summary = {
+    ...report,
+    counts: {
+      archived: report.archived.length,
+      warned: report.warned.length,
+      purged: report.purged.length,
+      errors: report.errors.length,
+    },
+  };
+  await record.complete(summary);
+
+  logger.info("Retention run completed", summary.counts);
+
+  return { jobId: record._id.toString(), ...summary.counts };
+}
+
+module.exports = {
+  getPolicy,
+  runRetention,
+  archiveIdleSimulations,
+  warnUpcomingPurges,
+  purgeCancelledSimulations,
+  purgeSimulation,
+};
@@ -0,0 +1,475 @@
+const { Simulation, Message } = require("../models");
+const { AppError } = require("../utils/errors");
+const { emitToSimulation } = require("../socket");
+const { enqueueAgentJob, isQueueActive } = require("./queue.service");
+const { calculateDeadlineTimestamp } = require("./dashboard.service");
+const { extractDeliverables } = require("./milestone.service");
+const personaService = require("./persona.service");
+const limitsService = require("./limits.service");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+const DEFAULT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const DAYS_PER_CHANGE = 3;
+const MAX_CHANGES = 3;
+
+/**
+ * Client change requests. Generic enough to apply to any project brief.
+ */
+const SCOPE_CHANGE_CATALOGUE = [
+  {
+    key: "search",
+    kind: "add",
+    requirement: "Add search and filtering to the main list view",
+    pitch:
+      "our team keeps scrolling to find things. Could you add search and filtering to the main list view?",
+  },
+  {
+    key: "csv_export",
+    kind: "add",
+    requirement: "Allow exporting the main data set as CSV",
+    pitch:
+      "finance just asked whether they can pull the data into a spreadsheet. Can we get a CSV export?",
+  },
+  {
+    key: "mobile",
+    kind: "add",
+    requirement: "Make every screen usable on mobile devices",
+    pitch:
+      "I tried it on my phone during a meeting and it was hard to use. It needs to work well on mobile too.",
+  },
+  {
+    key: "validation",
+    kind: "add",
+    requirement: "Validate all user input and show friendly error messages",
+    pitch:
+      "a tester managed to submit empty forms. Please add proper input validation with clear error messages.",
+  },
+  {
+    key: "audit_log",
+    kind: "add",
+    requirement: "Record an audit log of create, update and delete actions",
+    pitch:
+      "compliance wants to know who changed what. Could you keep an audit log of changes?",
+  },
+  {
+    key: "drop_last",
+    kind: "remove",
+    pitch:
+      "we're re-prioritising. We no longer need the following, so please focus on the rest:",
+  },
+];
+
+/**
+ * Current requirement list for a simulation (explicit key requirements,
+ * falling back to the deliverables we derive milestones from).
+ */
+function getRequirementList(requirements = {}) {
+  if (Array.isArray(requirements.key_requirements)) {
+    return requirements.key_requirements.filter(
+      (item) => typeof item === "string" && item.trim()
+    );
+  }
+  return extractDeliverables(requirements).map((d) => d.title);
+}
+
+/**
+ * Pick the next catalogue entry for a simulation. Deterministic per
+ * simulation so retries produce the same change.
+ */
+function pickScopeChange(simulation) {
+  const used = new Set((simulation.scopeChanges || []).map((c) => c.key));
+  const requirements = getRequirementList(
+    simulation.templateSnapshot?.requirements || {}
+  );
+
+  const seed = parseInt(simulation._id.toString().slice(-6), 16) || 0;
+  for (let i = 0; i < SCOPE_CHANGE_CATALOGUE.length; i++) {
+    const entry =
+      SCOPE_CHANGE_CATALOGUE[
+        (seed + simulation.scopeChanges.length + i) %
+          SCOPE_CHANGE_CATALOGUE.length
+      ];
+    if (used.has(entry.key)) continue;
+
+    if (entry.kind === "add") {
+      if (requirements.includes(entry.requirement)) continue;
+      return {
+        key: entry.key,
+        kind: "add",
+        summary: entry.requirement,
+        diff: { added: [entry.requirement], removed: [] },
+        pitch: entry.pitch,
+      };
+    }
+
+    // Only drop scope when there is enough left to build
+    if (requirements.length >= 3) {
+      const dropped = requirements[requirements.length - 1];
+      return {
+        key: entry.key,
+        kind: "remove",
+        summary: `Remove: ${dropped}`.slice(0, 500),
+        diff: { added: [], removed: [dropped] },
+        pitch: `${entry.pitch}\n\n- ${dropped}`,
+      };
+    }
+  }
+
+  return null;
+}
+
+function remainingWindowMs(simulation) {
+  const now = Date.now();
+  const deadline = calculateDeadlineTimestamp(simulation);
+  return deadline && deadline > now ? deadline - now : DEFAULT_WINDOW_MS;
+}
+
+/**
+ * Re-enqueue scope changes that came due while the simulation was paused,
+ * spread across the remaining deadline window.
+ */
+async function rescheduleDeferredScopeChanges(simulation) {
+  const deferred = Math.min(simulation.scopeChangesDeferred || 0, MAX_CHANGES);
+  if (!deferred) {
+    return [];
+  }
+
+  if (!isQueueActive()) {
+    logger.warn(
+      `Deferred scope changes not rescheduled for ${simulation._id}: queue unavailable`
+    );
+    return [];
+  }
+
+  // Claim the deferred changes so a concurrent resume doesn't enqueue them twice
+  const claimed = await Simulation.findOneAndUpdate(
+    { _id: simulation._id, scopeChangesDeferred: simulation.scopeChangesDeferred },
+    { $set: { scopeChangesDeferred: 0 } }
+  );
+  if (!claimed) {
+    return [];
+  }
+
+  const simulationId = simulation._id.toString();
+  const windowMs = remainingWindowMs(simulation);
+  const resume = simulation.stateHistory.length;
+  const jobs = [];
+  for (let i = 0; i < deferred; i++) {
+    jobs.push(
+      await enqueueAgentJob(
+        "scope_change",
+        { simulationId, userId: simulation.userId.toString() },
+        {
+          delay: Math.round((windowMs * (i + 1)) / (deferred + 1)),
+          jobId: `scope_change-${simulationId}-resume${resume}-${i + 1}`,
+        }
+      )
+    );
+  }
+
+  logger.info(
+    `Rescheduled ${deferred} deferred scope changes for simulation: ${simulationId}`
+  );
+
+  return jobs;
+}
+
+/**
+ * Enqueue delayed scope-change jobs across the remaining deadline window.
+ * Runs once per simulation, when it enters in_progress; later entries
+ * (resuming from a pause) only reschedule deferred changes.
+ */
+async function scheduleScopeChanges(simulation) {
+  if (!config.enableScopeChanges) {
+    return [];
+  }
+
+  if (simulation.scopeChangesScheduledAt) {
+    return rescheduleDeferredScopeChanges(simulation);
+  }
+
+  if (!isQueueActive()) {
+    logger.warn(
+      `Scope changes not scheduled for ${simulation._id}: queue unavailable`
+    );
+    return [];
+  }
+
+  const windowMs = remainingWindowMs(simulation);
+  const count = Math.min(
+    Math.max(Math.round(windowMs / (DAYS_PER_CHANGE * 24 * 60 * 60 * 1000)), 1),
+    MAX_CHANGES
+  );
+
+  const simulationId = simulation._id.toString();
+  const jobs = [];
+  for (let i = 0; i < count; i++) {
+    jobs.push(
+      await enqueueAgentJob(
+        "scope_change",
+        { simulationId, userId: simulation.userId.toString() },
+        {
+          delay: Math.round((windowMs * (i + 1)) / (count + 1)),
+          jobId: `scope_change-${simulationId}-${i + 1}`,
+        }
+      )
+    );
+  }
+
+  await Simulation.findByIdAndUpdate(simulationId, {
+    scopeChangesScheduledAt: new Date(),
+  });
+
+  logger.info(`Scheduled ${count} scope changes for simulation: ${simulationId}`);
+
+  return jobs;
+}
+
+/**
+ * Post a client-initiated change request into a simulation.
+ * Called by the agent worker when a scheduled scope_change job fires.
+ */
+async function proposeScopeChange(simulationId) {
+  const simulation = await Simulation.findById(simulationId);
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (simulation.state === "paused") {
+    // Client waits until the freelancer is back (rescheduled on resume)
+    await Simulation.updateOne(
+      { _id: simulationId },
+      { $inc: { scopeChangesDeferred: 1 } }
+    );
+    return { skipped: true, reason: "paused" };
+  }
+
+  if (simulation.state !== "in_progress") {
+    return { skipped: true, reason: simulation.state };
+  }
+
+  // The proposal comes from the catalogue, not the agent, so nothing is
+  // reserved; but a client that has gone quiet for the month stays quiet
+  const aiUsage = await limitsService.canUseAi(simulation.userId);
+  if (!aiUsage.allowed) {
+    return { skipped: true, reason: "ai_limit" };
+  }
+
+  const change = pickScopeChange(simulation);
+  if (!change) {
+    return { skipped: true, reason: "catalogue_exhausted" };
+  }
+
+  const version = simulation.scopeChanges.length + 1;
+
+  simulation.scopeChanges.push({
+    version,
+    key: change.key,
+    kind: change.kind,
+    summary: change.summary,
+    diff: change.diff,
+  });
+  const scopeChange = simulation.scopeChanges[simulation.scopeChanges.length - 1];
+
+  const message = await Message.createWithSequence({
+    simulationId,
+    sender: personaService.toSender(personaService.getClientPersona(simulation)),
+    content: `Hi, quick change request: ${change.pitch}\n\nLet me know if this works for you, or if we need to talk about timing.`,
+    contentType: "markdown",
+    metadata: {
+      type: "scope_change",
+      scopeChangeId: scopeChange._id,
+      scopeChangeVersion: version,
+      diff: change.diff,
+    },
+  });
+
+  scopeChange.messageId = message._id;
+  await simulation.save();
+  await simulation.incrementMessageCount();
+
+  logger.info(
+    `Scope change v${version} (${change.key}) proposed for simulation: ${simulationId}`
+  );
+
+  return { message, scopeChange: scopeChange.toObject() };
+}
+
+/**
+ * List scope changes for a simulation
+ */
+async function listScopeChanges(simulationId, userId) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants scopeChanges templateSnapshot.requirementsVersion")
+    .lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  return {
+    requirementsVersion: simulation.templateSnapshot?.requirementsVersion || 1,
+    items: simulation.scopeChanges || [],
+  };
+}
+
+/**
+ * Load a simulation and one of its open scope changes for the owner
+ */
+async function loadOpenScopeChange(simulationId, changeId, userId) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (simulation.userId.toString() !== userId.toString()) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  const scopeChange = simulation.scopeChanges.id(changeId);
+  if (!scopeChange) {
+    throw new AppError("Scope change not found", 404);
+  }
+
+  if (scopeChange.status === "accepted") {
+    throw new AppError("Scope change already accepted", 409);
+  }
+
+  return { simulation, scopeChange };
+}
+
+/**
+ * Accept a scope change and apply its diff to the stored requirements
+ */
+async function acceptScopeChange(simulationId, changeId, userId) {
+  const { simulation, scopeChange } = await loadOpenScopeChange(
+    simulationId,
+    changeId,
+    userId
+  );
+
+  const requirements = simulation.templateSnapshot?.requirements || {};
+  const removed = new Set(scopeChange.diff.removed);
+  const updatedList = getRequirementList(requirements)
+    .filter((item) => !removed.has(item))
+    .concat(scopeChange.diff.added);
+
+  const nextVersion = (simulation.templateSnapshot?.requirementsVersion || 1) + 1;
+
+  if (!simulation.templateSnapshot) simulation.templateSnapshot = {};
+  simulation.templateSnapshot.requirements = {
+    ...requirements,
+    key_requirements: updatedList,
+  };
+  simulation.templateSnapshot.requirementsVersion = nextVersion;
+  simulation.markModified("templateSnapshot.requirements");
+
+  scopeChange.status = "accepted";
+  scopeChange.respondedAt = new Date();
+  scopeChange.respondedBy = userId;
+  scopeChange.requirementsVersion = nextVersion;
+
+  await simulation.save();
+
+  const payload = {
+    simulationId,
+    scopeChange: scopeChange.toObject(),
+    requirementsVersion: nextVersion,
+  };
+
+  try {
+    emitToSimulation(simulationId, "scope:accepted", payload);
+  } catch (error) {
+    logger.error("Failed to emit scope:accepted event:", error);
+  }
+
+  logger.info(
+    `Scope change ${changeId} accepted for simulation: ${simulationId} (requirements v${nextVersion})`
+  );
+
+  return payload;
+}
+
+/**
+ * Push back on a scope change. The reply goes to the client agent as a
+ * regular chat message so the negotiation happens in the conversation.
+ */
+async function negotiateScopeChange(simulationId, changeId, userId, text) {
+  const { simulation, scopeChange } = await loadOpenScopeChange(
+    simulationId,
+    changeId,
+    userId
+  );
+
+  // Paused simulations don't take user messages (see createMessage)
+  if (simulation.state === "paused") {
+    throw new AppError(
+      "Simulation is paused. Resume it to continue the conversation.",
+      409
+    );
+  }
+
+  const previous = {
+    status: scopeChange.status,
+    respondedAt: scopeChange.respondedAt,
+    respondedBy: scopeChange.respondedBy,
+  };
+  scopeChange.status = "negotiating";
+  scopeChange.respondedAt = new Date();
+  scopeChange.respondedBy = userId;
+  await simulation.save();
+
+  // Required lazily: message.service schedules scope changes (circular import)
+  const messageService = require("./message.service");
+  let message;
+  try {
+    message = await messageService.createMessage(
+      simulationId,
+      { type: "user", id: userId },
+      `Regarding your change request "${scopeChange.summary}":\n\n${text}`,
+      "text",
+      [],
+      null,
+      { scopeChangeId: scopeChange._id }
+    );
+  } catch (error) {
+    // No reply was posted, so the change isn't under negotiation
+    const restore = { $set: { "scopeChanges.$.status": previous.status } };
+    if (previous.respondedAt) {
+      restore.$set["scopeChanges.$.respondedAt"] = previous.respondedAt;
+      restore.$set["scopeChanges.$.respondedBy"] = previous.respondedBy;
+    } else {
+      restore.$unset = {
+        "scopeChanges.$.respondedAt": "",
+        "scopeChanges.$.respondedBy": "",
+      };
+    }
+    await Simulation.updateOne(
+      { _id: simulation._id, "scopeChanges._id": scopeChange._id },
+      restore
+    );
+    throw error;
+  }
+
+  logger.info(
+    `Scope change ${changeId} under negotiation for simulation: ${simulationId}`
+  );
+
+  return { scopeChange: scopeChange.toObject(), message };
+}
+
+module.exports = {
+  SCOPE_CHANGE_CATALOGUE,
+  pickScopeChange,
+  scheduleScopeChanges,
+  proposeScopeChange,
+  listScopeChanges,
+  acceptScopeChange,
+  negotiateScopeChange,
+};
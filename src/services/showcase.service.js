@@ -0,0 +1,183 @@
+const { Simulation, Feedback } = require("../models");
+const { AppError } = require("../utils/errors");
+const { redactionRules } = require("../config/moderationRules");
+const { loadTranscript } = require("./transcript.service");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+// mongoose.isValidObjectId also accepts any 12-character string
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+/**
+ * Remove contact details and credentials from a message body, using the
+ * moderation rules that carry a replacement
+ */
+function redactContent(text) {
+  return redactionRules.reduce(
+    (result, { pattern, replacement }) => result.replace(pattern, replacement),
+    String(text || "")
+  );
+}
+
+/**
+ * Build a URL-safe slug from the project name and the last `idLength`
+ * characters of the simulation ID (the whole ID keeps it unique)
+ */
+function buildPublicSlug(simulation, idLength = 6) {
+  const base = String(simulation.projectName || "project")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+
+  return `${base || "project"}-${simulation._id.toString().slice(-idLength)}`;
+}
+
+function isSlugConflict(error) {
+  return error?.code === 11000 && Boolean(error.keyPattern?.["settings.publicSlug"]);
+}
+
+/**
+ * Label transcript senders without exposing team members' names
+ */
+function publicSenderLabel(sender, simulation, ownerName) {
+  if (sender.type !== "user") return sender.displayName;
+
+  if (sender.id && sender.id.toString() === simulation.userId.toString()) {
+    return ownerName || "Freelancer";
+  }
+
+  const participant = (simulation.participants || []).find(
+    (p) => p.id && sender.id && p.id.toString() === sender.id.toString()
+  );
+  const role = participant?.role || "team member";
+  return role.charAt(0).toUpperCase() + role.slice(1);
+}
+
+/**
+ * Get the public showcase for a simulation by ID or slug.
+ * Private simulations are reported as not found.
+ */
+async function getPublicSimulation(idOrSlug) {
+  const slugQuery = { "settings.publicSlug": String(idOrSlug).toLowerCase() };
+  const query = OBJECT_ID_PATTERN.test(idOrSlug)
+    ? { $or: [{ _id: idOrSlug }, slugQuery] }
+    : slugQuery;
+
+  const simulation = await Simulation.findOne({
+    ...query,
+    "settings.privacy": "public",
+  })
+    .populate("userId", "name avatarUrl")
+    .lean();
+
+  if (!simulation || !simulation.userId) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  const owner = simulation.userId;
+  const ownerRef = { ...simulation, userId: owner._id };
+  const requirements = simulation.templateSnapshot?.requirements || {};
+
+  const feedback = await Feedback.findOne({ simulationId: simulation._id })
+    .sort({ createdAt: -1 })
+    .select("overallScore summary strengths createdAt")
+    .lean();
+
+  let transcript = null;
+  if (simulation.settings?.transcriptPublic) {
+    const full = await loadTranscript(ownerRef);
+    transcript = full.messages
+      .filter((m) => m.sender.type !== "system")
+      .map((m) => ({
+        sequence: m.sequence,
+        senderType: m.sender.type,
+        displayName: publicSenderLabel(m.sender, ownerRef, owner.name),
+        content: redactContent(m.content),
+        createdAt: m.createdAt,
+      }));
+  }
+
+  return {
+    id: simulation._id,
+    slug: simulation.settings.publicSlug || null,
+    projectName: simulation.projectName,
+    projectDescription: simulation.projectDescription,
+    state: simulation.state,
+    startedAt: simulation.startedAt,
+    endedAt: simulation.endedAt,
+    durationSeconds: simulation.meta?.durationSeconds || null,
+    owner: { name: owner.name, avatarUrl: owner.avatarUrl },
+    brief: {
+      clientName: requirements.client_name || null,
+      description: requirements.description || null,
+      techStack: requirements.tech_stack || simulation.templateSnapshot?.requiredSkills || [],
+      keyRequirements: requirements.key_requirements || [],
+      acceptanceCriteria: requirements.acceptance_criteria || [],
+    },
+    feedback: feedback
+      ? {
+          overallScore: feedback.overallScore ?? null,
+          summary: feedback.summary,
+          strengths: feedback.strengths || [],
+          createdAt: feedback.createdAt,
+        }
+      : null,
+    transcript,
+  };
+}
+
+/**
+ * Update showcase settings (owner only). A slug is assigned the first time
+ * the simulation is made public and kept afterwards so links stay stable.
+ */
+async function updateShowcaseSettings(simulationId, userId, { privacy, transcriptPublic }) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (simulation.userId.toString() !== userId.toString()) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  if (privacy !== undefined) simulation.settings.privacy = privacy;
+  if (transcriptPublic !== undefined) {
+    simulation.settings.transcriptPublic = transcriptPublic;
+  }
+
+  if (simulation.settings.privacy === "public" && !simulation.settings.publicSlug) {
+    simulation.settings.publicSlug = buildPublicSlug(simulation);
+  }
+
+  try {
+    await simulation.save();
+  } catch (error) {
+    // Another project with the same name shares the short ID suffix
+    if (!isSlugConflict(error)) throw error;
+    simulation.settings.publicSlug = buildPublicSlug(simulation, 24);
+    await simulation.save();
+  }
+
+  logger.info(
+    `Showcase settings updated for simulation ${simulationId}: privacy=${simulation.settings.privacy}, transcriptPublic=${simulation.settings.transcriptPublic}`
+  );
+
+  const { settings } = simulation.toObject();
+  return {
+    ...settings,
+    publicUrl:
+      settings.privacy === "public"
+        ? `${config.frontendUrl}/showcase/${settings.publicSlug}`
+        : null,
+  };
+}
+
+module.exports = {
+  redactContent,
+  buildPublicSlug,
+  getPublicSimulation,
+  updateShowcaseSettings,
+};
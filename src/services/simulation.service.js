@@ -1,10 +1,19 @@
 const { Simulation, User } = require("../models");
 const Project = require("../../models/Project");
-const { enqueueAgentJob } = require("./queue.service");
+const { enqueueAgentJob, enqueueCleanup, isQueueActive } = require("./queue.service");
 const { AppError } = require("../utils/errors");
 const { emitToSimulation } = require("../socket");
+const { buildMilestones } = require("./milestone.service");
+const personaService = require("./persona.service");
+const limitsService = require("./limits.service");
+const { resolvePersonalityKey } = require("../config/clientPersonalities");
 const logger = require("../config/logger");
 
+// The client grants extensions up to this share of the planned schedule
+const MAX_EXTENSION_SHARE = 0.25;
+const MAX_APPROVED_EXTENSIONS = 2;
+const EXTENSION_STATES = ["requirements_sent", "in_progress", "paused"];
+
 /**
  * Helper to parse duration strings (e.g., "1-2 Hours", "3-5 days") into hours
  */
@@ -31,13 +40,15 @@ function parseDurationToHours(durationStr) {
 }
 
 /**
- * Create a new simulation
+ * Create a new simulation. `reservationId` is the AI call reserved for
+ * Agent 1 (see limitsService.reserveAiCall).
  */
-async function createSimulation(userId, data) {
+async function createSimulation(userId, data, { reservationId } = {}) {
   const { projectTemplateId, projectName, projectDescription, filters } = data;
 
-  // Idempotency guard: return a recent matching simulation to avoid duplicates
-  // This protects against React StrictMode double-invocation and fast double clicks.
+  // Fallback duplicate guard for clients that don't send an Idempotency-Key
+  // header (see middleware/idempotency). Protects against React StrictMode
+  // double-invocation and fast double clicks.
   const recentWindowMs = 30000; // 30s window
   const recentExisting = await Simulation.findOne({
     userId,
@@ -49,6 +60,8 @@ async function createSimulation(userId, data) {
     logger.warn(
       `Duplicate simulation attempt prevented; reusing ${recentExisting._id} for user ${userId}`
     );
+    // Agent 1 isn't called again, so the AI call reserved for it goes back
+    await limitsService.releaseAiCall(reservationId);
     return recentExisting;
   }
 
@@ -94,6 +107,13 @@ async function createSimulation(userId, data) {
   // Get user info for participants
   const user = await User.findById(userId);
 
+  const clientPersonality = personaService.buildClientPersonality(
+    resolvePersonalityKey(
+      data.clientPersonality,
+      filters?.expertise || templateSnapshot?.expertiseLevel
+    )
+  );
+
   // Create simulation
   const simulation = await Simulation.create({
     userId,
@@ -102,6 +122,7 @@ async function createSimulation(userId, data) {
     projectName,
     projectDescription,
     filters,
+    clientPersonality,
     state: "created",
     participants: [
       {
@@ -111,6 +132,7 @@ async function createSimulation(userId, data) {
         displayName: user.name,
         avatarUrl: user.avatarUrl,
       },
+      ...personaService.buildDefaultAgentParticipants(),
     ],
   });
 
@@ -137,40 +159,54 @@ async function createSimulation(userId, data) {
 
     const agentPayload = {
       simulationId: simulation._id.toString(),
+      userId,
+      reservationId,
       projectName,
       description: projectDescription,
       expertise:
         filters?.expertise || simulation.templateSnapshot?.expertiseLevel,
       techStack: simulation.templateSnapshot?.requiredSkills || filters?.skills,
       duration: getAgentDuration(),
+      clientPersonality: personaService.toAgentPersonality(simulation),
     };
 
-    const agentResponse = await agentService.generateRequirements(agentPayload);
-    const reqData = agentResponse.message || agentResponse;
+    const { requirements: reqData, contractVersion } =
+      await agentService.generateRequirements(agentPayload);
 
     // Update simulation
     if (!simulation.templateSnapshot) simulation.templateSnapshot = {};
     simulation.templateSnapshot.requirements = reqData;
+    simulation.templateSnapshot.agentContractVersion = contractVersion;
+    simulation.milestones = buildMilestones(simulation, reqData);
     simulation.currentAgent = "Agent1";
+    personaService.setClientName(simulation, reqData.client_name);
     await simulation.save();
     await simulation.transitionState("requirements_sent", userId);
 
+    // DOCX and Markdown copies of the requirements, downloaded via /files/:id/download
+    const requirementsDocumentService = require("./requirements-document.service");
+    const attachments =
+      await requirementsDocumentService.generateRequirementsDocuments(simulation);
+
     // Create clean message with document attachment (NO content duplication)
-    const message = await Message.create({
+    const message = await Message.createWithSequence({
       simulationId: simulation._id,
-      sequence: 1,
-      sender: { type: "agent", agentName: reqData.client_name || "Client" },
+      sender: personaService.toSender(
+        personaService.getClientPersona(simulation)
+      ),
       content: `Hey, my name is ${
         reqData.client_name || "the client"
       } and I am giving you a project **${
         reqData.project_name || projectName
       }**. In the attached document you can find all the requirements regarding the project.`,
       contentType: "text",
+      attachments,
       metadata: {
-        hasDocument: true,
-        fileName: `${projectName}_Requirements.docx`,
-        fileSize: "245 KB • Word Document",
-        // Store ALL requirements data in metadata for document generation
+        ...requirementsDocumentService.documentMetadata(
+          attachments,
+          `${projectName}_Requirements.docx`
+        ),
+        // Requirements data for clients that still render the document themselves
         clientName: reqData.client_name,
         client_name: reqData.client_name,
         duration: reqData.duration,
@@ -217,9 +253,9 @@ async function createSimulation(userId, data) {
 }
 
 /**
- * Get simulation by ID
+ * Get simulation by ID (owner or active team members)
  */
-async function getSimulationById(simulationId) {
+async function getSimulationById(simulationId, userId) {
   const simulation = await Simulation.findById(simulationId)
     .populate("userId", "name email avatarUrl")
     .populate("projectTemplateId", "name shortDescription")
@@ -229,17 +265,40 @@ async function getSimulationById(simulationId) {
     throw new AppError("Simulation not found", 404);
   }
 
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
   return simulation;
 }
 
 /**
- * List simulations for a user
+ * Ensure a user can read a simulation (owner or active team member)
+ */
+async function assertSimulationAccess(simulationId, userId) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants state")
+    .lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  return simulation;
+}
+
+/**
+ * List simulations a user owns or has joined as a team member
  */
 async function listUserSimulations(userId, filters = {}, pagination = {}) {
   const { state } = filters;
   const { limit = 20, skip = 0 } = pagination;
 
-  const query = { userId };
+  const query = Simulation.accessFilter(userId);
   if (state) query.state = state;
 
   const simulations = await Simulation.find(query)
@@ -258,6 +317,50 @@ async function listUserSimulations(userId, filters = {}, pagination = {}) {
   };
 }
 
+/**
+ * Schedule client scope changes once a simulation is underway.
+ * Never fails the caller; scheduling is best-effort.
+ */
+async function scheduleScopeChangesSafely(simulation) {
+  try {
+    const { scheduleScopeChanges } = require("./scope-change.service");
+    await scheduleScopeChanges(simulation);
+  } catch (error) {
+    logger.error(
+      `Failed to schedule scope changes for ${simulation._id}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Offload an archived simulation's transcript to S3 on the cleanup queue
+ * (in the background when the queue is unavailable).
+ * Never fails the caller; the transcript stays in the database on error.
+ */
+async function offloadTranscriptSafely(simulationId) {
+  try {
+    if (isQueueActive()) {
+      await enqueueCleanup(
+        "transcript",
+        { simulationId: simulationId.toString() },
+        { jobId: `transcript-${simulationId}` }
+      );
+      return;
+    }
+
+    const { offloadTranscript } = require("./transcript.service");
+    offloadTranscript(simulationId).catch((error) => {
+      logger.error(
+        `Failed to offload transcript for ${simulationId}: ${error.message}`
+      );
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to offload transcript for ${simulationId}: ${error.message}`
+    );
+  }
+}
+
 /**
  * Start a simulation (transition to in_progress)
  */
@@ -273,6 +376,7 @@ async function startSimulation(simulationId, userId) {
   }
 
   await simulation.transitionState("in_progress", userId);
+  await scheduleScopeChangesSafely(simulation);
 
   // Emit state change event
   try {
@@ -290,9 +394,11 @@ async function startSimulation(simulationId, userId) {
 }
 
 /**
- * Update simulation state
+ * Update simulation state. Pausing and resuming are only allowed through
+ * pauseSimulation / resumeSimulation (options.pauseControl), which check
+ * the current state first.
  */
-async function updateSimulationState(simulationId, newState, userId) {
+async function updateSimulationState(simulationId, newState, userId, options = {}) {
   const simulation = await Simulation.findById(simulationId);
 
   if (!simulation) {
@@ -303,7 +409,21 @@ async function updateSimulationState(simulationId, newState, userId) {
     throw new AppError("Not authorized", 403);
   }
 
+  const isResume = simulation.state === "paused" && newState === "in_progress";
+  if (!options.pauseControl && (newState === "paused" || isResume)) {
+    throw new AppError(
+      "Use POST /simulations/:id/pause or /resume to pause or resume a simulation",
+      400
+    );
+  }
+
   await simulation.transitionState(newState, userId);
+  if (newState === "in_progress") {
+    await scheduleScopeChangesSafely(simulation);
+  }
+  if (newState === "archived") {
+    await offloadTranscriptSafely(simulationId);
+  }
 
   // Emit state change event
   try {
@@ -321,15 +441,91 @@ async function updateSimulationState(simulationId, newState, userId) {
 }
 
 /**
- * Add participant to simulation
+ * Pause an in-progress simulation. Paused time is excluded from duration,
+ * deadline and badge calculations.
+ */
+async function pauseSimulation(simulationId, userId) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (simulation.userId.toString() !== userId.toString()) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  if (simulation.state !== "in_progress") {
+    throw new AppError(
+      `Only in-progress simulations can be paused (current state: ${simulation.state})`,
+      409
+    );
+  }
+
+  return updateSimulationState(simulationId, "paused", userId, { pauseControl: true });
+}
+
+/**
+ * Resume a paused simulation
  */
-async function addParticipant(simulationId, participantData) {
+async function resumeSimulation(simulationId, userId) {
   const simulation = await Simulation.findById(simulationId);
 
   if (!simulation) {
     throw new AppError("Simulation not found", 404);
   }
 
+  if (simulation.userId.toString() !== userId.toString()) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  if (simulation.state !== "paused") {
+    throw new AppError("Simulation is not paused", 409);
+  }
+
+  return updateSimulationState(simulationId, "in_progress", userId, {
+    pauseControl: true,
+  });
+}
+
+/**
+ * Add a non-user participant to simulation.
+ * Users join through invitations (team.service).
+ */
+async function addParticipant(simulationId, participantData, userId) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (simulation.userId.toString() !== userId.toString()) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  if (participantData.type === "user") {
+    throw new AppError("Invite users via /simulations/:id/invitations", 400);
+  }
+
+  if (participantData.type === "agent") {
+    const { personaKey, ...overrides } = participantData;
+    participantData = personaKey
+      ? personaService.buildAgentParticipant(personaKey, overrides)
+      : overrides;
+
+    if (!participantData.handle) {
+      throw new AppError("Agent participants need a handle or personaKey", 400);
+    }
+
+    const handle = participantData.handle.toLowerCase();
+    const taken = simulation.participants.some(
+      (p) => p.type === "agent" && p.handle === handle && !p.leftAt
+    );
+    if (taken) {
+      throw new AppError(`Agent handle "${handle}" is already in use`, 409);
+    }
+  }
+
   await simulation.addParticipant(participantData);
 
   logger.info(`Participant added to simulation: ${simulationId}`);
@@ -337,6 +533,97 @@ async function addParticipant(simulationId, participantData) {
   return simulation.toObject();
 }
 
+/**
+ * Ask the client for more time. The client decides on the spot: it approves
+ * up to MAX_APPROVED_EXTENSIONS extensions totalling at most
+ * MAX_EXTENSION_SHARE of the planned duration (and never less than a day).
+ * Approved time pushes back the deadline and pending milestones.
+ *
+ * @param {string} simulationId - Simulation ID
+ * @param {string} userId - Owner or team member asking
+ * @param {Object} request - { hours, reason }
+ * @returns {Promise<Object>} The recorded extension and the new deadline
+ */
+async function requestDeadlineExtension(simulationId, userId, { hours, reason }) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasPermission(simulation, userId, "extend")) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  if (!EXTENSION_STATES.includes(simulation.state)) {
+    throw new AppError(
+      `Deadlines can't be extended once a simulation is ${simulation.state}`,
+      409
+    );
+  }
+
+  const durationDays = Simulation.getPlannedDurationDays(simulation);
+  if (!durationDays) {
+    throw new AppError("This project has no deadline to extend", 400);
+  }
+
+  const approved = simulation.deadlineExtensions.filter(
+    (extension) => extension.status === "approved"
+  );
+  const allowanceHours = Math.max(durationDays * 24 * MAX_EXTENSION_SHARE, 24);
+  const grantedHours = approved.reduce((total, extension) => total + extension.hours, 0);
+
+  let decisionReason = null;
+  if (approved.length >= MAX_APPROVED_EXTENSIONS) {
+    decisionReason = `The client has already granted ${approved.length} extensions`;
+  } else if (grantedHours + hours > allowanceHours) {
+    const remaining = Math.max(allowanceHours - grantedHours, 0);
+    decisionReason =
+      remaining >= 1
+        ? `The client can give at most ${Math.floor(remaining)} more hours`
+        : "The client can't move the deadline any further";
+  }
+
+  const status = decisionReason ? "declined" : "approved";
+  simulation.deadlineExtensions.push({
+    hours,
+    reason,
+    status,
+    decisionReason,
+    requestedBy: userId,
+  });
+
+  if (status === "approved") {
+    const extensionMs = hours * 60 * 60 * 1000;
+    simulation.milestones.forEach((milestone) => {
+      if (milestone.status === "pending") {
+        milestone.dueAt = new Date(milestone.dueAt.getTime() + extensionMs);
+      }
+    });
+  }
+
+  await simulation.save();
+
+  const extension = simulation.deadlineExtensions[simulation.deadlineExtensions.length - 1];
+  const deadlineTimestamp = Simulation.getDeadlineTimestamp(simulation);
+
+  if (status === "approved") {
+    try {
+      emitToSimulation(simulationId, "simulation:deadlineExtended", {
+        simulationId: simulationId.toString(),
+        hours,
+        deadlineTimestamp,
+      });
+    } catch (error) {
+      logger.error("Failed to emit simulation:deadlineExtended event:", error);
+    }
+  }
+
+  logger.info(`Deadline extension ${status} for simulation ${simulationId} (${hours}h)`);
+
+  return { extension: extension.toObject(), deadlineTimestamp };
+}
+
 /**
  * Archive simulation
  */
@@ -352,18 +639,25 @@ async function archiveSimulation(simulationId, userId) {
   }
 
   await simulation.transitionState("archived", userId);
+  await offloadTranscriptSafely(simulationId);
 
   logger.info(`Simulation archived: ${simulationId}`);
 
-  return simulation.toObject();
+  return (await Simulation.findById(simulationId).lean()) || simulation.toObject();
 }
 
 module.exports = {
   createSimulation,
   getSimulationById,
+  assertSimulationAccess,
   listUserSimulations,
   startSimulation,
   updateSimulationState,
+  pauseSimulation,
+  resumeSimulation,
   addParticipant,
   archiveSimulation,
+  requestDeadlineExtension,
+  scheduleScopeChangesSafely,
+  offloadTranscriptSafely,
 };
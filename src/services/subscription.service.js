@@ -174,7 +174,9 @@ async function getSubscriptionStatus(userId) {
       maxProjects: plan.maxProjects,
       allowedExpertise: plan.allowedExpertise,
       allowedThemes: plan.allowedThemes,
+      allowedPersonalities: plan.allowedPersonalities,
       canMakePublic: plan.canMakePublic,
+      aiCallsPerMonth: plan.aiCallsPerMonth,
     },
   };
 }
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const { Simulation, Message } = require("../models");
+const { AppError, BadRequestError } = require("../utils/errors");
+
+// Messages replayed per simulation and request; clients page with hasMore
+const SYNC_PAGE_SIZE = 200;
+
+/**
+ * Messages and state changes a client missed after `sequence`, for
+ * catching up after a reconnect (socket `sync:since`).
+ *
+ * State changes, and earlier messages that were edited or redacted, are
+ * those recorded after the message at `sequence` was created. Without a
+ * sequence the user's read cursor is used.
+ *
+ * @param {string} simulationId - Simulation ID
+ * @param {string} userId - Owner or team member
+ * @param {Object} options
+ * @param {number} options.sequence - Last message sequence the client saw
+ * @returns {Promise<Object>} { simulationId, state, since, messages, updatedMessages, stateChanges, lastSequence, hasMore }
+ */
+async function getMissedEvents(simulationId, userId, { sequence } = {}) {
+  if (!mongoose.isValidObjectId(simulationId)) {
+    throw new BadRequestError("Invalid simulation ID");
+  }
+
+  if (sequence !== undefined && !(Number.isInteger(sequence) && sequence >= 0)) {
+    throw new BadRequestError("sequence must be a non-negative integer");
+  }
+
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants state stateHistory readCursors")
+    .lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  const since =
+    sequence ??
+    (simulation.readCursors || []).find(
+      (cursor) => cursor.userId.toString() === userId.toString()
+    )?.lastReadSequence ??
+    0;
+
+  const [messages, lastSeen] = await Promise.all([
+    Message.find({ simulationId, sequence: { $gt: since } })
+      .sort({ sequence: 1 })
+      .limit(SYNC_PAGE_SIZE + 1)
+      .lean(),
+    since > 0
+      ? Message.findOne({ simulationId, sequence: since }).select("createdAt").lean()
+      : null,
+  ]);
+
+  const hasMore = messages.length > SYNC_PAGE_SIZE;
+  if (hasMore) messages.pop();
+
+  // If the last seen message is gone (e.g. pruned), replay every state change
+  const seenAt = lastSeen?.createdAt;
+  const stateChanges = (simulation.stateHistory || []).filter(
+    (change) => !seenAt || change.at > seenAt
+  );
+
+  // Messages the client already has but that changed since (message:edited,
+  // message:redacted), newest changes last
+  const updatedMessages = seenAt
+    ? await Message.find({
+        simulationId,
+        sequence: { $lte: since },
+        updatedAt: { $gt: seenAt },
+      })
+        .sort({ updatedAt: 1 })
+        .limit(SYNC_PAGE_SIZE)
+        .lean()
+    : [];
+
+  return {
+    simulationId: simulation._id.toString(),
+    state: simulation.state,
+    since,
+    messages,
+    updatedMessages,
+    stateChanges,
+    lastSequence: messages.length ? messages[messages.length - 1].sequence : since,
+    hasMore,
+  };
+}
+
+module.exports = {
+  SYNC_PAGE_SIZE,
+  getMissedEvents,
+};
@@ -0,0 +1,271 @@
+const { Simulation, User } = require("../models");
+const { AppError } = require("../utils/errors");
+const { emitToSimulation, emitToUser, removeUserFromSimulation } = require("../socket");
+const notificationService = require("./notification.service");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+/**
+ * Find a registered user by email or profile username
+ */
+async function findInvitee({ email, username }) {
+  const query = email
+    ? { email: email.toLowerCase().trim() }
+    : { "profile.username": username.trim() };
+
+  const user = await User.findOne(query).select("name email avatarUrl profile.username");
+  if (!user) {
+    throw new AppError("No registered user found with that email or username", 404);
+  }
+
+  return user;
+}
+
+function findUserParticipant(simulation, userId) {
+  return simulation.participants.find(
+    (p) => p.type === "user" && p.id && p.id.toString() === userId.toString()
+  );
+}
+
+/**
+ * List participants of a simulation (owner or team members only)
+ */
+async function listParticipants(simulationId, userId) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants")
+    .lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  return simulation.participants || [];
+}
+
+/**
+ * Invite a registered user to a simulation team
+ */
+async function inviteParticipant(simulationId, ownerId, { email, username, role }) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (simulation.userId.toString() !== ownerId.toString()) {
+    throw new AppError("Only the simulation owner can invite team members", 403);
+  }
+
+  if (["completed", "archived", "cancelled"].includes(simulation.state)) {
+    throw new AppError(`Cannot invite to a ${simulation.state} simulation`, 409);
+  }
+
+  const invitee = await findInvitee({ email, username });
+
+  if (invitee._id.toString() === ownerId.toString()) {
+    throw new AppError("You cannot invite yourself", 400);
+  }
+
+  const now = new Date();
+  let participant = findUserParticipant(simulation, invitee._id);
+
+  if (participant && ["active", "invited"].includes(participant.status || "active")) {
+    throw new AppError(
+      participant.status === "invited"
+        ? "User has already been invited"
+        : "User is already a team member",
+      409
+    );
+  }
+
+  if (participant) {
+    // Re-invite someone who declined or left earlier
+    participant.role = role;
+    participant.displayName = invitee.name;
+    participant.avatarUrl = invitee.avatarUrl;
+    participant.status = "invited";
+    participant.invitedBy = ownerId;
+    participant.invitedAt = now;
+    participant.respondedAt = undefined;
+    participant.leftAt = undefined;
+  } else {
+    simulation.participants.push({
+      id: invitee._id,
+      type: "user",
+      role,
+      displayName: invitee.name,
+      avatarUrl: invitee.avatarUrl,
+      status: "invited",
+      invitedBy: ownerId,
+      invitedAt: now,
+    });
+    participant = simulation.participants[simulation.participants.length - 1];
+  }
+
+  await simulation.save();
+
+  const invitation = {
+    simulationId: simulation._id.toString(),
+    projectName: simulation.projectName,
+    role,
+    invitedBy: ownerId.toString(),
+    invitedAt: now,
+  };
+
+  try {
+    emitToUser(invitee._id.toString(), "team:invited", invitation);
+  } catch (error) {
+    logger.error("Failed to emit team:invited event:", error);
+  }
+
+  await notificationService.sendPush(
+    invitee._id.toString(),
+    "Team invitation",
+    `You've been invited to join "${simulation.projectName}" as ${role}.`,
+    { simulationId: invitation.simulationId }
+  );
+  await notificationService.sendEmail(
+    invitee.email,
+    `Invitation: ${simulation.projectName}`,
+    `You've been invited to join the simulation "${simulation.projectName}" as ${role}. ` +
+      `Open ${config.frontendUrl}/dashboard to accept or decline.`
+  );
+
+  logger.info(
+    `User ${invitee._id} invited to simulation ${simulationId} as ${role}`
+  );
+
+  return participant.toObject();
+}
+
+/**
+ * List pending invitations for a user
+ */
+async function listInvitations(userId) {
+  const simulations = await Simulation.find({
+    participants: { $elemMatch: { id: userId, type: "user", status: "invited" } },
+  })
+    .select("projectName projectDescription state userId participants createdAt")
+    .populate("userId", "name avatarUrl")
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  return simulations.map((sim) => {
+    const participant = sim.participants.find(
+      (p) => p.id && p.id.toString() === userId.toString()
+    );
+    return {
+      simulationId: sim._id,
+      projectName: sim.projectName,
+      projectDescription: sim.projectDescription,
+      state: sim.state,
+      owner: sim.userId,
+      role: participant.role,
+      invitedAt: participant.invitedAt,
+    };
+  });
+}
+
+/**
+ * Accept or decline a pending invitation
+ */
+async function respondToInvitation(simulationId, userId, accept) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  const participant = findUserParticipant(simulation, userId);
+  if (!participant || participant.status !== "invited") {
+    throw new AppError("No pending invitation for this simulation", 404);
+  }
+
+  const now = new Date();
+  participant.status = accept ? "active" : "declined";
+  participant.respondedAt = now;
+  if (accept) participant.joinedAt = now;
+  await simulation.save();
+
+  const event = accept ? "team:joined" : "team:declined";
+  const payload = {
+    simulationId: simulation._id.toString(),
+    participant: participant.toObject(),
+  };
+
+  try {
+    emitToSimulation(payload.simulationId, event, payload);
+    emitToUser(simulation.userId.toString(), event, payload);
+  } catch (error) {
+    logger.error(`Failed to emit ${event} event:`, error);
+  }
+
+  logger.info(
+    `User ${userId} ${accept ? "accepted" : "declined"} invitation to simulation ${simulationId}`
+  );
+
+  return payload.participant;
+}
+
+/**
+ * Remove a team member (owner) or leave a team (member)
+ */
+async function removeParticipant(simulationId, actorId, participantUserId) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  const isOwner = simulation.userId.toString() === actorId.toString();
+  const isSelf = actorId.toString() === participantUserId.toString();
+
+  if (!isOwner && !isSelf) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  if (simulation.userId.toString() === participantUserId.toString()) {
+    throw new AppError("The simulation owner cannot leave the team", 400);
+  }
+
+  const participant = findUserParticipant(simulation, participantUserId);
+  if (!participant || ["declined", "left"].includes(participant.status)) {
+    throw new AppError("Participant not found", 404);
+  }
+
+  participant.status = "left";
+  participant.leftAt = new Date();
+  await simulation.save();
+
+  const payload = {
+    simulationId: simulation._id.toString(),
+    userId: participantUserId.toString(),
+    removedBy: actorId.toString(),
+  };
+
+  try {
+    removeUserFromSimulation(payload.simulationId, payload.userId);
+    emitToSimulation(payload.simulationId, "team:left", payload);
+    emitToUser(payload.userId, "team:left", payload);
+  } catch (error) {
+    logger.error("Failed to emit team:left event:", error);
+  }
+
+  logger.info(
+    `User ${participantUserId} removed from simulation ${simulationId} by ${actorId}`
+  );
+
+  return participant.toObject();
+}
+
+module.exports = {
+  listParticipants,
+  inviteParticipant,
+  listInvitations,
+  respondToInvitation,
+  removeParticipant,
+};
@@ -0,0 +1,245 @@
+const mongoose = require("mongoose");
+const { Simulation, Message, Portfolio, Feedback } = require("../models");
+const { AppError } = require("../utils/errors");
+
+const EVENT_TYPES = ["state", "message", "attachment", "portfolio", "feedback"];
+const MAX_LIMIT = 200;
+
+// The pre-save hook and transitionState both record a transition, so
+// identical states this close together are the same event.
+const DUPLICATE_STATE_WINDOW_MS = 5000;
+
+/**
+ * Cursors are opaque base64url JSON: { at: epoch ms, id: event id }
+ */
+function encodeCursor(event) {
+  return Buffer.from(
+    JSON.stringify({ at: new Date(event.at).getTime(), id: event.id })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { at, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isFinite(at) || typeof id !== "string") throw new Error();
+    return { at, id };
+  } catch (error) {
+    throw new AppError("Invalid timeline cursor", 400);
+  }
+}
+
+/**
+ * Events are ordered by time, then by id so the order is total
+ */
+function compareEvents(a, b) {
+  const diff = new Date(a.at) - new Date(b.at);
+  if (diff !== 0) return diff;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function isAfterCursor(event, cursor) {
+  return !cursor || compareEvents(event, cursor) > 0;
+}
+
+/**
+ * Mongo filter for documents of one source that sort after the cursor
+ */
+function afterCursorFilter(prefix, dateField, cursor) {
+  if (!cursor) return {};
+
+  const at = new Date(cursor.at);
+  if (cursor.id.startsWith(`${prefix}:`)) {
+    const lastId = cursor.id.slice(prefix.length + 1);
+    if (mongoose.isValidObjectId(lastId)) {
+      return {
+        $or: [
+          { [dateField]: { $gt: at } },
+          { [dateField]: at, _id: { $gt: new mongoose.Types.ObjectId(lastId) } },
+        ],
+      };
+    }
+  }
+
+  // Ids of other sources with the same timestamp sort by prefix
+  return { [dateField]: `${prefix}:` > cursor.id ? { $gte: at } : { $gt: at } };
+}
+
+function stateEvents(simulation) {
+  const events = [];
+  (simulation.stateHistory || []).forEach((entry, index) => {
+    const previous = events[events.length - 1];
+    if (
+      previous &&
+      previous.data.state === entry.state &&
+      Math.abs(new Date(entry.at) - new Date(previous.at)) < DUPLICATE_STATE_WINDOW_MS
+    ) {
+      previous.data.by = previous.data.by || entry.by || null;
+      return;
+    }
+
+    events.push({
+      id: `state:${String(index).padStart(6, "0")}`,
+      type: "state",
+      at: entry.at,
+      data: { state: entry.state, by: entry.by || null },
+    });
+  });
+  return events;
+}
+
+async function messageEvents(simulationId, cursor, limit) {
+  const messages = await Message.find({
+    simulationId,
+    ...afterCursorFilter("message", "createdAt", cursor),
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit)
+    .lean();
+
+  return messages.map((m) => ({
+    id: `message:${m._id}`,
+    type: "message",
+    at: m.createdAt,
+    data: m,
+  }));
+}
+
+async function attachmentEvents(simulationId, cursor, limit) {
+  const messages = await Message.find({
+    simulationId,
+    $and: [
+      {
+        $or: [
+          { "attachments.0": { $exists: true } },
+          { "metadata.hasDocument": true },
+        ],
+      },
+      afterCursorFilter("attachment", "createdAt", cursor),
+    ],
+  })
+    .select("sender attachments metadata createdAt")
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit)
+    .lean();
+
+  return messages.map((m) => ({
+    id: `attachment:${m._id}`,
+    type: "attachment",
+    at: m.createdAt,
+    data: {
+      messageId: m._id,
+      sender: m.sender,
+      attachments: m.attachments || [],
+      // Agent 1 requirements document
+      document: m.metadata?.hasDocument
+        ? { fileName: m.metadata.fileName, fileId: m.metadata.fileId || null }
+        : null,
+    },
+  }));
+}
+
+async function portfolioEvents(simulationId) {
+  const portfolios = await Portfolio.find({ simulationId })
+    .select("repoUrl status analysisRequestedAt analyzedAt analysisError createdAt")
+    .lean();
+
+  return portfolios.flatMap((p) => {
+    const data = {
+      portfolioId: p._id,
+      repoUrl: p.repoUrl,
+      status: p.status,
+    };
+    const events = [
+      {
+        id: `portfolio:${p._id}:requested`,
+        type: "portfolio",
+        at: p.analysisRequestedAt || p.createdAt,
+        data: { ...data, phase: "requested" },
+      },
+    ];
+    if (p.analyzedAt) {
+      events.push({
+        id: `portfolio:${p._id}:analyzed`,
+        type: "portfolio",
+        at: p.analyzedAt,
+        data: { ...data, phase: "analyzed", error: p.analysisError?.message || null },
+      });
+    }
+    return events;
+  });
+}
+
+async function feedbackEvents(simulationId) {
+  const feedback = await Feedback.find({ simulationId })
+    .select("summary overallScore portfolioId createdAt")
+    .lean();
+
+  return feedback.map((f) => ({
+    id: `feedback:${f._id}`,
+    type: "feedback",
+    at: f.createdAt,
+    data: {
+      feedbackId: f._id,
+      portfolioId: f.portfolioId || null,
+      overallScore: f.overallScore ?? null,
+      summary: f.summary,
+    },
+  }));
+}
+
+/**
+ * Merge state changes, messages, attachments, portfolio analyses and
+ * feedback into one chronological, cursor-paginated event stream
+ */
+async function getTimeline(simulationId, userId, { cursor, limit = 50, types } = {}) {
+  const simulation = await Simulation.findById(simulationId)
+    .select("userId participants stateHistory")
+    .lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  const selected = types && types.length ? types : EVENT_TYPES;
+  const unknown = selected.filter((t) => !EVENT_TYPES.includes(t));
+  if (unknown.length) {
+    throw new AppError(`Unknown timeline event type: ${unknown.join(", ")}`, 400);
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+  // One extra per source tells us whether another page exists
+  const fetchSize = pageSize + 1;
+
+  const sources = {
+    state: () => stateEvents(simulation),
+    message: () => messageEvents(simulation._id, after, fetchSize),
+    attachment: () => attachmentEvents(simulation._id, after, fetchSize),
+    portfolio: () => portfolioEvents(simulation._id),
+    feedback: () => feedbackEvents(simulation._id),
+  };
+
+  const batches = await Promise.all(selected.map((type) => sources[type]()));
+  const events = batches
+    .flat()
+    .filter((event) => isAfterCursor(event, after))
+    .sort(compareEvents);
+
+  const items = events.slice(0, pageSize);
+  const hasMore = events.length > pageSize;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    hasMore,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  getTimeline,
+};
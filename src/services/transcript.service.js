@@ -0,0 +1,422 @@
+const { Simulation, Message, Feedback } = require("../models");
+const { AppError } = require("../utils/errors");
+const fileService = require("./file.service");
+const config = require("../config/env");
+const logger = require("../config/logger");
+
+const TRANSCRIPT_VERSION = 1;
+const FORMATS = {
+  json: "application/json",
+  md: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+};
+
+/**
+ * Resolve a display label for a message sender
+ */
+function senderLabel(sender = {}, participants = []) {
+  if (sender.type === "agent") return sender.agentName || "Client";
+  if (sender.type === "system") return "System";
+
+  const participant = participants.find(
+    (p) => p.id && sender.id && p.id.toString() === sender.id.toString()
+  );
+  return participant?.displayName || "Freelancer";
+}
+
+/**
+ * Build the transcript document from the database
+ */
+async function buildTranscript(simulation) {
+  const [messages, feedback] = await Promise.all([
+    Message.find({ simulationId: simulation._id }).sort({ sequence: 1 }).lean(),
+    Feedback.findOne({ simulationId: simulation._id })
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const participants = simulation.participants || [];
+
+  return {
+    version: TRANSCRIPT_VERSION,
+    exportedAt: new Date().toISOString(),
+    simulation: {
+      id: simulation._id.toString(),
+      projectName: simulation.projectName,
+      projectDescription: simulation.projectDescription,
+      state: simulation.state,
+      createdAt: simulation.createdAt,
+      startedAt: simulation.startedAt,
+      endedAt: simulation.endedAt,
+      meta: simulation.meta,
+    },
+    requirements: simulation.templateSnapshot?.requirements || null,
+    requirementsVersion: simulation.templateSnapshot?.requirementsVersion || 1,
+    messages: messages.map((m) => ({
+      sequence: m.sequence,
+      sender: { ...m.sender, displayName: senderLabel(m.sender, participants) },
+      content: m.content,
+      contentType: m.contentType,
+      attachments: m.attachments || [],
+      createdAt: m.createdAt,
+    })),
+    feedback: feedback
+      ? {
+          summary: feedback.summary,
+          overallScore: feedback.overallScore,
+          strengths: feedback.strengths,
+          improvements: feedback.improvements,
+          missingRequirements: feedback.missingRequirements,
+          createdAt: feedback.createdAt,
+        }
+      : null,
+  };
+}
+
+/**
+ * Load the transcript, from S3 when the messages have been pruned
+ */
+async function loadTranscript(simulation) {
+  const storage = simulation.transcriptStorage || {};
+  if (storage.type === "s3" && storage.ref && storage.prunedAt) {
+    const content = await fileService.getFileContent(storage.ref);
+    return JSON.parse(content);
+  }
+  return buildTranscript(simulation);
+}
+
+/**
+ * Normalize requirement values (arrays or bullet strings) to a list
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean).map(String);
+  if (typeof value === "string") {
+    return value
+      .split("\n")
+      .map((line) => line.replace(/^\s*[-*•]\s*/, "").trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Markdown lines for an Agent 1 requirements payload (also used by the
+ * /requirements chat command)
+ */
+function renderRequirementsMarkdown(requirements) {
+  const lines = [];
+  if (requirements.client_name) lines.push(`**Client:** ${requirements.client_name}`);
+  if (requirements.duration) lines.push(`**Duration:** ${requirements.duration}`);
+  const techStack = toList(requirements.tech_stack);
+  if (techStack.length) lines.push(`**Tech stack:** ${techStack.join(", ")}`);
+  if (requirements.description) lines.push("", requirements.description);
+
+  const keyRequirements = toList(requirements.key_requirements);
+  if (keyRequirements.length) {
+    lines.push("", "### Key requirements", "", ...keyRequirements.map((r) => `- ${r}`));
+  }
+  const criteria = toList(requirements.acceptance_criteria);
+  if (criteria.length) {
+    lines.push("", "### Acceptance criteria", "", ...criteria.map((c) => `- ${c}`));
+  }
+  return lines;
+}
+
+/**
+ * Render a transcript as Markdown
+ */
+function renderMarkdown(transcript) {
+  const { simulation, requirements, messages, feedback } = transcript;
+  const lines = [
+    `# ${simulation.projectName}`,
+    "",
+    `_State: ${simulation.state} · Exported ${transcript.exportedAt}_`,
+    "",
+    "## Project brief",
+    "",
+    simulation.projectDescription || "",
+    "",
+  ];
+
+  if (requirements) {
+    lines.push(`## Requirements (v${transcript.requirementsVersion || 1})`, "");
+    lines.push(...renderRequirementsMarkdown(requirements), "");
+  }
+
+  lines.push("## Conversation", "");
+  messages.forEach((m) => {
+    lines.push(
+      `**${m.sender.displayName}** · ${new Date(m.createdAt).toISOString()}`,
+      "",
+      m.content,
+      ""
+    );
+    (m.attachments || []).forEach((a) => lines.push(`📎 ${a.filename}`, ""));
+  });
+
+  if (feedback) {
+    lines.push("## Feedback", "");
+    if (feedback.overallScore !== undefined && feedback.overallScore !== null) {
+      lines.push(`**Score:** ${feedback.overallScore}/100`, "");
+    }
+    lines.push(feedback.summary || "", "");
+    [
+      ["Strengths", feedback.strengths],
+      ["Improvements", feedback.improvements],
+      ["Missing requirements", feedback.missingRequirements],
+    ].forEach(([title, items]) => {
+      if (items && items.length) {
+        lines.push(`### ${title}`, "", ...items.map((i) => `- ${i}`), "");
+      }
+    });
+  }
+
+  return lines.join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function htmlList(items) {
+  return `<ul>${items.map((i) => `<li>${escapeHtml(i)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * Render a transcript as a standalone HTML page
+ */
+function renderHtml(transcript) {
+  const { simulation, requirements, messages, feedback } = transcript;
+  const parts = [
+    `<h1>${escapeHtml(simulation.projectName)}</h1>`,
+    `<p><em>State: ${escapeHtml(simulation.state)} · Exported ${escapeHtml(transcript.exportedAt)}</em></p>`,
+    "<h2>Project brief</h2>",
+    `<p>${escapeHtml(simulation.projectDescription)}</p>`,
+  ];
+
+  if (requirements) {
+    parts.push(`<h2>Requirements (v${escapeHtml(transcript.requirementsVersion || 1)})</h2>`);
+    if (requirements.client_name) {
+      parts.push(`<p><strong>Client:</strong> ${escapeHtml(requirements.client_name)}</p>`);
+    }
+    if (requirements.duration) {
+      parts.push(`<p><strong>Duration:</strong> ${escapeHtml(requirements.duration)}</p>`);
+    }
+    const techStack = toList(requirements.tech_stack);
+    if (techStack.length) {
+      parts.push(`<p><strong>Tech stack:</strong> ${escapeHtml(techStack.join(", "))}</p>`);
+    }
+    if (requirements.description) {
+      parts.push(`<p>${escapeHtml(requirements.description)}</p>`);
+    }
+    const keyRequirements = toList(requirements.key_requirements);
+    if (keyRequirements.length) {
+      parts.push("<h3>Key requirements</h3>", htmlList(keyRequirements));
+    }
+    const criteria = toList(requirements.acceptance_criteria);
+    if (criteria.length) {
+      parts.push("<h3>Acceptance criteria</h3>", htmlList(criteria));
+    }
+  }
+
+  parts.push("<h2>Conversation</h2>");
+  messages.forEach((m) => {
+    const attachments = (m.attachments || [])
+      .map((a) => `<div>📎 ${escapeHtml(a.filename)}</div>`)
+      .join("");
+    parts.push(
+      `<div class="message message--${escapeHtml(m.sender.type)}">` +
+        `<div><strong>${escapeHtml(m.sender.displayName)}</strong> · ${escapeHtml(new Date(m.createdAt).toISOString())}</div>` +
+        `<div style="white-space: pre-wrap">${escapeHtml(m.content)}</div>` +
+        attachments +
+        "</div>"
+    );
+  });
+
+  if (feedback) {
+    parts.push("<h2>Feedback</h2>");
+    if (feedback.overallScore !== undefined && feedback.overallScore !== null) {
+      parts.push(`<p><strong>Score:</strong> ${escapeHtml(feedback.overallScore)}/100</p>`);
+    }
+    parts.push(`<p style="white-space: pre-wrap">${escapeHtml(feedback.summary)}</p>`);
+    [
+      ["Strengths", feedback.strengths],
+      ["Improvements", feedback.improvements],
+      ["Missing requirements", feedback.missingRequirements],
+    ].forEach(([title, items]) => {
+      if (items && items.length) {
+        parts.push(`<h3>${title}</h3>`, htmlList(items));
+      }
+    });
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(simulation.projectName)} - Transcript</title>
+</head>
+<body>
+${parts.join("\n")}
+</body>
+</html>`;
+}
+
+/**
+ * Render a loaded transcript in the requested format
+ */
+function renderTranscript(transcript, format = "json") {
+  if (!FORMATS[format]) {
+    throw new AppError(`Unsupported transcript format: ${format}`, 400);
+  }
+
+  let body = transcript;
+  if (format === "md") body = renderMarkdown(transcript);
+  if (format === "html") body = renderHtml(transcript);
+
+  const safeName = String(transcript.simulation.projectName || "transcript")
+    .replace(/[^\w.-]+/g, "_")
+    .slice(0, 100);
+
+  return {
+    body,
+    contentType: FORMATS[format],
+    filename: `${safeName}_Transcript.${format}`,
+  };
+}
+
+/**
+ * Get a rendered transcript for the simulation owner or team members
+ */
+async function getTranscript(simulationId, userId, format = "json") {
+  const simulation = await Simulation.findById(simulationId).lean();
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (!Simulation.hasAccess(simulation, userId)) {
+    throw new AppError("Not authorized", 403);
+  }
+
+  const transcript = await loadTranscript(simulation);
+  return renderTranscript(transcript, format);
+}
+
+function uploadTranscript(simulation, transcript) {
+  const { filename, contentType } = renderTranscript(transcript, "json");
+
+  return fileService.uploadBuffer(
+    simulation.userId.toString(),
+    filename,
+    contentType,
+    JSON.stringify(transcript),
+    "transcripts",
+    simulation._id
+  );
+}
+
+/**
+ * Upload an archived simulation's transcript to S3 and, when
+ * PRUNE_ARCHIVED_MESSAGES is on, drop its Message documents.
+ */
+async function offloadTranscript(simulationId) {
+  const simulation = await Simulation.findById(simulationId);
+
+  if (!simulation) {
+    throw new AppError("Simulation not found", 404);
+  }
+
+  if (simulation.transcriptStorage?.type === "s3" && simulation.transcriptStorage.ref) {
+    return simulation.transcriptStorage;
+  }
+
+  const transcript = await buildTranscript(simulation);
+  const file = await uploadTranscript(simulation, transcript);
+
+  simulation.transcriptStorage = {
+    type: "s3",
+    ref: file._id.toString(),
+    uploadedAt: new Date(),
+  };
+
+  // Persist the S3 reference before pruning so messages are never orphaned
+  await simulation.save();
+
+  if (config.pruneArchivedMessages) {
+    const result = await Message.deleteMany({ simulationId: simulation._id });
+    simulation.transcriptStorage.prunedAt = new Date();
+    await simulation.save();
+    logger.info(
+      `Pruned ${result.deletedCount} messages for archived simulation: ${simulationId}`
+    );
+  }
+
+  logger.info(`Transcript offloaded to S3 for simulation: ${simulationId}`);
+
+  return simulation.transcriptStorage;
+}
+
+/**
+ * Carry a moderation redaction into an offloaded transcript. The stored
+ * copy is patched, uploaded as a new file and the old file deleted.
+ * @param {string} simulationId - Simulation ID
+ * @param {number} sequence - Sequence of the redacted message
+ * @param {string} content - Replacement content
+ * @returns {Promise<Object|null>} New transcript storage, or null if nothing changed
+ */
+async function redactOffloadedTranscript(simulationId, sequence, content) {
+  const simulation = await Simulation.findById(simulationId);
+  const storage = simulation?.transcriptStorage;
+
+  if (storage?.type !== "s3" || !storage.ref) {
+    return null;
+  }
+
+  const transcript = JSON.parse(await fileService.getFileContent(storage.ref));
+  const message = transcript.messages.find((m) => m.sequence === sequence);
+  if (!message || message.content === content) {
+    return null;
+  }
+
+  message.content = content;
+  message.contentType = "text";
+
+  const file = await uploadTranscript(simulation, transcript);
+  const previousRef = storage.ref;
+
+  simulation.transcriptStorage.ref = file._id.toString();
+  simulation.transcriptStorage.uploadedAt = new Date();
+  await simulation.save();
+
+  try {
+    await fileService.deleteFile(previousRef, simulation.userId.toString());
+  } catch (error) {
+    logger.error(
+      `Failed to delete previous transcript ${previousRef} for ${simulationId}: ${error.message}`
+    );
+  }
+
+  logger.info(`Redaction applied to offloaded transcript for simulation: ${simulationId}`);
+
+  return simulation.transcriptStorage;
+}
+
+module.exports = {
+  FORMATS,
+  buildTranscript,
+  loadTranscript,
+  renderTranscript,
+  renderMarkdown,
+  renderRequirementsMarkdown,
+  renderHtml,
+  getTranscript,
+  offloadTranscript,
+  redactOffloadedTranscript,
+  toList,
+};
@@ -1,9 +1,25 @@
 const { Server } = require("socket.io");
+const mongoose = require("mongoose");
+const { Simulation } = require("../models");
 const { createAdapter } = require("@socket.io/redis-adapter");
 const { getRedisConnection } = require("../config/redis");
 const logger = require("../config/logger");
 const config = require("../config/env");
 const { verifyAccessToken } = require("../utils/jwt");
+const agentStreamService = require("../services/agent-stream.service");
+const readReceiptService = require("../services/read-receipt.service");
+const syncService = require("../services/sync.service");
+
+// Room events clients acknowledge. A client that misses one (it was
+// disconnected or never acked) catches up with `sync:since`.
+const ACKED_EVENTS = new Set([
+  "message:created",
+  "message:edited",
+  "message:redacted",
+  "simulation:stateChanged",
+]);
+const ACK_TIMEOUT_MS = 10000;
+const MAX_SYNC_SIMULATIONS = 50;
 
 let io;
 
@@ -53,6 +69,7 @@ function initializeSocketIO(httpServer) {
 
       const decoded = verifyAccessToken(token);
       socket.userId = decoded.userId;
+      socket.data.userId = decoded.userId; // visible to fetchSockets() across nodes
       socket.user = decoded;
 
       logger.debug(`Socket authenticated for user: ${socket.userId}`);
@@ -74,27 +91,126 @@ function initializeSocketIO(httpServer) {
       logger.debug(`Socket ${socket.id} auto-joined room: ${userRoom}`);
     }
 
-    // Join simulation room
-    socket.on("join:simulation", (simulationId) => {
+    // Join simulation room (owner and active team members only)
+    socket.on("join:simulation", async (simulationId) => {
       const roomName = `simulation:${simulationId}`;
+
+      try {
+        const allowed = await canJoinSimulation(simulationId, socket.userId);
+        if (!allowed) {
+          socket.emit("error:simulation", {
+            simulationId,
+            message: "Not authorized to join this simulation",
+          });
+          return;
+        }
+      } catch (error) {
+        logger.error(`Failed to authorize ${socket.id} for ${roomName}:`, error);
+        socket.emit("error:simulation", {
+          simulationId,
+          message: "Failed to join simulation",
+        });
+        return;
+      }
+
       socket.join(roomName);
       logger.debug(`Socket ${socket.id} joined room: ${roomName}`);
 
-      socket.emit("joined:simulation", { simulationId });
+      await agentStreamService
+        .clearCancel(simulationId, socket.userId)
+        .catch((error) => logger.warn(`Failed to clear agent cancel: ${error.message}`));
+
+      socket.emit("joined:simulation", {
+        simulationId,
+        online: await getOnlineUserIds(roomName),
+      });
+      socket.to(roomName).emit("presence:joined", {
+        simulationId,
+        userId: socket.userId,
+      });
     });
 
     // Leave simulation room
-    socket.on("leave:simulation", (simulationId) => {
+    socket.on("leave:simulation", async (simulationId) => {
       const roomName = `simulation:${simulationId}`;
       socket.leave(roomName);
       logger.debug(`Socket ${socket.id} left room: ${roomName}`);
 
       socket.emit("left:simulation", { simulationId });
+      socket.to(roomName).emit("presence:left", {
+        simulationId,
+        userId: socket.userId,
+      });
+
+      await cancelAgentRepliesIfGone(simulationId, socket);
     });
 
-    // Typing indicators
+    // Stop an agent reply that is being streamed to this user
+    socket.on("agent:cancel", async ({ simulationId } = {}) => {
+      if (!socket.rooms.has(`simulation:${simulationId}`)) return;
+      try {
+        await agentStreamService.requestCancel(simulationId, socket.userId);
+      } catch (error) {
+        logger.error(`Failed to cancel agent reply for ${socket.id}:`, error);
+      }
+    });
+
+    // Read receipt; the room hears about it as `message:read`
+    socket.on("message:read", async ({ simulationId, sequence } = {}) => {
+      if (!socket.rooms.has(`simulation:${simulationId}`)) return;
+      if (sequence !== undefined && !(Number.isInteger(sequence) && sequence >= 0)) {
+        return;
+      }
+      try {
+        await readReceiptService.markRead(simulationId, socket.userId, { sequence });
+      } catch (error) {
+        logger.error(`Failed to mark ${simulationId} read for ${socket.id}:`, error);
+      }
+    });
+
+    // Reconnect catch-up: replay messages after the last sequence the
+    // client saw in each simulation, plus state changes since then
+    socket.on("sync:since", async (payload, ack) => {
+      const requests = Array.isArray(payload?.simulations)
+        ? payload.simulations
+        : [payload];
+
+      if (requests.length > MAX_SYNC_SIMULATIONS) {
+        const error = `At most ${MAX_SYNC_SIMULATIONS} simulations per sync`;
+        if (typeof ack === "function") return ack({ success: false, error });
+        return socket.emit("sync:result", { success: false, error });
+      }
+
+      const simulations = await Promise.all(
+        requests.map(async (request) => {
+          const { simulationId, sequence } = request || {};
+          try {
+            return await syncService.getMissedEvents(simulationId, socket.userId, {
+              sequence,
+            });
+          } catch (error) {
+            if (!error.isOperational) {
+              logger.error(`Sync failed for ${socket.id} in ${simulationId}:`, error);
+            }
+            return {
+              simulationId,
+              error: error.isOperational ? error.message : "Sync failed",
+            };
+          }
+        })
+      );
+
+      if (typeof ack === "function") {
+        ack({ success: true, data: { simulations } });
+      } else {
+        socket.emit("sync:result", { success: true, data: { simulations } });
+      }
+    });
+
+    // Typing indicators (only relayed for sockets inside the room)
     socket.on("typing:start", ({ simulationId }) => {
       const roomName = `simulation:${simulationId}`;
+      if (!socket.rooms.has(roomName)) return;
       socket.to(roomName).emit("typing:start", {
         userId: socket.userId,
         simulationId,
@@ -103,12 +219,26 @@ function initializeSocketIO(httpServer) {
 
     socket.on("typing:stop", ({ simulationId }) => {
       const roomName = `simulation:${simulationId}`;
+      if (!socket.rooms.has(roomName)) return;
       socket.to(roomName).emit("typing:stop", {
         userId: socket.userId,
         simulationId,
       });
     });
 
+    // Announce departure from every simulation room before the socket closes
+    socket.on("disconnecting", () => {
+      for (const roomName of socket.rooms) {
+        if (!roomName.startsWith("simulation:")) continue;
+        const simulationId = roomName.slice("simulation:".length);
+        socket.to(roomName).emit("presence:left", {
+          simulationId,
+          userId: socket.userId,
+        });
+        cancelAgentRepliesIfGone(simulationId, socket);
+      }
+    });
+
     // Disconnect handler
     socket.on("disconnect", (reason) => {
       logger.info(`Socket disconnected: ${socket.id} (reason: ${reason})`);
@@ -125,6 +255,58 @@ function initializeSocketIO(httpServer) {
   return io;
 }
 
+/**
+ * Check that a user owns or is an active team member of a simulation
+ * @param {string} simulationId - Simulation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function canJoinSimulation(simulationId, userId) {
+  if (!mongoose.isValidObjectId(simulationId) || !userId) return false;
+
+  const exists = await Simulation.exists({
+    _id: simulationId,
+    ...Simulation.accessFilter(userId),
+  });
+  return Boolean(exists);
+}
+
+/**
+ * List distinct user IDs currently connected to a room
+ * @param {string} roomName - Room name
+ * @returns {Promise<string[]>}
+ */
+async function getOnlineUserIds(roomName) {
+  try {
+    const sockets = await io.in(roomName).fetchSockets();
+    return [...new Set(sockets.map((s) => s.data.userId).filter(Boolean))];
+  } catch (error) {
+    // Presence is best effort; the join itself has already succeeded
+    logger.warn(`Failed to list online users in ${roomName}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Cancel agent replies streamed to a user who left a simulation, unless
+ * another of their sockets (e.g. a second tab) is still in the room
+ * @param {string} simulationId - Simulation ID
+ * @param {Socket} socket - The leaving socket
+ */
+async function cancelAgentRepliesIfGone(simulationId, socket) {
+  try {
+    const sockets = await io.in(`simulation:${simulationId}`).fetchSockets();
+    const stillPresent = sockets.some(
+      (s) => s.id !== socket.id && s.data.userId === socket.userId
+    );
+    if (!stillPresent) {
+      await agentStreamService.requestCancel(simulationId, socket.userId);
+    }
+  } catch (error) {
+    logger.error(`Failed to cancel agent replies for ${socket.id}:`, error);
+  }
+}
+
 /**
  * Get Socket.IO server instance
  * @returns {Server} Socket.IO server instance
@@ -147,7 +329,20 @@ function getIO() {
 function emitToSimulation(simulationId, event, data) {
   const roomName = `simulation:${simulationId}`;
   if (io) {
-    io.to(roomName).emit(event, data);
+    if (ACKED_EVENTS.has(event)) {
+      const expected = io.sockets.adapter.rooms.get(roomName)?.size || 0;
+      io.to(roomName)
+        .timeout(ACK_TIMEOUT_MS)
+        .emit(event, data, (error, acks) => {
+          if (error) {
+            logger.warn(
+              `${event} to ${roomName} not acknowledged by ${expected - acks.length} of ${expected} clients`
+            );
+          }
+        });
+    } else {
+      io.to(roomName).emit(event, data);
+    }
     logger.debug(`Emitted ${event} to room: ${roomName}`);
   }
 }
@@ -165,9 +360,24 @@ function emitToUser(userId, event, data) {
   }
 }
 
+/**
+ * Remove all of a user's sockets from a simulation room
+ * @param {string} simulationId - Simulation ID
+ * @param {string} userId - User ID
+ */
+function removeUserFromSimulation(simulationId, userId) {
+  const roomName = `simulation:${simulationId}`;
+  if (io) {
+    io.in(`user:${userId}`).socketsLeave(roomName);
+    io.to(roomName).emit("presence:left", { simulationId, userId });
+    logger.debug(`Removed user ${userId} from room: ${roomName}`);
+  }
+}
+
 module.exports = {
   initializeSocketIO,
   getIO,
   emitToSimulation,
   emitToUser,
+  removeUserFromSimulation,
 };
@@ -0,0 +1,131 @@
+/**
+ * Circuit Breaker
+ * Fails fast while a downstream service keeps failing, then lets a single
+ * trial call through after a cool-down to check whether it has recovered.
+ *
+ * closed -> (failureThreshold consecutive failures) -> open
+ * open -> (resetTimeoutMs elapsed) -> half_open
+ * half_open -> (trial succeeds) -> closed, (trial fails) -> open
+ */
+
+const logger = require("../config/logger");
+const { ServiceUnavailableError } = require("./errors");
+
+/**
+ * Thrown instead of calling the service while the circuit is open
+ */
+class CircuitOpenError extends ServiceUnavailableError {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable; retry after ${new Date(retryAt).toISOString()}`);
+    this.name = "CircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Service name, for logs and errors
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - How long to stay open before a trial call
+   * @param {Function} options.isFailure - (error) => boolean; errors that don't
+   *   mean the service is down (e.g. a 400) don't count
+   */
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.isFailure = isFailure;
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {Function} fn - Async call to the service
+   * @throws {CircuitOpenError} While the circuit is open
+   */
+  async exec(fn) {
+    if (this.state === "open") {
+      if (Date.now() < this.openedAt + this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeoutMs);
+      }
+      this.transition("half_open");
+    }
+
+    // Only one trial call at a time while half open
+    const isTrial = this.state === "half_open";
+    if (isTrial) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, Date.now() + this.resetTimeoutMs);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else if (isTrial) {
+        // The service answered, so it is up
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  onSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+    if (this.state !== "closed") this.transition("closed");
+  }
+
+  onFailure(error) {
+    this.failures += 1;
+    this.lastError = { message: error.message, at: new Date() };
+
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition("open");
+    }
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    const log = state === "closed" ? logger.info : logger.warn;
+    log.call(logger, `Circuit ${this.name}: ${this.state} -> ${state}`, {
+      failures: this.failures,
+    });
+    this.state = state;
+  }
+
+  /**
+   * Current state, for health checks
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      retryAt:
+        this.state === "open"
+          ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+          : null,
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+};
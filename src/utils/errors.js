@@ -93,6 +93,17 @@ class ServiceUnavailableError extends AppError {
   }
 }
 
+/**
+ * 502 Bad Gateway - An AI agent returned a payload that breaks its contract
+ */
+class AgentResponseError extends AppError {
+  constructor(agent, reason, code = 'AGENT_RESPONSE_INVALID', details = []) {
+    super(`${agent} returned an invalid response: ${reason}`, 502);
+    this.code = code;
+    this.details = details;
+  }
+}
+
 module.exports = {
   AppError,
   BadRequestError,
@@ -104,4 +115,5 @@ module.exports = {
   RateLimitError,
   InternalError,
   ServiceUnavailableError,
+  AgentResponseError,
 };
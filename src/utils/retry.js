@@ -0,0 +1,49 @@
+/**
+ * Retry Utilities
+ * Bounded retries with exponential backoff and full jitter
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Delay before retry number `attempt` (1-based): a random wait between 0 and
+ * baseDelayMs * 2^(attempt - 1), capped at maxDelayMs, so clients that failed
+ * together don't retry together
+ */
+function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 10000 } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Call fn until it succeeds, shouldRetry(error) returns false or the
+ * retries run out. The last error is thrown.
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - First backoff ceiling
+ * @param {number} options.maxDelayMs - Backoff cap
+ * @param {Function} options.shouldRetry - (error) => boolean
+ * @param {Function} options.onRetry - (error, attempt, delayMs) => void
+ */
+async function retry(
+  fn,
+  { retries = 2, baseDelayMs, maxDelayMs, shouldRetry = () => true, onRetry = () => {} } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      const delayMs = backoffDelay(attempt + 1, { baseDelayMs, maxDelayMs });
+      onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  backoffDelay,
+  retry,
+};
@@ -0,0 +1,117 @@
+/**
+ * Word-level text diff for message revisions
+ */
+
+// Above this many LCS cells the diff falls back to lines, then to a full replace
+const MAX_CELLS = 2000000;
+
+/**
+ * Split into words and the whitespace between them so joining the
+ * tokens of each change reproduces the original text exactly
+ */
+function tokenizeWords(text) {
+  return text.split(/(\s+)/).filter(Boolean);
+}
+
+function tokenizeLines(text) {
+  return text.split(/(?<=\n)/).filter(Boolean);
+}
+
+/**
+ * Append a token to the change list, merging runs of the same type
+ */
+function push(changes, type, value) {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    changes.push({ type, value });
+  }
+}
+
+/**
+ * Longest-common-subsequence diff of two token arrays
+ */
+function diffTokens(a, b) {
+  const changes = [];
+
+  // Common prefix and suffix don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_CELLS) return null;
+
+  a.slice(0, start).forEach((token) => push(changes, "equal", token));
+
+  // lcs[i][j] = LCS length of a[start + i..endA) and b[start + j..endB)
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[start + i] === b[start + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      push(changes, "equal", a[start + i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push(changes, "removed", a[start + i++]);
+    } else {
+      push(changes, "added", b[start + j++]);
+    }
+  }
+  while (i < n) push(changes, "removed", a[start + i++]);
+  while (j < m) push(changes, "added", b[start + j++]);
+
+  a.slice(endA).forEach((token) => push(changes, "equal", token));
+
+  return changes;
+}
+
+/**
+ * Diff two texts into [{ type: "equal" | "added" | "removed", value }]
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {{ changes: Array, stats: { added: number, removed: number } }}
+ */
+function diffText(before = "", after = "") {
+  let changes =
+    diffTokens(tokenizeWords(before), tokenizeWords(after)) ||
+    diffTokens(tokenizeLines(before), tokenizeLines(after));
+
+  if (!changes) {
+    changes = [];
+    if (before) changes.push({ type: "removed", value: before });
+    if (after) changes.push({ type: "added", value: after });
+  }
+
+  const stats = { added: 0, removed: 0 };
+  changes.forEach((change) => {
+    if (change.type !== "equal") {
+      stats[change.type] += change.value.length;
+    }
+  });
+
+  return { changes, stats };
+}
+
+module.exports = {
+  diffText,
+};
@@ -0,0 +1,282 @@
+const Joi = require("joi");
+const { AgentResponseError } = require("../utils/errors");
+
+/**
+ * Agent response contracts
+ *
+ * Every agent provider response passes through here (see agent.service), so
+ * the worker and synchronous paths get the same normalized shapes. Field
+ * variants seen from the agent service are mapped to one canonical name,
+ * the result is validated, and malformed payloads are rejected with an
+ * AgentResponseError.
+ *
+ * Responses may declare `contract_version`; without it the current version
+ * is assumed. Only versions with a supported major are accepted.
+ */
+
+const CONTRACT_VERSION = "1.0";
+const SUPPORTED_MAJORS = ["1"];
+
+// Longest list item stored (Feedback arrays are limited to 500 characters)
+const MAX_ITEM_LENGTH = 500;
+
+const stringList = Joi.array().items(Joi.string().trim().min(1).max(MAX_ITEM_LENGTH));
+
+const requirementsSchema = Joi.object({
+  client_name: Joi.string().trim().max(200),
+  project_name: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(10000),
+  duration: Joi.string().trim().max(100),
+  expertise: Joi.string().trim().max(50),
+  tech_stack: stringList,
+  key_requirements: stringList,
+  acceptance_criteria: stringList,
+  milestones: Joi.array().items(
+    Joi.alternatives().try(
+      Joi.string(),
+      Joi.object({ title: Joi.string(), name: Joi.string(), description: Joi.string() }).unknown(true)
+    )
+  ),
+})
+  .or("description", "key_requirements", "acceptance_criteria")
+  .unknown(true);
+
+const chatReplySchema = Joi.object({
+  response: Joi.string().trim().min(1).required(),
+  completionPercentage: Joi.number().min(0).max(100),
+});
+
+const feedbackSchema = Joi.object({
+  summary: Joi.string().trim().min(1).max(5000).required(),
+  overallScore: Joi.number().min(0).max(100).allow(null).required(),
+  scoreBreakdown: Joi.array()
+    .items(
+      Joi.object({
+        category: Joi.string().required(),
+        score: Joi.number().min(0).max(100).required(),
+        weight: Joi.number().min(0).max(1),
+        comments: Joi.string().allow(""),
+      })
+    )
+    .required(),
+  strengths: stringList.required(),
+  improvements: stringList.required(),
+  missingRequirements: stringList.required(),
+  completionPercentage: Joi.number().min(0).max(100),
+});
+
+/**
+ * First defined value among several field names
+ */
+function firstOf(source, keys) {
+  for (const key of keys) {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== "") {
+      return source[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Arrays stay arrays; newline/bullet separated text becomes a list
+ */
+function toList(value, separator = /\n/) {
+  if (value === undefined) return undefined;
+  const items = Array.isArray(value) ? value : String(value).split(separator);
+  return items
+    .map((item) => (typeof item === "string" ? item : item?.title || item?.name || String(item)))
+    .map((item) => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim().slice(0, MAX_ITEM_LENGTH))
+    .filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(String(value).replace(/%$/, ""));
+  return Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Agent services wrap the payload in `message` (or `data`) unless it is text
+ */
+function unwrap(response) {
+  if (!response || typeof response !== "object" || Array.isArray(response)) {
+    return null;
+  }
+  const inner = response.message ?? response.data;
+  return inner && typeof inner === "object" && !Array.isArray(inner) ? inner : response;
+}
+
+function checkVersion(agent, response, source) {
+  const version = String(
+    firstOf(response, ["contract_version"]) ?? firstOf(source, ["contract_version"]) ?? CONTRACT_VERSION
+  );
+  if (!SUPPORTED_MAJORS.includes(version.split(".")[0])) {
+    throw new AgentResponseError(
+      agent,
+      `unsupported contract version ${version}`,
+      "AGENT_CONTRACT_UNSUPPORTED"
+    );
+  }
+  return version;
+}
+
+function validate(agent, schema, value) {
+  const { error, value: validated } = schema.validate(value, { abortEarly: false });
+  if (error) {
+    throw new AgentResponseError(
+      agent,
+      error.details.map((detail) => detail.message).join("; "),
+      "AGENT_RESPONSE_INVALID",
+      error.details.map((detail) => ({ field: detail.path.join("."), message: detail.message }))
+    );
+  }
+  return validated;
+}
+
+/**
+ * Agent 1: project requirements
+ * @returns {Object} { requirements (snake_case fields), contractVersion }
+ */
+function parseRequirements(response) {
+  const source = unwrap(response);
+  if (!source) {
+    throw new AgentResponseError("Agent 1", "response is not an object", "AGENT_RESPONSE_INVALID");
+  }
+  const contractVersion = checkVersion("Agent 1", response, source);
+
+  // Canonical field -> variants, first match wins; variants aren't kept
+  const aliases = {
+    client_name: ["client_name", "clientName", "client"],
+    project_name: ["project_name", "projectName", "title"],
+    description: ["description", "project_description", "projectDescription"],
+    duration: ["duration"],
+    expertise: ["expertise", "expertise_level", "expertiseLevel"],
+    tech_stack: ["tech_stack", "techStack", "technologies"],
+    key_requirements: ["key_requirements", "keyRequirements", "requirements"],
+    acceptance_criteria: ["acceptance_criteria", "acceptanceCriteria", "raw_acceptance_criteria"],
+  };
+
+  const normalized = { ...source };
+  delete normalized.contract_version;
+  Object.entries(aliases).forEach(([field, keys]) => {
+    const value = firstOf(source, keys);
+    keys.forEach((key) => delete normalized[key]);
+    if (value !== undefined) normalized[field] = value;
+  });
+
+  if (typeof normalized.duration === "number") {
+    normalized.duration = `${normalized.duration} days`;
+  }
+  ["key_requirements", "acceptance_criteria"].forEach((field) => {
+    if (normalized[field] !== undefined) normalized[field] = toList(normalized[field]);
+  });
+  if (normalized.tech_stack !== undefined) {
+    normalized.tech_stack = toList(normalized.tech_stack, /[\n,]/);
+  }
+
+  return { requirements: validate("Agent 1", requirementsSchema, normalized), contractVersion };
+}
+
+/**
+ * Agent 2: chat reply
+ * @returns {Object} { response (text), completionPercentage, contractVersion }
+ */
+function parseChatReply(response) {
+  if (typeof response === "string") {
+    response = { response };
+  }
+  if (!response || typeof response !== "object") {
+    throw new AgentResponseError("Agent 2", "response is not an object", "AGENT_RESPONSE_INVALID");
+  }
+  const details = unwrap(response);
+  const contractVersion = checkVersion("Agent 2", response, details);
+
+  const textKeys = ["response", "reply", "content", "text"];
+  const text =
+    firstOf(response, textKeys) ??
+    (typeof response.message === "string" ? response.message : firstOf(details, textKeys));
+
+  const normalized = {
+    response: typeof text === "string" ? text : undefined,
+    completionPercentage: toNumber(
+      firstOf(details, ["completion_percentage", "completionPercentage"]) ??
+        firstOf(response, ["completion_percentage", "completionPercentage"])
+    ),
+  };
+  if (normalized.completionPercentage === undefined) delete normalized.completionPercentage;
+
+  return { ...validate("Agent 2", chatReplySchema, normalized), contractVersion };
+}
+
+/**
+ * Score breakdowns arrive as [{ category, score }] or { category: score }
+ */
+function toBreakdown(value) {
+  if (!value) return [];
+  const items = Array.isArray(value)
+    ? value
+    : Object.entries(value).map(([category, item]) =>
+        typeof item === "object" ? { ...item, category } : { category, score: item }
+      );
+
+  return items.map((item) => {
+    const entry = { category: item.category || item.name, score: toNumber(item.score) };
+    if (item.weight !== undefined) entry.weight = toNumber(item.weight);
+    if (item.comments || item.comment) entry.comments = item.comments || item.comment;
+    return entry;
+  });
+}
+
+/**
+ * Agent 3: repository feedback
+ * @returns {Object} { summary, overallScore, scoreBreakdown, strengths,
+ *   improvements, missingRequirements, completionPercentage, contractVersion, raw }
+ */
+function parseFeedback(response) {
+  const source = unwrap(response);
+  if (!source) {
+    throw new AgentResponseError("Agent 3", "response is not an object", "AGENT_RESPONSE_INVALID");
+  }
+  const contractVersion = checkVersion("Agent 3", response, source);
+
+  let summary = firstOf(source, ["feedback_summary", "summary", "feedback", "overview"]);
+  if (Array.isArray(summary)) summary = summary.join("\n");
+
+  const normalized = {
+    summary: summary ?? "Feedback generated.",
+    overallScore: toNumber(firstOf(source, ["score", "overallScore", "overall_score"])) ?? null,
+    scoreBreakdown: toBreakdown(firstOf(source, ["breakdown", "scoreBreakdown", "score_breakdown"])),
+    strengths: toList(firstOf(source, ["strengths", "positives", "highlights"])) || [],
+    improvements:
+      toList(firstOf(source, ["improvements", "recommendations", "suggestions"])) || [],
+    missingRequirements:
+      toList(firstOf(source, ["missing_requirements", "missingRequirements"])) || [],
+    completionPercentage: toNumber(
+      firstOf(source, ["completion_percentage", "completionPercentage"])
+    ),
+  };
+  if (normalized.completionPercentage === undefined) delete normalized.completionPercentage;
+
+  // A payload with none of the feedback fields isn't feedback
+  if (
+    summary === undefined &&
+    normalized.overallScore === null &&
+    !normalized.strengths.length &&
+    !normalized.improvements.length
+  ) {
+    throw new AgentResponseError("Agent 3", "no feedback fields in response", "AGENT_RESPONSE_INVALID");
+  }
+
+  return {
+    ...validate("Agent 3", feedbackSchema, normalized),
+    contractVersion,
+    raw: response,
+  };
+}
+
+module.exports = {
+  CONTRACT_VERSION,
+  parseRequirements,
+  parseChatReply,
+  parseFeedback,
+};
@@ -0,0 +1,14 @@
+const Joi = require("joi");
+
+const aiUsageQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref("from")).optional(),
+  userId: Joi.string().hex().length(24).optional(),
+  groupBy: Joi.string().valid("user", "day", "user_day").default("user_day"),
+  limit: Joi.number().integer().min(1).max(200).default(100),
+  skip: Joi.number().integer().min(0).default(0),
+});
+
+module.exports = {
+  aiUsageQuerySchema,
+};
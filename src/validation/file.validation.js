@@ -4,6 +4,7 @@ const presignUploadSchema = Joi.object({
   filename: Joi.string().max(255).required(),
   contentType: Joi.string().max(100).required(),
   sizeBytes: Joi.number().max(50 * 1024 * 1024).required(), // Max 50MB
+  simulationId: Joi.string().hex().length(24).optional(),
 });
 
 const completeUploadSchema = Joi.object({
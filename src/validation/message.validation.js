@@ -16,6 +16,8 @@ const createMessageSchema = Joi.object({
     )
     .optional(),
   clientMessageId: Joi.string().max(100).optional(),
+  addressedTo: Joi.string().max(50).optional(), // agent persona handle
+  replyTo: Joi.string().hex().length(24).optional(), // message being replied to
   sender: Joi.object({
     type: Joi.string().valid("user", "agent", "system").required(),
     id: Joi.string().hex().length(24).optional(), // Make ID optional for agents/system
@@ -30,7 +32,24 @@ const editMessageSchema = Joi.object({
   content: Joi.string().min(1).max(10000).required(),
 });
 
+const threadQuerySchema = Joi.object({
+  cursor: Joi.number().integer().min(0).optional(), // last sequence seen
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const revisionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).optional(),
+  to: Joi.number().integer().min(1).optional(),
+});
+
+const flagMessageSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional(),
+});
+
 module.exports = {
   createMessageSchema,
   editMessageSchema,
+  threadQuerySchema,
+  revisionDiffQuerySchema,
+  flagMessageSchema,
 };
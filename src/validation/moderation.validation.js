@@ -0,0 +1,39 @@
+const Joi = require("joi");
+
+const moderationQueueQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid("flagged", "resolved", "dismissed", "redacted")
+    .default("flagged"),
+  category: Joi.string()
+    .valid("profanity", "contact", "credential", "report")
+    .optional(),
+  simulationId: Joi.string().hex().length(24).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  skip: Joi.number().integer().min(0).default(0),
+});
+
+const reviewMessageSchema = Joi.object({
+  note: Joi.string().trim().max(1000).optional(),
+});
+
+const auditTrailQuerySchema = Joi.object({
+  messageId: Joi.string().hex().length(24).optional(),
+  actorId: Joi.string().hex().length(24).optional(),
+  action: Joi.string()
+    .valid(
+      "moderation.flagged",
+      "moderation.auto_flagged",
+      "moderation.resolved",
+      "moderation.dismissed",
+      "moderation.redacted"
+    )
+    .optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  skip: Joi.number().integer().min(0).default(0),
+});
+
+module.exports = {
+  moderationQueueQuerySchema,
+  reviewMessageSchema,
+  auditTrailQuerySchema,
+};
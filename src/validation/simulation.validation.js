@@ -1,4 +1,7 @@
 const Joi = require("joi");
+const { clientPersonalities } = require("../config/clientPersonalities");
+const { teamRoles } = require("../config/teamRoles");
+const { agentPersonas } = require("../config/agentPersonas");
 
 const createSimulationSchema = Joi.object({
   projectTemplateId: Joi.string().hex().length(24).optional(),
@@ -11,6 +14,10 @@ const createSimulationSchema = Joi.object({
       .optional(),
     durationDays: Joi.number().min(0.01).max(365).optional(),
   }).optional(),
+  // Defaults to one matching the expertise level
+  clientPersonality: Joi.string()
+    .valid(...Object.keys(clientPersonalities))
+    .optional(),
 });
 
 const updateSimulationStateSchema = Joi.object({
@@ -28,13 +35,66 @@ const updateSimulationStateSchema = Joi.object({
 const addParticipantSchema = Joi.object({
   id: Joi.string().hex().length(24).optional(),
   type: Joi.string().valid("user", "agent", "system").required(),
+  personaKey: Joi.string()
+    .valid(...Object.keys(agentPersonas))
+    .optional(),
+  handle: Joi.string()
+    .pattern(/^[a-z0-9_-]+$/i)
+    .max(50)
+    .optional(),
   role: Joi.string().max(100).optional(),
-  displayName: Joi.string().max(100).required(),
-  avatarUrl: Joi.string().uri().optional(),
+  displayName: Joi.string()
+    .max(100)
+    .when("personaKey", { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+  // Relative paths for the built-in persona avatars (/avatars/agents/...)
+  avatarUrl: Joi.string().uri({ allowRelative: true }).optional(),
+  personaPrompt: Joi.string().max(4000).optional(),
+  topics: Joi.array().items(Joi.string().max(50)).max(30).optional(),
+});
+
+const inviteParticipantSchema = Joi.object({
+  email: Joi.string().email(),
+  username: Joi.string().max(50),
+  role: Joi.string()
+    .valid(...Object.keys(teamRoles))
+    .required(),
+}).xor("email", "username");
+
+const showcaseSettingsSchema = Joi.object({
+  privacy: Joi.string().valid("public", "private"),
+  transcriptPublic: Joi.boolean(),
+}).min(1);
+
+const negotiateScopeChangeSchema = Joi.object({
+  message: Joi.string().min(1).max(9000).required(),
+});
+
+const transcriptQuerySchema = Joi.object({
+  format: Joi.string().valid("json", "md", "html").default("json"),
+});
+
+const timelineQuerySchema = Joi.object({
+  cursor: Joi.string().max(500).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  // Comma-separated: state,message,attachment,portfolio,feedback
+  types: Joi.string()
+    .pattern(/^[a-z]+(,[a-z]+)*$/)
+    .optional(),
+});
+
+const markReadSchema = Joi.object({
+  // Defaults to the latest message
+  sequence: Joi.number().integer().min(0).optional(),
 });
 
 module.exports = {
   createSimulationSchema,
   updateSimulationStateSchema,
   addParticipantSchema,
+  inviteParticipantSchema,
+  showcaseSettingsSchema,
+  negotiateScopeChangeSchema,
+  transcriptQuerySchema,
+  timelineQuerySchema,
+  markReadSchema,
 };
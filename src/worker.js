@@ -102,6 +102,23 @@ async function startWorkers() {
       })
     );
 
+    // Recurring maintenance jobs
+    try {
+      const { scheduleRecurringCleanup } = require("./services/queue.service");
+      await scheduleRecurringCleanup(
+        "milestones",
+        config.worker.milestoneCheckIntervalMs
+      );
+      if (config.retention.enabled) {
+        await scheduleRecurringCleanup("retention", config.retention.intervalMs);
+      }
+    } catch (scheduleError) {
+      logger.warn(
+        "Failed to schedule recurring cleanup jobs:",
+        scheduleError.message
+      );
+    }
+
     logger.info(
       `All workers started. Processing jobs from ${workers.length} queues.`
     );
@@ -3,6 +3,14 @@ const config = require("../config/env");
 const logger = require("../config/logger");
 const redisConfig = require("../config/redis");
 const agentService = require("../services/agent.service");
+const { buildMilestones } = require("../services/milestone.service");
+const scopeChangeService = require("../services/scope-change.service");
+const personaService = require("../services/persona.service");
+const agentStreamService = require("../services/agent-stream.service");
+const conversationContextService = require("../services/conversation-context.service");
+const requirementsDocumentService = require("../services/requirements-document.service");
+const limitsService = require("../services/limits.service");
+const { ServiceUnavailableError } = require("../utils/errors");
 const {
   Simulation,
   Message,
@@ -16,8 +24,14 @@ const {
  * Process Agent 1 Job: Generate Requirements
  */
 async function processAgent1(job) {
-  const { simulationId, userId, projectName, projectDescription, filters } =
-    job.data;
+  const {
+    simulationId,
+    userId,
+    projectName,
+    projectDescription,
+    filters,
+    clientPersonality,
+  } = job.data;
 
   try {
     logger.info(
@@ -28,6 +42,7 @@ async function processAgent1(job) {
     // Map data to structure expected by agentService
     const agentPayload = {
       simulationId,
+      userId,
       projectName,
       description: projectDescription,
       expertise: filters?.expertise,
@@ -35,12 +50,11 @@ async function processAgent1(job) {
       duration: filters?.durationDays
         ? `${filters.durationDays} days`
         : undefined,
+      clientPersonality,
     };
 
-    const agentResponse = await agentService.generateRequirements(agentPayload);
-
-    // Extract agent response data (unwrap if needed)
-    const reqData = agentResponse.message || agentResponse;
+    const { requirements: reqData, contractVersion } =
+      await agentService.generateRequirements(agentPayload);
 
     // 2. Update Simulation
     const simulation = await Simulation.findById(simulationId);
@@ -49,27 +63,37 @@ async function processAgent1(job) {
     // Store requirements data in simulation
     if (!simulation.templateSnapshot) simulation.templateSnapshot = {};
     simulation.templateSnapshot.requirements = reqData;
+    simulation.templateSnapshot.agentContractVersion = contractVersion;
+    simulation.milestones = buildMilestones(simulation, reqData);
     simulation.currentAgent = "Agent1";
+    personaService.setClientName(simulation, reqData.client_name);
 
     // Transition state
     await simulation.transitionState("requirements_sent", userId);
 
+    // DOCX and Markdown copies of the requirements, downloaded via /files/:id/download
+    const attachments =
+      await requirementsDocumentService.generateRequirementsDocuments(simulation);
+
     // Create clean message with document attachment (NO content duplication)
-    const message = await Message.create({
+    const message = await Message.createWithSequence({
       simulationId,
-      sequence: await Message.getNextSequence(simulationId),
-      sender: { type: "agent", agentName: reqData.client_name || "Client" },
+      sender: personaService.toSender(
+        personaService.getClientPersona(simulation)
+      ),
       content: `Hey, my name is ${
         reqData.client_name || "the client"
       } and I am giving you a project **${
         reqData.project_name || projectName
       }**. In the attached document you can find all the requirements regarding the project.`,
       contentType: "text",
+      attachments,
       metadata: {
-        hasDocument: true,
-        fileName: `${projectName}_Requirements.docx`,
-        fileSize: "245 KB • Word Document",
-        // Store ALL requirements data in metadata for document generation
+        ...requirementsDocumentService.documentMetadata(
+          attachments,
+          `${projectName}_Requirements.docx`
+        ),
+        // Requirements data for clients that still render the document themselves
         clientName: reqData.client_name,
         client_name: reqData.client_name,
         duration: reqData.duration,
@@ -103,35 +127,126 @@ async function processAgent1(job) {
  * Process Agent 2 Job: Chat Response
  */
 async function processAgent2(job) {
-  const { simulationId, userMessage, context } = job.data;
+  const {
+    simulationId,
+    userMessage,
+    userId,
+    reservationId,
+    sequence,
+    context,
+    agentHandle,
+    messageId,
+    threadRootId,
+    quotedMessage,
+    edit,
+  } = job.data;
 
   try {
     logger.info(`Processing Agent 2 (Chat) for simulation: ${simulationId}`);
 
-    // Call Agent Service
-    const agentResponse = await agentService.sendMessage({
-      simulationId,
-      message: userMessage,
-      context,
-    });
+    const simulation = await Simulation.findById(simulationId);
+    if (!simulation) throw new Error("Simulation not found");
+
+    // Jobs enqueued before personas existed carry no handle
+    const persona =
+      personaService.findPersona(simulation, agentHandle) ||
+      personaService.getClientPersona(simulation);
+
+    // Paused or finished while the reply sat in the queue (delayed for
+    // slow clients or behind other jobs): answer nothing, give the call back
+    if (simulation.state !== "in_progress") {
+      logger.info(
+        `Skipping Agent 2 for simulation ${simulationId} in state: ${simulation.state}`
+      );
+      await limitsService.releaseAiCall(reservationId);
+      return {
+        success: true,
+        skipped: true,
+        sender: personaService.toSender(persona),
+        simulationId,
+      };
+    }
+
+    // Delayed replies (slow clients) start typing only now
+    if (job.opts?.delay) {
+      await job.updateProgress({
+        event: "agent:typing",
+        data: {
+          simulationId,
+          agentName: persona.displayName,
+          handle: persona.handle,
+          isTyping: true,
+        },
+      });
+    }
+
+    // Assembled when the job runs, so replies queued behind each other
+    // see the turns answered in between
+    const conversation = await conversationContextService.buildConversationContext(
+      simulation,
+      { beforeSequence: sequence }
+    );
+
+    // Call Agent Service; chunks reach the API process as job progress
+    // events, which the queue completion listener relays to the room
+    const agentResponse = await agentStreamService.generateReply(
+      {
+        simulationId,
+        userId,
+        reservationId,
+        message: userMessage,
+        // Chat jobs carry no requirements; read them from the simulation
+        context: context || simulation.templateSnapshot?.requirements || null,
+        conversation,
+        persona: personaService.toAgentPersona(persona, simulation),
+        quotedMessage,
+        edit,
+      },
+      {
+        simulationId,
+        userId,
+        persona,
+        emit: (event, data) =>
+          job
+            .updateProgress({ event, data })
+            .catch((error) =>
+              logger.warn(`Failed to report ${event} for job ${job.id}: ${error.message}`)
+            ),
+      }
+    );
+
+    // The user left before any text arrived; nothing to keep
+    if (agentResponse.cancelled && !agentResponse.response) {
+      return {
+        success: true,
+        cancelled: true,
+        sender: personaService.toSender(persona),
+        simulationId,
+      };
+    }
 
     // Create Agent Message
-    const message = await Message.create({
+    const message = await Message.createWithSequence({
       simulationId,
-      sequence: await Message.getNextSequence(simulationId),
-      sender: { type: "agent", agentName: "Agent2" },
-      content:
-        agentResponse.response ||
-        agentResponse.message ||
-        JSON.stringify(agentResponse),
+      sender: personaService.toSender(persona),
+      content: agentResponse.response,
       contentType: "markdown",
+      // Answer inside the thread the user replied in
+      replyTo: threadRootId ? messageId : undefined,
+      threadRootId,
+      metadata: {
+        // The user message this answers (see notifyAgentOfEdit)
+        ...(messageId && { answersMessageId: messageId }),
+        ...(agentResponse.streamId && {
+          streamId: agentResponse.streamId,
+          ...(agentResponse.cancelled && { streamCancelled: true }),
+        }),
+      },
     });
 
     // Update Simulation state
-    const simulation = await Simulation.findById(simulationId);
-    if (simulation) {
-      await simulation.incrementMessageCount();
-    }
+    simulation.currentAgent = persona.handle;
+    await simulation.incrementMessageCount();
 
     logger.info(`Agent 2 completed for simulation: ${simulationId}`);
 
@@ -150,41 +265,39 @@ async function processAgent2(job) {
 }
 
 /**
- * Process Agent 3 Job: Feedback & Portfolio
+ * Process Scope Change Job: client-initiated change request
  */
-function normalizeAgent3Response(analysis = {}) {
-  const source = analysis.message || analysis;
-  let summary =
-    source.feedback_summary ||
-    source.summary ||
-    source.feedback ||
-    source.overview ||
-    "Feedback generated.";
-
-  if (Array.isArray(summary)) {
-    summary = summary.join("\n");
-  }
+async function processScopeChange(job) {
+  const { simulationId } = job.data;
+
+  try {
+    logger.info(`Processing scope change for simulation: ${simulationId}`);
+
+    const result = await scopeChangeService.proposeScopeChange(simulationId);
+
+    if (result.skipped) {
+      logger.info(
+        `Scope change skipped for simulation ${simulationId}: ${result.reason}`
+      );
+      return { success: false, simulationId, ...result };
+    }
 
-  const strengths =
-    source.strengths || source.positives || source.highlights || [];
-  const improvements =
-    source.improvements || source.recommendations || source.suggestions || [];
-  const missingRequirements =
-    source.missing_requirements || source.missingRequirements || [];
-  const score = source.score || source.overallScore || null;
-  const breakdown = source.breakdown || source.scoreBreakdown || [];
-
-  return {
-    summary,
-    strengths,
-    improvements,
-    missingRequirements,
-    overallScore: score,
-    scoreBreakdown: breakdown,
-    raw: analysis,
-  };
+    return {
+      success: true,
+      messageId: result.message._id,
+      message: result.message.toObject(),
+      scopeChange: result.scopeChange,
+      simulationId,
+    };
+  } catch (error) {
+    logger.error(`Scope Change Job Failed: ${error.message}`, error);
+    throw error;
+  }
 }
 
+/**
+ * Process Agent 3 Job: Feedback & Portfolio
+ */
 async function processAgent3(job) {
   const { portfolioId, repoUrl, userId, simulationId } = job.data;
 
@@ -249,25 +362,30 @@ async function processAgent3(job) {
     const analysis = await agentService.analyzeRepo({
       repoUrl,
       simulationId: effectiveSimulationId,
+      userId,
     });
     console.log(
       `[Processor] Agent Service returned analysis with score:`,
-      analysis.score || analysis.overallScore
+      analysis.overallScore
     );
-    const normalized = normalizeAgent3Response(analysis);
+    if (analysis.degraded) {
+      // Fails the job (it is retried) rather than saving the fallback as feedback
+      throw new ServiceUnavailableError(`Agent 3 unavailable: ${analysis.error}`);
+    }
 
-    // Save Feedback
+    // Save Feedback (already normalized by the agent response contract)
     const feedback = await Feedback.create({
       simulationId,
       portfolioId,
-      summary: normalized.summary,
-      overallScore: normalized.overallScore,
-      scoreBreakdown: normalized.scoreBreakdown,
-      strengths: normalized.strengths,
-      improvements: normalized.improvements,
-      missingRequirements: normalized.missingRequirements,
-      suggestions: normalized.improvements,
-      rawAgentResponse: normalized.raw,
+      summary: analysis.summary,
+      overallScore: analysis.overallScore,
+      scoreBreakdown: analysis.scoreBreakdown,
+      strengths: analysis.strengths,
+      improvements: analysis.improvements,
+      missingRequirements: analysis.missingRequirements,
+      suggestions: analysis.improvements,
+      rawAgentResponse: analysis.raw,
+      agentVersion: analysis.contractVersion,
     });
 
     // Update Portfolio
@@ -276,8 +394,8 @@ async function processAgent3(job) {
     portfolio.analysisMeta = {
       ...(portfolio.analysisMeta || {}),
       analyzedAt: new Date(),
-      agentVersion: "1.0",
-      missingRequirements: normalized.missingRequirements,
+      agentVersion: analysis.contractVersion,
+      missingRequirements: analysis.missingRequirements,
     };
     portfolio.analysisError = undefined;
     await portfolio.save();
@@ -299,7 +417,9 @@ async function processAgent3(job) {
     await Portfolio.findByIdAndUpdate(portfolioId, {
       status: "error",
       analysisError: {
-        code: "AGENT3_FAILED",
+        code:
+          error.code ||
+          (error instanceof ServiceUnavailableError ? "AGENT_UNAVAILABLE" : "AGENT3_FAILED"),
         message: error.message,
         details: error.stack,
       },
@@ -323,6 +443,8 @@ const processAgentJob = async (job) => {
     case "feedback":
     case "agent3:feedback":
       return processAgent3(job);
+    case "scope_change":
+      return processScopeChange(job);
     default:
       throw new Error(`Unknown job name: ${job.name}`);
   }
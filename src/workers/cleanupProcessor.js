@@ -1,5 +1,8 @@
-const { File, AuthSession } = require('../models');
+const { File, AuthSession, Simulation } = require('../models');
 const { deleteFileFromS3 } = require('../services/file.service');
+const { checkOverdueMilestones } = require('../services/milestone.service');
+const { runRetention, purgeSimulation } = require('../services/retention.service');
+const { offloadTranscript, redactOffloadedTranscript } = require('../services/transcript.service');
 const logger = require('../config/logger');
 
 /**
@@ -25,6 +28,22 @@ async function processCleanupJob(job) {
       case 'simulation':
         result = await cleanupSimulation(job.data);
         break;
+      case 'milestones':
+        result = await checkOverdueMilestones();
+        break;
+      case 'transcript':
+        result = await offloadTranscript(job.data.simulationId);
+        break;
+      case 'transcript_redaction':
+        result = await redactOffloadedTranscript(
+          job.data.simulationId,
+          job.data.sequence,
+          job.data.content
+        );
+        break;
+      case 'retention':
+        result = await runRetention({ bullJobId: job.id, policy: job.data.policy });
+        break;
       default:
         throw new Error(`Unknown cleanup job type: ${type}`);
     }
@@ -80,17 +99,24 @@ async function cleanupExpiredSessions(data) {
 }
 
 /**
- * Cleanup simulation data (placeholder)
+ * Purge a single cancelled simulation immediately, skipping the retention
+ * grace period (e.g. on an account deletion request)
  */
 async function cleanupSimulation(data) {
   const { simulationId } = data;
 
-  // Placeholder for simulation cleanup logic
-  // Could include archiving old messages, clearing cache, etc.
+  const simulation = await Simulation.findById(simulationId).select('state').lean();
+  if (!simulation) {
+    logger.warn(`Simulation ${simulationId} not found, skipping cleanup`);
+    return { skipped: true };
+  }
 
-  logger.info(`Simulation cleanup completed: ${simulationId}`);
+  if (simulation.state !== 'cancelled') {
+    logger.warn(`Simulation ${simulationId} is ${simulation.state}, only cancelled simulations are purged`);
+    return { skipped: true };
+  }
 
-  return { simulationId, cleaned: true };
+  return purgeSimulation(simulationId);
 }
 
 module.exports = {
@@ -0,0 +1,19 @@
+// Environment for the test run, set before any app module is loaded
+process.env.JWT_ACCESS_TOKEN_SECRET =
+  "test_access_secret_key_min_32_chars_long";
+process.env.JWT_REFRESH_TOKEN_SECRET =
+  "test_refresh_secret_key_min_32_chars_long";
+process.env.MONGODB_URI = "mongodb://test";
+// Never connected in tests: without a client the app runs its no-Redis paths
+process.env.REDIS_URL = "redis://localhost:6379";
+process.env.FRONTEND_URL = "http://localhost:3000";
+process.env.CORS_ORIGIN = "http://localhost:3000";
+process.env.S3_ENDPOINT = "http://localhost:9000";
+process.env.S3_BUCKET = "test-bucket";
+process.env.S3_REGION = "us-east-1";
+process.env.S3_ACCESS_KEY_ID = "test";
+process.env.S3_SECRET_ACCESS_KEY = "test";
+process.env.AGENT_SERVICE_URL = "http://localhost:8000";
+process.env.AGENT_PROVIDER = "mock";
+process.env.AGENT_MOCK_CHUNK_DELAY_MS = "0";
+process.env.ADMIN_USER_IDS = "";
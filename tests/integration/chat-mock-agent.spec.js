@@ -0,0 +1,92 @@
+const { User, Simulation, Message, AgentCall } = require('../../src/models');
+const messageService = require('../../src/services/message.service');
+
+// Agent calls are recorded without being awaited
+const waitFor = async (check, attempts = 50) => {
+  for (let i = 0; i < attempts; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return check();
+};
+
+describe('Chat with the mock agent provider', () => {
+  let user;
+  let simulation;
+
+  beforeEach(async () => {
+    await Message.init();
+
+    user = await User.create({ name: 'Chat Tester', email: 'chat@example.com' });
+    simulation = await Simulation.create({
+      userId: user._id,
+      projectName: 'Shop',
+      projectDescription: 'An online shop',
+      state: 'in_progress',
+      clientPersonality: { key: 'cooperative', displayName: 'Cooperative', replyDelayMs: 0 },
+      templateSnapshot: {
+        requirements: {
+          client_name: 'Maya Chen',
+          project_name: 'Shop',
+          description: 'An online shop',
+          key_requirements: ['Cart and checkout'],
+        },
+      },
+    });
+  });
+
+  it('should store the agent reply to a user message without the queue', async () => {
+    const userMessage = await messageService.createMessage(
+      simulation._id,
+      { type: 'user', id: user._id },
+      'Hello! Quick question before I start.'
+    );
+
+    const messages = await Message.find({ simulationId: simulation._id })
+      .sort({ sequence: 1 })
+      .lean();
+
+    expect(messages.map((m) => m.sender.type)).toEqual(['user', 'agent']);
+    expect(messages[0]._id.toString()).toBe(userMessage._id.toString());
+
+    const reply = messages[1];
+    expect(reply.sequence).toBe(2);
+    expect(reply.sender.handle).toBe('client');
+    expect(reply.contentType).toBe('markdown');
+    expect(reply.content).toMatch(/Shop/);
+    expect(reply.metadata.answersMessageId).toBe(userMessage._id.toString());
+
+    const stored = await Simulation.findById(simulation._id).lean();
+    expect(stored.messageSequence).toBe(2);
+  });
+
+  it('should record the agent call against the user', async () => {
+    await messageService.createMessage(
+      simulation._id,
+      { type: 'user', id: user._id },
+      'Hello! Quick question before I start.'
+    );
+
+    const calls = await waitFor(async () => {
+      const found = await AgentCall.find({ userId: user._id }).lean();
+      return found.some((call) => call.status !== 'reserved') ? found : null;
+    });
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0]).toMatchObject({ provider: 'mock', status: 'success' });
+    expect(calls[0].tokens.total).toBeGreaterThan(0);
+  });
+
+  it('should not answer in a simulation that is not active', async () => {
+    await Simulation.updateOne({ _id: simulation._id }, { state: 'completed' });
+
+    await messageService.createMessage(
+      simulation._id,
+      { type: 'user', id: user._id },
+      'Hello again'
+    );
+
+    expect(await Message.countDocuments({ simulationId: simulation._id })).toBe(1);
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { Simulation, Message } = require('../../src/models');
+const messageService = require('../../src/services/message.service');
+
+describe('Message sequence allocation', () => {
+  let userId;
+  let simulation;
+
+  beforeEach(async () => {
+    await Message.init(); // build the unique {simulationId, sequence} index
+
+    userId = new mongoose.Types.ObjectId();
+    simulation = await Simulation.create({
+      userId,
+      projectName: 'Sequence Test',
+      projectDescription: 'Concurrent message writes',
+    });
+  });
+
+  const sequencesOf = async (simulationId) => {
+    const messages = await Message.find({ simulationId }).sort({ sequence: 1 }).lean();
+    return messages.map((m) => m.sequence);
+  };
+
+  const range = (from, to) =>
+    Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+  it('should allocate unique, gapless sequences for concurrent writes', async () => {
+    const writes = range(1, 25).map((i) =>
+      Message.createWithSequence({
+        simulationId: simulation._id,
+        sender: { type: i % 2 ? 'user' : 'agent', id: userId, agentName: 'Client' },
+        content: `message ${i}`,
+      })
+    );
+
+    await Promise.all(writes);
+
+    expect(await sequencesOf(simulation._id)).toEqual(range(1, 25));
+
+    const stored = await Simulation.findById(simulation._id).lean();
+    expect(stored.messageSequence).toBe(25);
+  });
+
+  it('should not collide when user and agent writers race through the service', async () => {
+    const userWrites = range(1, 10).map((i) =>
+      messageService.createMessage(
+        simulation._id,
+        { type: 'user', id: userId },
+        `user message ${i}`
+      )
+    );
+    const agentWrites = range(1, 10).map((i) =>
+      Message.createWithSequence({
+        simulationId: simulation._id,
+        sender: { type: 'agent', agentName: 'Client', handle: 'client' },
+        content: `agent reply ${i}`,
+        contentType: 'markdown',
+      })
+    );
+
+    const results = await Promise.allSettled([...userWrites, ...agentWrites]);
+
+    expect(results.filter((r) => r.status === 'rejected')).toEqual([]);
+    expect(await sequencesOf(simulation._id)).toEqual(range(1, 20));
+  });
+
+  it('should seed the counter from existing messages on legacy simulations', async () => {
+    await Message.insertMany(
+      range(1, 3).map((sequence) => ({
+        simulationId: simulation._id,
+        sequence,
+        sender: { type: 'system' },
+        content: `legacy ${sequence}`,
+      }))
+    );
+
+    await Promise.all(
+      range(1, 5).map((i) =>
+        Message.createWithSequence({
+          simulationId: simulation._id,
+          sender: { type: 'system' },
+          content: `new ${i}`,
+        })
+      )
+    );
+
+    expect(await sequencesOf(simulation._id)).toEqual(range(1, 8));
+  });
+
+  it('should retry with a fresh sequence when the counter is behind', async () => {
+    await Message.createWithSequence({
+      simulationId: simulation._id,
+      sender: { type: 'system' },
+      content: 'first',
+    });
+
+    // A write that bypassed the counter takes the next two sequences
+    await Message.insertMany(
+      [2, 3].map((sequence) => ({
+        simulationId: simulation._id,
+        sequence,
+        sender: { type: 'system' },
+        content: `out of band ${sequence}`,
+      }))
+    );
+
+    const message = await Message.createWithSequence({
+      simulationId: simulation._id,
+      sender: { type: 'system' },
+      content: 'after conflict',
+    });
+
+    expect(message.sequence).toBe(4);
+    expect(await sequencesOf(simulation._id)).toEqual(range(1, 4));
+  });
+});
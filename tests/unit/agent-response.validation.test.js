@@ -0,0 +1,119 @@
+const {
+  CONTRACT_VERSION,
+  parseRequirements,
+  parseChatReply,
+  parseFeedback,
+} = require('../../src/validation/agent-response.validation');
+const { AgentResponseError } = require('../../src/utils/errors');
+
+const expectInvalid = (fn, code = 'AGENT_RESPONSE_INVALID') => {
+  let thrown;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error;
+  }
+  expect(thrown).toBeInstanceOf(AgentResponseError);
+  expect(thrown.code).toBe(code);
+  expect(thrown.statusCode).toBe(502);
+};
+
+describe('Agent response contracts', () => {
+  describe('parseRequirements', () => {
+    it('should map field variants to canonical names and lists', () => {
+      const { requirements, contractVersion } = parseRequirements({
+        message: {
+          clientName: 'Acme',
+          title: 'Shop',
+          projectDescription: 'An online shop',
+          duration: 14,
+          technologies: 'React, Node.js',
+          requirements: '- Cart\n- Checkout',
+          acceptanceCriteria: ['1. Orders are emailed'],
+        },
+      });
+
+      expect(contractVersion).toBe(CONTRACT_VERSION);
+      expect(requirements).toMatchObject({
+        client_name: 'Acme',
+        project_name: 'Shop',
+        description: 'An online shop',
+        duration: '14 days',
+        tech_stack: ['React', 'Node.js'],
+        key_requirements: ['Cart', 'Checkout'],
+        acceptance_criteria: ['Orders are emailed'],
+      });
+      expect(requirements).not.toHaveProperty('clientName');
+      expect(requirements).not.toHaveProperty('technologies');
+    });
+
+    it('should reject requirements without any content', () => {
+      expectInvalid(() => parseRequirements({ client_name: 'Acme' }));
+    });
+
+    it('should reject unsupported contract versions', () => {
+      expectInvalid(
+        () => parseRequirements({ contract_version: '2.0', description: 'x' }),
+        'AGENT_CONTRACT_UNSUPPORTED'
+      );
+    });
+  });
+
+  describe('parseChatReply', () => {
+    it('should accept a plain text reply', () => {
+      expect(parseChatReply('Sounds good')).toEqual({
+        response: 'Sounds good',
+        contractVersion: CONTRACT_VERSION,
+      });
+    });
+
+    it('should read the reply and completion from wrapped payloads', () => {
+      expect(
+        parseChatReply({
+          contract_version: '1.2',
+          message: { reply: 'Looks great', completion_percentage: '40%' },
+        })
+      ).toEqual({ response: 'Looks great', completionPercentage: 40, contractVersion: '1.2' });
+    });
+
+    it('should reject an empty reply or an out-of-range completion', () => {
+      expectInvalid(() => parseChatReply({ response: '   ' }));
+      expectInvalid(() => parseChatReply({ response: 'ok', completionPercentage: 140 }));
+    });
+  });
+
+  describe('parseFeedback', () => {
+    it('should normalize scores, breakdowns and lists', () => {
+      const feedback = parseFeedback({
+        data: {
+          feedback_summary: 'Solid work',
+          score: '82',
+          breakdown: { quality: 80, tests: { score: 70, comment: 'More edge cases' } },
+          positives: 'Clean code\nGood README',
+          recommendations: ['Add tests'],
+        },
+      });
+
+      expect(feedback).toMatchObject({
+        summary: 'Solid work',
+        overallScore: 82,
+        scoreBreakdown: [
+          { category: 'quality', score: 80 },
+          { category: 'tests', score: 70, comments: 'More edge cases' },
+        ],
+        strengths: ['Clean code', 'Good README'],
+        improvements: ['Add tests'],
+        missingRequirements: [],
+        contractVersion: CONTRACT_VERSION,
+      });
+    });
+
+    it('should reject payloads without feedback fields', () => {
+      expectInvalid(() => parseFeedback({ status: 'ok' }));
+    });
+
+    it('should reject scores outside 0-100', () => {
+      expectInvalid(() => parseFeedback({ summary: 'x', score: 250 }));
+    });
+  });
+});
@@ -0,0 +1,51 @@
+jest.mock('../../src/models', () => ({
+  Simulation: { findById: jest.fn() },
+  Message: { createWithSequence: jest.fn() },
+}));
+jest.mock('../../src/services/limits.service', () => ({
+  releaseAiCall: jest.fn(),
+}));
+jest.mock('../../src/services/agent-stream.service', () => ({
+  generateReply: jest.fn(),
+}));
+
+const { Simulation, Message } = require('../../src/models');
+const limitsService = require('../../src/services/limits.service');
+const agentStreamService = require('../../src/services/agent-stream.service');
+const { processAgentJob } = require('../../src/workers/agentProcessor');
+
+describe('Chat jobs', () => {
+  const simulationId = '64b000000000000000000002';
+
+  const chatJob = () => ({
+    id: 'job-1',
+    name: 'chat',
+    data: {
+      simulationId,
+      userId: '64b000000000000000000001',
+      reservationId: 'reservation-1',
+      userMessage: 'Any update on the login page?',
+      sequence: 4,
+    },
+    opts: {},
+    updateProgress: jest.fn().mockResolvedValue(),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it.each(['paused', 'completed'])(
+    'should not reply once the simulation is %s',
+    async (state) => {
+      Simulation.findById.mockResolvedValue({ _id: simulationId, state });
+
+      const result = await processAgentJob(chatJob());
+
+      expect(result).toMatchObject({ success: true, skipped: true, simulationId });
+      expect(agentStreamService.generateReply).not.toHaveBeenCalled();
+      expect(Message.createWithSequence).not.toHaveBeenCalled();
+      expect(limitsService.releaseAiCall).toHaveBeenCalledWith('reservation-1');
+    }
+  );
+});
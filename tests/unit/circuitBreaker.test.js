@@ -0,0 +1,92 @@
+const { CircuitBreaker, CircuitOpenError } = require('../../src/utils/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  const fail = () => Promise.reject(new Error('down'));
+  const succeed = () => Promise.resolve('ok');
+
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ name: 'agent', failureThreshold: 2, resetTimeoutMs: 5000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should open after consecutive failures and fail fast', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow('down');
+    expect(breaker.state).toBe('closed');
+    await expect(breaker.exec(fail)).rejects.toThrow('down');
+    expect(breaker.state).toBe('open');
+
+    const call = jest.fn(succeed);
+    await expect(breaker.exec(call)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(call).not.toHaveBeenCalled();
+    expect(breaker.getState().retryAt).toBe(new Date(6000).toISOString());
+  });
+
+  it('should reset the failure count after a success', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await breaker.exec(succeed);
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(1);
+  });
+
+  it('should close after a successful trial call once the timeout has passed', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    now += 5000;
+    await expect(breaker.exec(succeed)).resolves.toBe('ok');
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+
+  it('should reopen when the trial call fails', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await expect(breaker.exec(fail)).rejects.toThrow();
+
+    now += 5000;
+    await expect(breaker.exec(fail)).rejects.toThrow('down');
+    expect(breaker.state).toBe('open');
+    expect(breaker.openedAt).toBe(6000);
+  });
+
+  it('should let only one trial call through while half open', async () => {
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    await expect(breaker.exec(fail)).rejects.toThrow();
+    now += 5000;
+
+    let finishTrial;
+    const trial = breaker.exec(
+      () => new Promise((resolve) => {
+        finishTrial = resolve;
+      })
+    );
+
+    await expect(breaker.exec(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    finishTrial('ok');
+    await expect(trial).resolves.toBe('ok');
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should not count errors that isFailure rejects', async () => {
+    breaker = new CircuitBreaker({
+      name: 'agent',
+      failureThreshold: 1,
+      isFailure: (error) => error.status !== 400,
+    });
+    const badRequest = Object.assign(new Error('bad request'), { status: 400 });
+
+    await expect(breaker.exec(() => Promise.reject(badRequest))).rejects.toBe(badRequest);
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../../src/models', () => ({
+  Simulation: { updateOne: jest.fn() },
+  Message: { find: jest.fn() },
+}));
+
+const { Simulation, Message } = require('../../src/models');
+const config = require('../../src/config/env');
+const { buildConversationContext } = require('../../src/services/conversation-context.service');
+
+/**
+ * Message.find over an in-memory conversation, supporting the sequence
+ * range, sort and limit the service uses
+ */
+function serveMessages(messages) {
+  Message.find.mockImplementation((query) => {
+    const { $gt = -Infinity, $lt = Infinity, $lte = Infinity } = query.sequence;
+    let result = messages.filter(
+      (m) => m.sequence > $gt && m.sequence < $lt && m.sequence <= $lte
+    );
+    const chain = {
+      sort: ({ sequence }) => {
+        result = [...result].sort((a, b) => (a.sequence - b.sequence) * sequence);
+        return chain;
+      },
+      limit: (n) => {
+        result = result.slice(0, n);
+        return chain;
+      },
+      select: () => chain,
+      lean: () => Promise.resolve(result),
+    };
+    return chain;
+  });
+}
+
+const turn = (sequence, content) => ({
+  sequence,
+  content,
+  sender: sequence % 2
+    ? { type: 'user' }
+    : { type: 'agent', agentName: 'Client', handle: 'client' },
+});
+
+describe('Conversation context assembly', () => {
+  const original = { ...config.agent.context };
+  let simulation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Simulation.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    simulation = { _id: 'sim-1', templateSnapshot: { requirementsVersion: 2 } };
+  });
+
+  afterEach(() => {
+    Object.assign(config.agent.context, original);
+  });
+
+  it('should send every turn when the conversation fits', async () => {
+    Object.assign(config.agent.context, { tokenBudget: 4000, maxRecentMessages: 20 });
+    serveMessages([turn(1, 'Hello'), turn(2, 'Hi there'), turn(3, 'Question')]);
+
+    const context = await buildConversationContext(simulation, { beforeSequence: 3 });
+
+    expect(context.messages.map((m) => m.sequence)).toEqual([1, 2]);
+    expect(context.messages[1]).toMatchObject({ role: 'agent', name: 'Client' });
+    expect(context.summary).toBeNull();
+    expect(context.requirementsVersion).toBe(2);
+    expect(Simulation.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should fold turns beyond the message limit into the summary', async () => {
+    Object.assign(config.agent.context, { tokenBudget: 4000, maxRecentMessages: 3 });
+    serveMessages([1, 2, 3, 4, 5, 6].map((i) => turn(i, `message ${i}`)));
+
+    const context = await buildConversationContext(simulation);
+
+    expect(context.messages.map((m) => m.sequence)).toEqual([4, 5, 6]);
+    expect(context.summary).toBe(
+      '- Freelancer: message 1\n- Client: message 2\n- Freelancer: message 3'
+    );
+    expect(Simulation.updateOne).toHaveBeenCalledWith(
+      { _id: 'sim-1', 'conversationSummary.throughSequence': { $in: [null, 0] } },
+      { $set: { conversationSummary: expect.objectContaining({ throughSequence: 3 }) } },
+      { timestamps: false }
+    );
+  });
+
+  it('should drop older turns that exceed the token budget but keep the latest', async () => {
+    Object.assign(config.agent.context, { tokenBudget: 200, maxRecentMessages: 20 });
+    const long = 'x'.repeat(400); // ~100 tokens
+    serveMessages([turn(1, long), turn(2, long), turn(3, long)]);
+
+    const context = await buildConversationContext(simulation);
+
+    expect(context.messages.map((m) => m.sequence)).toEqual([3]);
+    // Each folded line alone is over the 50-token summary share
+    expect(context.summary).toBe('(Earlier messages omitted)');
+    expect(Simulation.updateOne.mock.calls[0][1].$set.conversationSummary.throughSequence).toBe(2);
+  });
+
+  it('should keep only the newest summary lines that fit', async () => {
+    Object.assign(config.agent.context, { tokenBudget: 400, maxRecentMessages: 1 });
+    simulation.conversationSummary = {
+      text: Array.from({ length: 40 }, (_, i) => `- Client: earlier point ${i}`).join('\n'),
+      throughSequence: 40,
+    };
+    serveMessages([turn(41, 'latest'), turn(42, 'newest')]);
+
+    const context = await buildConversationContext(simulation);
+
+    const lines = context.summary.split('\n');
+    expect(lines[0]).toBe('(Earlier messages omitted)');
+    expect(lines[lines.length - 1]).toBe('- Freelancer: latest');
+    expect(lines).toContain('- Client: earlier point 39');
+    expect(lines).not.toContain('- Client: earlier point 0');
+    expect(Message.find.mock.calls[0][0].sequence).toEqual({ $gt: 40 });
+    expect(context.messages.map((m) => m.sequence)).toEqual([42]);
+  });
+});
@@ -0,0 +1,98 @@
+const express = require('express');
+const request = require('supertest');
+const { idempotency } = require('../../src/middleware/idempotency');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+// The response is stored once the first request has finished
+const stored = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Idempotency-Key middleware', () => {
+  let app;
+  let calls;
+  let release;
+
+  beforeEach(() => {
+    calls = 0;
+    release = null;
+
+    app = express();
+    app.use(express.json());
+    app.post('/orders', idempotency(), (req, res) => {
+      calls += 1;
+      res.status(201).json({ id: calls, item: req.body.item });
+    });
+    app.post('/slow', idempotency(), async (req, res) => {
+      calls += 1;
+      await new Promise((resolve) => {
+        release = resolve;
+      });
+      res.status(201).json({ id: calls });
+    });
+    app.use(errorHandler);
+  });
+
+  it('should replay the first response for a retried key', async () => {
+    const first = await request(app)
+      .post('/orders')
+      .set('Idempotency-Key', 'replay-1')
+      .send({ item: 'book' })
+      .expect(201);
+    await stored();
+
+    const retry = await request(app)
+      .post('/orders')
+      .set('Idempotency-Key', 'replay-1')
+      .send({ item: 'book' })
+      .expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(calls).toBe(1);
+  });
+
+  it('should return 409 while the first request is still processing', async () => {
+    const first = request(app)
+      .post('/slow')
+      .set('Idempotency-Key', 'processing-1')
+      .send({})
+      .then((res) => res);
+
+    while (!release) {
+      await stored();
+    }
+
+    await request(app)
+      .post('/slow')
+      .set('Idempotency-Key', 'processing-1')
+      .send({})
+      .expect(409);
+
+    release();
+    expect((await first).status).toBe(201);
+    expect(calls).toBe(1);
+  });
+
+  it('should return 422 when the key is reused with a different body', async () => {
+    await request(app)
+      .post('/orders')
+      .set('Idempotency-Key', 'mismatch-1')
+      .send({ item: 'book' })
+      .expect(201);
+    await stored();
+
+    await request(app)
+      .post('/orders')
+      .set('Idempotency-Key', 'mismatch-1')
+      .send({ item: 'lamp' })
+      .expect(422);
+
+    expect(calls).toBe(1);
+  });
+
+  it('should pass requests without a key through', async () => {
+    await request(app).post('/orders').send({ item: 'book' }).expect(201);
+    await request(app).post('/orders').send({ item: 'book' }).expect(201);
+
+    expect(calls).toBe(2);
+  });
+});
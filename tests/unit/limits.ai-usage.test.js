@@ -0,0 +1,197 @@
+jest.mock('../../src/models', () => ({
+  User: { findById: jest.fn() },
+  Simulation: {},
+  AgentCall: {
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    deleteOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+
+const { User, AgentCall } = require('../../src/models');
+const config = require('../../src/config/env');
+const limitsService = require('../../src/services/limits.service');
+const agentUsageService = require('../../src/services/agent-usage.service');
+
+describe('AI usage caps', () => {
+  const userId = '64b000000000000000000001';
+  const betaMode = config.isBetaMode;
+
+  const onPlan = (plan) => {
+    User.findById.mockResolvedValue({ _id: userId, subscription: { plan } });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.isBetaMode = false;
+    AgentCall.create.mockResolvedValue({ _id: 'reservation-1' });
+    AgentCall.deleteOne.mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterAll(() => {
+    config.isBetaMode = betaMode;
+  });
+
+  describe('canUseAi', () => {
+    it('should allow calls under the monthly cap', async () => {
+      onPlan('free');
+      AgentCall.countDocuments.mockResolvedValue(42);
+
+      const result = await limitsService.canUseAi(userId);
+
+      expect(result).toMatchObject({ allowed: true, used: 42, limit: 300, remaining: 258 });
+      expect(result.resetsAt.getUTCDate()).toBe(1);
+    });
+
+    it('should refuse calls once the cap is reached', async () => {
+      onPlan('free');
+      AgentCall.countDocuments.mockResolvedValue(300);
+
+      const result = await limitsService.canUseAi(userId);
+
+      expect(result).toMatchObject({ allowed: false, used: 300, limit: 300, remaining: 0 });
+      expect(result.reason).toMatch(/300 AI interactions/);
+    });
+
+    it('should count successful calls and recent reservations this month', async () => {
+      onPlan('premium');
+      AgentCall.countDocuments.mockResolvedValue(0);
+
+      await limitsService.canUseAi(userId);
+
+      const query = AgentCall.countDocuments.mock.calls[0][0];
+      expect(query.userId).toBe(userId);
+      expect(query.createdAt.$gte.getUTCDate()).toBe(1);
+      expect(query.$or).toEqual([
+        { status: 'success' },
+        { status: 'reserved', createdAt: { $gte: expect.any(Date) } },
+      ]);
+    });
+
+    it('should not cap unlimited plans or beta mode', async () => {
+      onPlan('pro');
+      AgentCall.countDocuments.mockResolvedValue(5000);
+      expect(await limitsService.canUseAi(userId)).toMatchObject({ allowed: true, limit: null });
+
+      config.isBetaMode = true;
+      expect(await limitsService.canUseAi(userId)).toEqual({ allowed: true, beta: true });
+    });
+  });
+
+  describe('releaseAiCall', () => {
+    it('should delete an unused reservation and ignore missing ids', async () => {
+      await limitsService.releaseAiCall('reservation-1');
+      await limitsService.releaseAiCall(undefined);
+
+      expect(AgentCall.deleteOne).toHaveBeenCalledTimes(1);
+      expect(AgentCall.deleteOne).toHaveBeenCalledWith({
+        _id: 'reservation-1',
+        status: 'reserved',
+      });
+    });
+  });
+
+  describe('reserveAiCall', () => {
+    it('should reserve a call under the cap', async () => {
+      onPlan('free');
+      AgentCall.countDocuments.mockResolvedValueOnce(10).mockResolvedValueOnce(11);
+
+      const result = await limitsService.reserveAiCall(userId, 'chat');
+
+      expect(AgentCall.create).toHaveBeenCalledWith({
+        userId,
+        operation: 'chat',
+        status: 'reserved',
+        durationMs: 0,
+      });
+      expect(result).toMatchObject({
+        allowed: true,
+        used: 11,
+        remaining: 289,
+        reservationId: 'reservation-1',
+      });
+    });
+
+    it('should allow the last call of the month', async () => {
+      onPlan('free');
+      AgentCall.countDocuments.mockResolvedValueOnce(299).mockResolvedValueOnce(300);
+
+      const result = await limitsService.reserveAiCall(userId, 'chat');
+
+      expect(result).toMatchObject({ allowed: true, used: 300, remaining: 0 });
+      expect(AgentCall.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should release the reservation when a concurrent request took the last call', async () => {
+      onPlan('free');
+      // Both requests saw 299 before reserving; this one counts both reservations
+      AgentCall.countDocuments.mockResolvedValueOnce(299).mockResolvedValueOnce(301);
+
+      const result = await limitsService.reserveAiCall(userId, 'chat');
+
+      expect(result).toMatchObject({ allowed: false, used: 300, remaining: 0 });
+      expect(AgentCall.deleteOne).toHaveBeenCalledWith({
+        _id: 'reservation-1',
+        status: 'reserved',
+      });
+    });
+
+    it('should not reserve once the cap is reached', async () => {
+      onPlan('free');
+      AgentCall.countDocuments.mockResolvedValue(300);
+
+      const result = await limitsService.reserveAiCall(userId, 'feedback');
+
+      expect(result.allowed).toBe(false);
+      expect(AgentCall.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordCall', () => {
+    const call = {
+      userId,
+      operation: 'chat',
+      provider: 'mock',
+      status: 'success',
+      durationMs: 120,
+      request: { userMessage: 'hi' },
+      response: { response: 'hello' },
+    };
+
+    it('should turn the reservation it was given into the recorded call', async () => {
+      AgentCall.findOneAndUpdate.mockResolvedValue({ _id: 'reservation-1' });
+
+      await agentUsageService.recordCall({ ...call, reservationId: 'reservation-1' });
+
+      expect(AgentCall.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'reservation-1', status: 'reserved' },
+        { $set: expect.objectContaining({ status: 'success', durationMs: 120 }) },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      expect(AgentCall.create).not.toHaveBeenCalled();
+    });
+
+    it('should otherwise take the oldest reservation for the same operation', async () => {
+      AgentCall.findOneAndUpdate.mockResolvedValue({ _id: 'reservation-2' });
+
+      await agentUsageService.recordCall({ ...call, operation: 'chat_stream' });
+
+      expect(AgentCall.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        userId,
+        operation: 'chat',
+        status: 'reserved',
+      });
+    });
+
+    it('should create an entry when nothing was reserved', async () => {
+      AgentCall.findOneAndUpdate.mockResolvedValue(null);
+
+      await agentUsageService.recordCall(call);
+
+      expect(AgentCall.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId, operation: 'chat', status: 'success' })
+      );
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { retry, backoffDelay } = require('../../src/utils/retry');
+
+describe('retry', () => {
+  const options = { baseDelayMs: 1, maxDelayMs: 1 };
+
+  it('should return the first successful result', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(retry(fn, { ...options, retries: 2 })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveBeenNthCalledWith(2, 1);
+  });
+
+  it('should throw the last error once the retries run out', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('first'))
+      .mockRejectedValueOnce(new Error('second'))
+      .mockRejectedValueOnce(new Error('third'));
+    const onRetry = jest.fn();
+
+    await expect(retry(fn, { ...options, retries: 2, onRetry })).rejects.toThrow('third');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenLastCalledWith(expect.any(Error), 2, expect.any(Number));
+  });
+
+  it('should not retry errors shouldRetry rejects', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('bad request'));
+
+    await expect(
+      retry(fn, { ...options, retries: 3, shouldRetry: () => false })
+    ).rejects.toThrow('bad request');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('backoffDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should double the ceiling per attempt up to the cap', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(backoffDelay(1, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(100);
+    expect(backoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(400);
+    expect(backoffDelay(6, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(1000);
+  });
+
+  it('should pick a random delay below the ceiling', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.25);
+
+    expect(backoffDelay(2, { baseDelayMs: 100, maxDelayMs: 1000 })).toBe(50);
+  });
+});